@@ -0,0 +1,62 @@
+// Crash recovery: the editor periodically stores the open design in IndexedDB (local-store.js) as
+// a .livery project blob (see project.js), stored apart from the snapshot list so listing and
+// marking snapshots never reads it. Only the newest AUTOSAVE_KEEP snapshots are kept; a snapshot is
+// marked saved once the design has been saved as a project, so startup only offers unsaved work.
+
+const AUTOSAVE_STORE = 'autosaves';
+const AUTOSAVE_FILE_STORE = 'autosave-files'; // The project blobs, under the snapshot's id
+const AUTOSAVE_KEEP = 5;
+const AUTOSAVE_INTERVAL = 60 * 1000;
+
+class AutosaveStore {
+    static transaction(mode, work) {
+        return LocalStore.transaction([AUTOSAVE_STORE, AUTOSAVE_FILE_STORE], mode,
+            stores => work(stores[AUTOSAVE_STORE], stores[AUTOSAVE_FILE_STORE]));
+    }
+
+    // `snapshot` is { session, time, name, layerCount, saved }
+    static async save(snapshot, blob) {
+        await this.transaction('readwrite', async (store, files) => {
+            const id = await LocalStore.request(store.add(snapshot));
+            files.put({ id, blob });
+        });
+        // Keys count up with each snapshot, so the oldest have the lowest keys; no blob is read
+        const keys = await this.transaction('readonly', store => LocalStore.request(store.getAllKeys()));
+        if (keys.length > AUTOSAVE_KEEP) {
+            await this.transaction('readwrite', (store, files) => {
+                keys.slice(0, keys.length - AUTOSAVE_KEEP).forEach(key => {
+                    store.delete(key);
+                    files.delete(key);
+                });
+            });
+        }
+    }
+
+    // Every snapshot, newest first
+    static async list() {
+        const snapshots = await this.transaction('readonly', store => LocalStore.request(store.getAll()));
+        return snapshots.sort((a, b) => b.time - a.time);
+    }
+
+    // Resolves to the snapshot's project file as a Blob
+    static async read(id) {
+        const file = await this.transaction('readonly', (store, files) => LocalStore.request(files.get(id)));
+        if (!file) throw new Error("The recovery snapshot is no longer stored");
+        return file.blob;
+    }
+
+    static async markSaved(session) {
+        const snapshots = await this.list();
+        await this.transaction('readwrite', store => {
+            snapshots.filter(snapshot => snapshot.session === session && !snapshot.saved)
+                .forEach(snapshot => store.put({ ...snapshot, saved: true }));
+        });
+    }
+
+    static clear() {
+        return this.transaction('readwrite', (store, files) => {
+            store.clear();
+            files.clear();
+        });
+    }
+}
@@ -0,0 +1,105 @@
+// Promise-based DDS codec service. Each job runs in its own dds-worker.js so the UI stays
+// responsive; buffers are transferred (not copied) both ways. Pass an AbortSignal to cancel a
+// job, which terminates its worker. Where workers cannot start (e.g. index.html opened from
+// file://) jobs fall back to DDSDecoder / ImageEncoder / MipmapGenerator on the main thread.
+
+const DDS_WORKER_URL = 'dds-worker.js';
+
+class DDSCodec {
+    // Resolves to { width, height, data, mipmaps }. `buffer` is transferred to the worker.
+    static decode(buffer, { onProgress, signal } = {}) {
+        return this.run({ type: 'decode', buffer }, [buffer], { onProgress, signal },
+            () => DDSDecoder.decode(buffer, { onProgress }));
+    }
+
+    // Resolves to the encoded file (DDS, or TGA/WebP via options.format) as an ArrayBuffer.
+    // `imageData.data` is transferred to the worker.
+    static encode(imageData, options = {}, { onProgress, signal } = {}) {
+        const image = { width: imageData.width, height: imageData.height, data: imageData.data };
+        return this.run({ type: 'encode', image, options }, [image.data.buffer], { onProgress, signal },
+            () => ImageEncoder.encode(image, { ...options, onProgress }));
+    }
+
+    // Resolves to { width, height, data } resampled with a MIP_FILTERS kernel.
+    // `imageData.data` is transferred to the worker.
+    static resize(imageData, width, height, filter, { onProgress, signal } = {}) {
+        const image = { width: imageData.width, height: imageData.height, data: imageData.data };
+        return this.run({ type: 'resize', image, width, height, filter }, [image.data.buffer], { onProgress, signal },
+            () => MipmapGenerator.resize(image, width, height, filter, onProgress));
+    }
+
+    static abortError() {
+        const err = new Error("Cancelled");
+        err.name = 'AbortError';
+        return err;
+    }
+
+    static async run(message, transfer, { onProgress, signal }, fallback) {
+        if (signal && signal.aborted) throw this.abortError();
+
+        const worker = await this.startWorker();
+        // Cancelled while the worker was loading: the job is never posted
+        if (signal && signal.aborted) {
+            if (worker) worker.terminate();
+            throw this.abortError();
+        }
+        if (!worker) return fallback();
+
+        return new Promise((resolve, reject) => {
+            const finish = () => {
+                worker.terminate();
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+            const onAbort = () => {
+                finish();
+                reject(this.abortError());
+            };
+            if (signal) signal.addEventListener('abort', onAbort);
+
+            worker.onmessage = (e) => {
+                const msg = e.data;
+                if (msg.type === 'progress') {
+                    if (onProgress) onProgress(msg.progress);
+                    return;
+                }
+                finish();
+                if (msg.type === 'result') resolve(msg.result);
+                else reject(msg.code ? new DDSError(msg.code, msg.message, msg.details || {}) : new Error(msg.message));
+            };
+            worker.onerror = (e) => {
+                e.preventDefault();
+                finish();
+                reject(new Error(e.message || "DDS worker crashed"));
+            };
+
+            worker.postMessage(message, transfer);
+        });
+    }
+
+    // Resolves to a worker that has loaded the codec, or null if workers are unavailable
+    static startWorker() {
+        if (this.workersUnavailable || typeof Worker === 'undefined') return Promise.resolve(null);
+
+        return new Promise((resolve) => {
+            let worker;
+            try {
+                worker = new Worker(DDS_WORKER_URL);
+            } catch (e) {
+                console.warn("DDS worker unavailable, using the main thread:", e.message);
+                this.workersUnavailable = true;
+                resolve(null);
+                return;
+            }
+            worker.onmessage = (e) => {
+                if (e.data.type === 'ready') resolve(worker);
+            };
+            worker.onerror = (e) => {
+                e.preventDefault();
+                console.warn("DDS worker failed to load, using the main thread:", e.message);
+                worker.terminate();
+                this.workersUnavailable = true;
+                resolve(null);
+            };
+        });
+    }
+}
@@ -0,0 +1,42 @@
+// DDS codec worker: runs DDSDecoder / ImageEncoder / MipmapGenerator off the main thread (see dds-codec.js)
+// In:  { type: 'decode', buffer }, { type: 'encode', image: { width, height, data }, options }
+//      or { type: 'resize', image, width, height, filter }
+// Out: { type: 'progress', progress }, then { type: 'result', result } or { type: 'error', message, code, details }
+importScripts('dds.js', 'image-formats.js');
+
+self.onmessage = (e) => {
+    const { type } = e.data;
+
+    // Throttle progress to whole percents so the main thread isn't flooded
+    let lastReported = -1;
+    const onProgress = (progress) => {
+        const percent = Math.floor(progress * 100);
+        if (percent === lastReported) return;
+        lastReported = percent;
+        self.postMessage({ type: 'progress', progress });
+    };
+
+    try {
+        if (type === 'decode') {
+            const result = DDSDecoder.decode(e.data.buffer, { onProgress });
+            // data is the same buffer as mipmaps[0].data; each buffer may only be listed once
+            const transfer = [...new Set(result.mipmaps.map(level => level.data.buffer))];
+            self.postMessage({ type: 'result', result }, transfer);
+        } else if (type === 'encode') {
+            const result = ImageEncoder.encode(e.data.image, { ...e.data.options, onProgress });
+            self.postMessage({ type: 'result', result }, [result]);
+        } else if (type === 'resize') {
+            const { image, width, height, filter } = e.data;
+            const result = MipmapGenerator.resize(image, width, height, filter, onProgress);
+            self.postMessage({ type: 'result', result }, [result.data.buffer]);
+        } else {
+            throw new Error("Unknown codec request: " + type);
+        }
+    } catch (err) {
+        // DDSError code/details survive the trip so the UI can show a precise diagnosis
+        self.postMessage({ type: 'error', message: err.message, code: err.code || null, details: err.details || null });
+    }
+};
+
+// Lets the main thread know the codec loaded before it transfers any buffers
+self.postMessage({ type: 'ready' });
@@ -1,16 +1,32 @@
-// Minimal DDS Decoder for DXT1, DXT3, DXT5
-// Supports legacy DXTn FourCC and DX10 Header (BC1, BC2, BC3)
+// Minimal DDS Decoder for DXT1, DXT3, DXT5, BC4, BC5, BC7 and uncompressed bitmask formats
+// Supports legacy DXTn/ATIn FourCC, RGB/RGBA/luminance/alpha pixel formats and DX10 Header
+// (BC1, BC2, BC3, BC4, BC5, BC7, R8G8B8A8, B8G8R8A8, B8G8R8X8)
+// Encoder writes RGBA, BC1, BC3 and BC7 with an optional filtered mipmap chain
 
 const DDS_MAGIC = 0x20534444;       // "DDS "
 const DDSD_MIPMAPCOUNT = 0x20000;
+const DDSD_LINEARSIZE = 0x80000;
+const DDSCAPS_COMPLEX = 0x8;
+const DDSCAPS_TEXTURE = 0x1000;
+const DDSCAPS_MIPMAP = 0x400000;
+const DDPF_ALPHAPIXELS = 0x1;
+const DDPF_ALPHA = 0x2;
 const DDPF_FOURCC = 0x4;
+const DDPF_RGB = 0x40;
+const DDPF_LUMINANCE = 0x20000;
 
 const FOURCC_DXT1 = 0x31545844; // "DXT1"
 const FOURCC_DXT3 = 0x33545844; // "DXT3"
 const FOURCC_DXT5 = 0x35545844; // "DXT5"
 const FOURCC_DX10 = 0x30315844; // "DX10"
+const FOURCC_ATI1 = 0x31495441; // "ATI1"
+const FOURCC_BC4U = 0x55344342; // "BC4U"
+const FOURCC_ATI2 = 0x32495441; // "ATI2"
+const FOURCC_BC5U = 0x55354342; // "BC5U"
 
 // DXGI Formats for DX10 Header
+const DXGI_FORMAT_R8G8B8A8_UNORM = 28;
+const DXGI_FORMAT_R8G8B8A8_UNORM_SRGB = 29;
 const DXGI_FORMAT_BC1_UNORM = 71;
 const DXGI_FORMAT_BC1_UNORM_SRGB = 72;
 const DXGI_FORMAT_BC2_UNORM = 74;
@@ -20,35 +36,255 @@ const DXGI_FORMAT_BC3_UNORM_SRGB = 78;
 const DXGI_FORMAT_BC4_UNORM = 80;
 const DXGI_FORMAT_BC5_UNORM = 83;
 const DXGI_FORMAT_BC7_UNORM = 98;
+const DXGI_FORMAT_B8G8R8A8_UNORM = 87;
+const DXGI_FORMAT_B8G8R8X8_UNORM = 88;
+const DXGI_FORMAT_B8G8R8A8_UNORM_SRGB = 91;
+const DXGI_FORMAT_B8G8R8X8_UNORM_SRGB = 93;
 const DXGI_FORMAT_BC7_UNORM_SRGB = 99;
 
+// RGB565 expansion to 8 bits with bit replication (matches hardware decoders)
+const expand565R = (c) => ((c >> 8) & 0xF8) | (c >> 13);
+const expand565G = (c) => ((c >> 3) & 0xFC) | ((c >> 9) & 0x3);
+const expand565B = (c) => ((c << 3) & 0xF8) | ((c >> 2) & 0x7);
+
+// BC1 encoder tables: palette weights per mode, endpoint-swap index remaps and 565 channel layout
+const BC1_WEIGHTS_4 = [0, 1, 1 / 3, 2 / 3];
+const BC1_WEIGHTS_3 = [0, 1, 0.5];
+const BC1_SWAP_4 = [1, 0, 3, 2];
+const BC1_SWAP_3 = [1, 0, 2, 3];
+const BC1_CHANNELS_565 = [[11, 31], [5, 63], [0, 31]]; // [shift, max] for R, G, B
+const BC1_PALETTE_SCRATCH = new Float32Array(12);
+
+// BC7 mode table
+// ns: subsets, pb: partition bits, rb: rotation bits, isb: index selection bit,
+// cb/ab: color/alpha endpoint bits, epb: per-endpoint p-bit, spb: shared p-bit,
+// ib/ib2: primary/secondary index bits
+const BC7_MODES = [
+    { ns: 3, pb: 4, rb: 0, isb: 0, cb: 4, ab: 0, epb: 1, spb: 0, ib: 3, ib2: 0 },
+    { ns: 2, pb: 6, rb: 0, isb: 0, cb: 6, ab: 0, epb: 0, spb: 1, ib: 3, ib2: 0 },
+    { ns: 3, pb: 6, rb: 0, isb: 0, cb: 5, ab: 0, epb: 0, spb: 0, ib: 2, ib2: 0 },
+    { ns: 2, pb: 6, rb: 0, isb: 0, cb: 7, ab: 0, epb: 1, spb: 0, ib: 2, ib2: 0 },
+    { ns: 1, pb: 0, rb: 2, isb: 1, cb: 5, ab: 6, epb: 0, spb: 0, ib: 2, ib2: 3 },
+    { ns: 1, pb: 0, rb: 2, isb: 0, cb: 7, ab: 8, epb: 0, spb: 0, ib: 2, ib2: 2 },
+    { ns: 1, pb: 0, rb: 0, isb: 0, cb: 7, ab: 7, epb: 1, spb: 0, ib: 4, ib2: 0 },
+    { ns: 2, pb: 6, rb: 0, isb: 0, cb: 5, ab: 5, epb: 1, spb: 0, ib: 2, ib2: 0 }
+];
+
+// Interpolation weights by index bit count
+const BC7_WEIGHTS = {
+    2: [0, 21, 43, 64],
+    3: [0, 9, 18, 27, 37, 46, 55, 64],
+    4: [0, 4, 9, 13, 17, 21, 26, 30, 34, 38, 43, 47, 51, 55, 60, 64]
+};
+
+// Partition tables: one string per shape, one digit (subset) per pixel
+const BC7_PARTITIONS_2 = [
+    '0011001100110011', '0001000100010001', '0111011101110111', '0001001100110111',
+    '0000000100010011', '0011011101111111', '0001001101111111', '0000000100110111',
+    '0000000000010011', '0011011111111111', '0000000101111111', '0000000000010111',
+    '0001011111111111', '0000000011111111', '0000111111111111', '0000000000001111',
+    '0000100011101111', '0111000100000000', '0000000010001110', '0111001100010000',
+    '0011000100000000', '0000100011001110', '0000000010001100', '0111001100110001',
+    '0011000100010000', '0000100010001100', '0110011001100110', '0011011001101100',
+    '0001011111101000', '0000111111110000', '0111000110001110', '0011100110011100',
+    '0101010101010101', '0000111100001111', '0101101001011010', '0011001111001100',
+    '0011110000111100', '0101010110101010', '0110100101101001', '0101101010100101',
+    '0111001111001110', '0001001111001000', '0011001001001100', '0011101111011100',
+    '0110100110010110', '0011110011000011', '0110011010011001', '0000011001100000',
+    '0100111001000000', '0010011100100000', '0000001001110010', '0000010011100100',
+    '0110110010010011', '0011011011001001', '0110001110011100', '0011100111000110',
+    '0110110011001001', '0110001100111001', '0111111010000001', '0001100011100111',
+    '0000111100110011', '0011001111110000', '0010001011101110', '0100010001110111'
+].map(p => Uint8Array.from(p, Number));
+
+const BC7_PARTITIONS_3 = [
+    '0011001102212222', '0001001122112221', '0000200122112211', '0222002200110111',
+    '0000000011221122', '0011001100220022', '0022002211111111', '0011001122112211',
+    '0000000011112222', '0000111111112222', '0000111122222222', '0012001200120012',
+    '0112011201120112', '0122012201220122', '0011011211221222', '0011200122002220',
+    '0001001101121122', '0111001120012200', '0000112211221122', '0022002200221111',
+    '0111011102220222', '0001000122212221', '0000001101220122', '0000110022102210',
+    '0122012200110000', '0012001211222222', '0110122112210110', '0000011012211221',
+    '0022110211020022', '0110011020022222', '0011012201220011', '0000200022112221',
+    '0000000211221222', '0222002200120011', '0011001200220222', '0120012001200120',
+    '0000111122220000', '0120120120120120', '0120201212010120', '0011220011220011',
+    '0011112222000011', '0101010122222222', '0000000021212121', '0022112200221122',
+    '0022001100220011', '0220122102201221', '0101222222220101', '0000212121212121',
+    '0101010101012222', '0222011102220111', '0002111200021112', '0000211221122112',
+    '0222011101110222', '0002111211120002', '0110011001102222', '0000000021122112',
+    '0110011022222222', '0022001100110022', '0022112211220022', '0000000000002112',
+    '0002000100020001', '0222122202221222', '0101222222222222', '0111201122012220'
+].map(p => Uint8Array.from(p, Number));
+
+// Anchor (fix-up) pixel of the second subset for 2-subset shapes
+const BC7_ANCHORS_2 = [
+    15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15,
+    15, 2, 8, 2, 2, 8, 8, 15, 2, 8, 2, 2, 8, 8, 2, 2,
+    15, 15, 6, 8, 2, 8, 15, 15, 2, 8, 2, 2, 2, 15, 15, 6,
+    6, 2, 6, 8, 15, 15, 2, 2, 15, 15, 15, 15, 15, 2, 2, 15
+];
+
+// Anchor pixels of the second and third subsets for 3-subset shapes
+const BC7_ANCHORS_3A = [
+    3, 3, 15, 15, 8, 3, 15, 15, 8, 8, 6, 6, 6, 5, 3, 3,
+    3, 3, 8, 15, 3, 3, 6, 10, 5, 8, 8, 6, 8, 5, 15, 15,
+    8, 15, 3, 5, 6, 10, 8, 15, 15, 3, 15, 5, 15, 15, 15, 15,
+    3, 15, 5, 5, 5, 8, 5, 10, 5, 10, 8, 13, 15, 12, 3, 3
+];
+const BC7_ANCHORS_3B = [
+    15, 8, 8, 3, 15, 15, 3, 8, 15, 15, 15, 15, 15, 15, 15, 8,
+    15, 8, 15, 3, 15, 8, 15, 8, 3, 15, 6, 10, 15, 15, 10, 8,
+    15, 3, 15, 10, 10, 8, 9, 10, 6, 15, 8, 15, 3, 6, 6, 8,
+    15, 3, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 3, 15, 15, 8
+];
+
+// BC7 encoder search per effort level: candidate modes (in trial order) for opaque blocks and
+// for blocks with transparency, partitions refined per multi-subset mode, least-squares rounds,
+// the alpha rotations tried for modes 4/5, the block error at which the search stops early, the
+// most mode fits tried per block, and a typical encode rate on noise (blocks per millisecond, from a
+// desktop browser) for time estimates. 'high' still considers every mode, shape and rotation; the
+// trial cap keeps each block to its most promising candidates.
+const BC7_EFFORT = {
+    fast: { opaqueModes: [6], alphaModes: [6], partitions: 0, refinements: 0, rotations: [0], goodEnough: 0, maxTrials: 1, blocksPerMs: 25 },
+    balanced: { opaqueModes: [6, 1, 3], alphaModes: [6, 5, 7], partitions: 2, refinements: 1, rotations: [0], goodEnough: 48, maxTrials: 5, blocksPerMs: 6 },
+    high: { opaqueModes: [6, 1, 3, 0, 2, 4, 5, 7], alphaModes: [6, 5, 7, 4], partitions: 8, refinements: 2, rotations: [0, 1, 2, 3], goodEnough: 16, maxTrials: 16, blocksPerMs: 1.4 }
+};
+
+const DDS_RESOURCE_DIMENSION_TEXTURE2D = 3;
+const BC7_ALL_PIXELS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+const BC7_PBITS_NONE = [[0, 0]];
+const BC7_PBITS_SHARED = [[0, 0], [1, 1]];
+const BC7_PBITS_ENDPOINT = [[0, 0], [0, 1], [1, 0], [1, 1]];
+const BC7_ALL_PARTITIONS = Array.from({ length: 64 }, (_, i) => i);
+const BC7_PALETTE_SCRATCH = new Int32Array(64);
+const BC7_Q0_SCRATCH = new Uint8Array(4);
+const BC7_Q1_SCRATCH = new Uint8Array(4);
+const BC7_D0_SCRATCH = new Uint8Array(4);
+const BC7_D1_SCRATCH = new Uint8Array(4);
+const BC7_INDEX_SCRATCH = new Uint8Array(16);
+
+// Closest index for each interpolation weight 0..64, per index bit count
+const BC7_NEAREST_WEIGHT = {};
+for (const bits of [2, 3, 4]) {
+    BC7_NEAREST_WEIGHT[bits] = Uint8Array.from({ length: 65 }, (_, w) => {
+        let best = 0;
+        BC7_WEIGHTS[bits].forEach((v, k) => {
+            if (Math.abs(v - w) < Math.abs(BC7_WEIGHTS[bits][best] - w)) best = k;
+        });
+        return best;
+    });
+}
+const BC7_RANK_TERMS = new Float64Array(16 * 15);
+const BC7_RANK_SUMS = new Float64Array(3 * 15);
+const BC7_COVARIANCE_SCRATCH = new Float64Array(16);
+const BC7_AXIS_SCRATCH = new Float64Array(4);
+const BC7_AXIS_NEXT_SCRATCH = new Float64Array(4);
+
+// DXGI format names for diagnostics (decodable ones plus what BeamNG mods commonly ship)
+const DXGI_FORMAT_NAMES = {
+    2: 'R32G32B32A32_FLOAT', 10: 'R16G16B16A16_FLOAT', 24: 'R10G10B10A2_UNORM',
+    28: 'R8G8B8A8_UNORM', 29: 'R8G8B8A8_UNORM_SRGB', 49: 'R8G8_UNORM', 61: 'R8_UNORM', 65: 'A8_UNORM',
+    70: 'BC1_TYPELESS', 71: 'BC1_UNORM', 72: 'BC1_UNORM_SRGB',
+    73: 'BC2_TYPELESS', 74: 'BC2_UNORM', 75: 'BC2_UNORM_SRGB',
+    76: 'BC3_TYPELESS', 77: 'BC3_UNORM', 78: 'BC3_UNORM_SRGB',
+    79: 'BC4_TYPELESS', 80: 'BC4_UNORM', 81: 'BC4_SNORM',
+    82: 'BC5_TYPELESS', 83: 'BC5_UNORM', 84: 'BC5_SNORM',
+    87: 'B8G8R8A8_UNORM', 88: 'B8G8R8X8_UNORM', 91: 'B8G8R8A8_UNORM_SRGB', 93: 'B8G8R8X8_UNORM_SRGB',
+    94: 'BC6H_TYPELESS', 95: 'BC6H_UF16', 96: 'BC6H_SF16',
+    97: 'BC7_TYPELESS', 98: 'BC7_UNORM', 99: 'BC7_UNORM_SRGB'
+};
+
+const DXGI_SRGB_FORMATS = [
+    DXGI_FORMAT_R8G8B8A8_UNORM_SRGB, DXGI_FORMAT_BC1_UNORM_SRGB, DXGI_FORMAT_BC2_UNORM_SRGB, DXGI_FORMAT_BC3_UNORM_SRGB,
+    DXGI_FORMAT_B8G8R8A8_UNORM_SRGB, DXGI_FORMAT_B8G8R8X8_UNORM_SRGB, DXGI_FORMAT_BC7_UNORM_SRGB
+];
+
+// Header flag names for the inspector
+const DDSD_FLAG_NAMES = { 0x1: 'CAPS', 0x2: 'HEIGHT', 0x4: 'WIDTH', 0x8: 'PITCH', 0x1000: 'PIXELFORMAT', 0x20000: 'MIPMAPCOUNT', 0x80000: 'LINEARSIZE', 0x800000: 'DEPTH' };
+const DDPF_FLAG_NAMES = { 0x1: 'ALPHAPIXELS', 0x2: 'ALPHA', 0x4: 'FOURCC', 0x40: 'RGB', 0x200: 'YUV', 0x20000: 'LUMINANCE' };
+const DDSCAPS_FLAG_NAMES = { 0x8: 'COMPLEX', 0x1000: 'TEXTURE', 0x400000: 'MIPMAP' };
+const DDSCAPS2_CUBEMAP = 0x200;
+const DDSCAPS2_VOLUME = 0x200000;
+
+// Non-printable bytes show as '?' so binary magic numbers stay readable in messages
+const fourCCToString = (value) => [0, 8, 16, 24]
+    .map(shift => (value >>> shift) & 0xFF)
+    .map(c => (c >= 32 && c < 127) ? String.fromCharCode(c) : '?')
+    .join('');
+
+// Decode failures carry a stable `code` and the offending values in `details`:
+// TOO_SMALL, BAD_MAGIC, BAD_DIMENSIONS, UNSUPPORTED_PIXEL_FORMAT, UNSUPPORTED_BIT_COUNT,
+// UNSUPPORTED_FOURCC, UNSUPPORTED_DXGI_FORMAT, TRUNCATED
+class DDSError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'DDSError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
 class DDSDecoder {
     static parseHeader(buffer) {
+        if (buffer.byteLength < 128) {
+            throw new DDSError('TOO_SMALL', `File is ${buffer.byteLength} bytes, smaller than a DDS header (128 bytes)`, { size: buffer.byteLength });
+        }
         const view = new DataView(buffer);
-        if (view.getUint32(0, true) !== DDS_MAGIC) {
-            throw new Error("Invalid DDS magic");
+        const magic = view.getUint32(0, true);
+        if (magic !== DDS_MAGIC) {
+            throw new DDSError('BAD_MAGIC', `Not a DDS file (starts with "${fourCCToString(magic)}" instead of "DDS ")`, { magic });
         }
 
         const height = view.getUint32(12, true);
         const width = view.getUint32(16, true);
-        const mipmapCount = (view.getUint32(20, true) & DDSD_MIPMAPCOUNT) ? Math.max(1, view.getUint32(28, true)) : 1;
-
-        const pfFlags = view.getUint32(80, true);
-        if (!(pfFlags & DDPF_FOURCC)) {
-            throw new Error("Only Compressed DDS (FourCC) supported");
+        if (!width || !height) {
+            throw new DDSError('BAD_DIMENSIONS', `Invalid texture size ${width}x${height}`, { width, height });
         }
+        const mipmapCount = (view.getUint32(8, true) & DDSD_MIPMAPCOUNT) ? Math.max(1, view.getUint32(28, true)) : 1;
 
+        const pfFlags = view.getUint32(80, true);
         const fourCC = view.getUint32(84, true);
         let format = null;
+        let pixelFormat = null;
+        let dxgiFormat = null;
         let dataOffset = 128; // Standard Header size
 
+        if (!(pfFlags & DDPF_FOURCC)) {
+            // Uncompressed: channels are described by the bit masks at 88-104
+            if (!(pfFlags & (DDPF_RGB | DDPF_LUMINANCE | DDPF_ALPHA))) {
+                throw new DDSError('UNSUPPORTED_PIXEL_FORMAT', "Unsupported pixel format flags: 0x" + pfFlags.toString(16), { pfFlags });
+            }
+            const hasAlpha = (pfFlags & (DDPF_ALPHAPIXELS | DDPF_ALPHA)) !== 0;
+            pixelFormat = {
+                bitCount: view.getUint32(88, true),
+                rMask: (pfFlags & (DDPF_RGB | DDPF_LUMINANCE)) ? view.getUint32(92, true) : 0, // Luminance mask for L8/A8L8
+                gMask: (pfFlags & DDPF_RGB) ? view.getUint32(96, true) : 0,
+                bMask: (pfFlags & DDPF_RGB) ? view.getUint32(100, true) : 0,
+                aMask: hasAlpha ? view.getUint32(104, true) : 0,
+                luminance: (pfFlags & DDPF_LUMINANCE) !== 0
+            };
+            if (![8, 16, 24, 32].includes(pixelFormat.bitCount)) {
+                throw new DDSError('UNSUPPORTED_BIT_COUNT', `Unsupported bit count: ${pixelFormat.bitCount}`, { bitCount: pixelFormat.bitCount });
+            }
+            // Some writers store masks wider than the pixel; fall back to the usual L8/A8L8 layout
+            const fits = (mask) => pixelFormat.bitCount === 32 || (mask >>> pixelFormat.bitCount) === 0;
+            if (pixelFormat.luminance && !fits(pixelFormat.rMask)) pixelFormat.rMask = 0xFF;
+            if (!fits(pixelFormat.aMask)) pixelFormat.aMask = pixelFormat.bitCount === 16 ? 0xFF00 : 0;
+            return { width, height, format: 'RGB', pixelFormat, mipmapCount, dataOffset, srgb: null };
+        }
+
         // Check for Standard FourCC
         if (fourCC === FOURCC_DXT1) format = 'DXT1';
         else if (fourCC === FOURCC_DXT3) format = 'DXT3';
         else if (fourCC === FOURCC_DXT5) format = 'DXT5';
+        else if (fourCC === FOURCC_ATI1 || fourCC === FOURCC_BC4U) format = 'BC4';
+        else if (fourCC === FOURCC_ATI2 || fourCC === FOURCC_BC5U) format = 'BC5';
         else if (fourCC === FOURCC_DX10) {
             // Handle DX10 Header
-            const dxgiFormat = view.getUint32(128, true);
+            if (buffer.byteLength < 148) {
+                throw new DDSError('TOO_SMALL', "File ends inside the DX10 header", { size: buffer.byteLength });
+            }
+            dxgiFormat = view.getUint32(128, true);
 
             // Map DXGI formats to DXT
             if (dxgiFormat === DXGI_FORMAT_BC1_UNORM || dxgiFormat === DXGI_FORMAT_BC1_UNORM_SRGB) format = 'DXT1';
@@ -56,46 +292,230 @@ class DDSDecoder {
             else if (dxgiFormat === DXGI_FORMAT_BC3_UNORM || dxgiFormat === DXGI_FORMAT_BC3_UNORM_SRGB) format = 'DXT5';
             else if (dxgiFormat === DXGI_FORMAT_BC4_UNORM) format = 'BC4';
             else if (dxgiFormat === DXGI_FORMAT_BC5_UNORM) format = 'BC5';
-            else if (dxgiFormat === DXGI_FORMAT_BC7_UNORM || dxgiFormat === DXGI_FORMAT_BC7_UNORM_SRGB) {
-                throw new Error("Unsupported Texture Format.\n\nThe file uses BC7 compression, which browsers cannot read.\n\nPlease convert this skin to DXT5 (BC3) format using Paint.NET or Photoshop and upload it manually.\n\nSee the guide for more information.");
-            }
-            else {
-                throw new Error(`Unsupported DXGI Format: ${dxgiFormat}`);
+            else if (dxgiFormat === DXGI_FORMAT_BC7_UNORM || dxgiFormat === DXGI_FORMAT_BC7_UNORM_SRGB) format = 'BC7';
+            else if (dxgiFormat === DXGI_FORMAT_R8G8B8A8_UNORM || dxgiFormat === DXGI_FORMAT_R8G8B8A8_UNORM_SRGB) {
+                format = 'RGB';
+                pixelFormat = { bitCount: 32, rMask: 0x000000FF, gMask: 0x0000FF00, bMask: 0x00FF0000, aMask: 0xFF000000, luminance: false };
+            } else if (dxgiFormat === DXGI_FORMAT_B8G8R8A8_UNORM || dxgiFormat === DXGI_FORMAT_B8G8R8A8_UNORM_SRGB) {
+                format = 'RGB';
+                pixelFormat = { bitCount: 32, rMask: 0x00FF0000, gMask: 0x0000FF00, bMask: 0x000000FF, aMask: 0xFF000000, luminance: false };
+            } else if (dxgiFormat === DXGI_FORMAT_B8G8R8X8_UNORM || dxgiFormat === DXGI_FORMAT_B8G8R8X8_UNORM_SRGB) {
+                format = 'RGB';
+                pixelFormat = { bitCount: 32, rMask: 0x00FF0000, gMask: 0x0000FF00, bMask: 0x000000FF, aMask: 0, luminance: false };
+            } else {
+                const name = DXGI_FORMAT_NAMES[dxgiFormat];
+                throw new DDSError('UNSUPPORTED_DXGI_FORMAT',
+                    `Unsupported DXGI Format: ${dxgiFormat}${name ? ` (${name})` : ''}`, { dxgiFormat, name: name || null });
             }
 
             dataOffset = 148; // 128 (standard) + 20 (DX10)
         } else {
-            throw new Error("Unsupported FourCC: " + fourCC.toString(16));
+            const name = fourCCToString(fourCC);
+            throw new DDSError('UNSUPPORTED_FOURCC', `Unsupported FourCC: "${name}" (0x${fourCC.toString(16)})`, { fourCC, name });
         }
 
-        return { width, height, format, mipmapCount, dataOffset };
+        // Only DX10 headers say whether color is sRGB; legacy FourCC files leave it unspecified
+        const srgb = dxgiFormat === null ? null : DXGI_SRGB_FORMATS.includes(dxgiFormat);
+        return { width, height, format, pixelFormat, mipmapCount, dataOffset, dxgiFormat, srgb };
     }
 
-    static decode(buffer) {
+    // Decodes every stored mip level; the top level is also returned as width/height/data
+    // options.onProgress(fraction) is called after each level
+    static decode(buffer, options = {}) {
         const header = this.parseHeader(buffer);
-        const dataView = new DataView(buffer, header.dataOffset);
-
-        let byteArray;
-
-        if (header.format === 'DXT1') {
-            byteArray = this.decodeDXT1(dataView, header.width, header.height);
-        } else if (header.format === 'DXT3') {
-            byteArray = this.decodeDXT3(dataView, header.width, header.height);
-        } else if (header.format === 'DXT5') {
-            byteArray = this.decodeDXT5(dataView, header.width, header.height);
-        } else if (header.format === 'BC4') {
-            byteArray = this.decodeBC4(dataView, header.width, header.height);
-        } else if (header.format === 'BC5') {
-            byteArray = this.decodeBC5(dataView, header.width, header.height);
+        const mipmaps = [];
+        let offset = header.dataOffset;
+        let width = header.width;
+        let height = header.height;
+
+        for (let level = 0; level < header.mipmapCount; level++) {
+            const size = this.levelSize(header, width, height);
+            if (offset + size > buffer.byteLength) {
+                if (level === 0) {
+                    const available = Math.max(0, buffer.byteLength - offset);
+                    throw new DDSError('TRUNCATED', `DDS file is truncated: the top level needs ${size} bytes but only ${available} are present`,
+                        { expected: size, actual: available });
+                }
+                break; // Some exporters over-report the mip count; keep the levels that exist
+            }
+            mipmaps.push({ width, height, data: this.decodeLevel(header, new DataView(buffer, offset), width, height) });
+            offset += size;
+            if (options.onProgress) options.onProgress(offset / buffer.byteLength);
+            width = Math.max(1, width >> 1);
+            height = Math.max(1, height >> 1);
         }
 
         return {
             width: header.width,
             height: header.height,
-            data: byteArray // Uint8ClampedArray (RGBA)
+            format: header.format, // 'BC4' is greyscale, 'BC5' holds X/Y in red/green (blue is 0)
+            data: mipmaps[0].data, // Uint8ClampedArray (RGBA)
+            mipmaps
         };
     }
 
+    // Reads every header field without decoding pixels. Never throws: problems that would make
+    // decode() fail are reported in `error`, everything else suspicious goes in `warnings`.
+    static inspect(buffer) {
+        const report = { fileSize: buffer.byteLength, header: null, pixelFormat: null, dx10: null, derived: null, warnings: [], error: null };
+        const view = new DataView(buffer);
+        const flagNames = (value, names) => Object.keys(names).filter(bit => value & bit).map(bit => names[bit]);
+
+        if (buffer.byteLength >= 128) {
+            const flags = view.getUint32(8, true);
+            const caps = view.getUint32(108, true);
+            const caps2 = view.getUint32(112, true);
+            report.header = {
+                magic: fourCCToString(view.getUint32(0, true)),
+                size: view.getUint32(4, true),
+                flags, flagNames: flagNames(flags, DDSD_FLAG_NAMES),
+                height: view.getUint32(12, true),
+                width: view.getUint32(16, true),
+                pitchOrLinearSize: view.getUint32(20, true),
+                depth: view.getUint32(24, true),
+                mipmapCount: view.getUint32(28, true),
+                caps, capsNames: flagNames(caps, DDSCAPS_FLAG_NAMES),
+                caps2
+            };
+            const pfFlags = view.getUint32(80, true);
+            report.pixelFormat = {
+                size: view.getUint32(76, true),
+                flags: pfFlags, flagNames: flagNames(pfFlags, DDPF_FLAG_NAMES),
+                fourCC: (pfFlags & DDPF_FOURCC) ? fourCCToString(view.getUint32(84, true)) : null,
+                bitCount: view.getUint32(88, true),
+                rMask: view.getUint32(92, true), gMask: view.getUint32(96, true),
+                bMask: view.getUint32(100, true), aMask: view.getUint32(104, true)
+            };
+            if (report.pixelFormat.fourCC === 'DX10' && buffer.byteLength >= 148) {
+                const dxgiFormat = view.getUint32(128, true);
+                report.dx10 = {
+                    dxgiFormat, dxgiName: DXGI_FORMAT_NAMES[dxgiFormat] || 'Unknown',
+                    resourceDimension: view.getUint32(132, true),
+                    miscFlag: view.getUint32(136, true),
+                    arraySize: view.getUint32(140, true),
+                    alphaMode: view.getUint32(144, true) & 0x7
+                };
+            }
+        }
+
+        let header;
+        try {
+            header = this.parseHeader(buffer);
+        } catch (err) {
+            report.error = { code: err.code || 'UNKNOWN', message: err.message };
+            return report;
+        }
+
+        // Walk the mip chain the same way decode() does
+        let expected = 0;
+        let completeLevels = 0;
+        let width = header.width;
+        let height = header.height;
+        for (let level = 0; level < header.mipmapCount; level++) {
+            const size = this.levelSize(header, width, height);
+            if (header.dataOffset + expected + size <= buffer.byteLength) completeLevels++;
+            expected += size;
+            width = Math.max(1, width >> 1);
+            height = Math.max(1, height >> 1);
+        }
+        const actual = buffer.byteLength - header.dataOffset;
+        const blockCompressed = header.format !== 'RGB';
+        report.derived = {
+            format: header.format === 'RGB' ? `Uncompressed ${header.pixelFormat.bitCount}-bit` : header.format,
+            colorSpace: header.srgb === null ? 'Unspecified (treated as sRGB)' : (header.srgb ? 'sRGB' : 'Linear'),
+            blockCompressed,
+            dataOffset: header.dataOffset,
+            expectedDataSize: expected,
+            actualDataSize: actual,
+            mipmapCount: header.mipmapCount,
+            completeLevels
+        };
+
+        const h = report.header;
+        const warn = (text) => report.warnings.push(text);
+        if (h.size !== 124) warn(`Header size field is ${h.size}, expected 124`);
+        if (blockCompressed && (header.width % 4 || header.height % 4)) {
+            warn(`${header.width}x${header.height} is not a multiple of 4; edge blocks are padded and some tools reject it`);
+        }
+        if ((header.width & (header.width - 1)) || (header.height & (header.height - 1))) {
+            warn(`${header.width}x${header.height} is not a power of two`);
+        }
+        if (completeLevels === 0) {
+            warn(`Truncated: the top level needs ${this.levelSize(header, header.width, header.height)} bytes, file has ${actual}`);
+        } else if (completeLevels < header.mipmapCount) {
+            warn(`Truncated: only ${completeLevels} of ${header.mipmapCount} mip levels are present (${actual} of ${expected} bytes)`);
+        } else if (actual > expected) {
+            warn(`${actual - expected} unexpected bytes after the last mip level`);
+        }
+        if (header.mipmapCount > 1 && !(h.flags & DDSD_MIPMAPCOUNT)) warn("Mip count is set but the MIPMAPCOUNT flag is missing");
+        if (header.mipmapCount > 1 && !(h.caps & DDSCAPS_MIPMAP)) warn("Has mip levels but the MIPMAP cap is missing");
+        const topSize = this.levelSize(header, header.width, header.height);
+        if ((h.flags & DDSD_LINEARSIZE) && h.pitchOrLinearSize !== topSize) {
+            warn(`Linear size field is ${h.pitchOrLinearSize}, expected ${topSize}`);
+        }
+        if (h.caps2 & DDSCAPS2_CUBEMAP) warn("Cubemap: only the first face is used");
+        if (h.caps2 & DDSCAPS2_VOLUME) warn("Volume texture: only the first slice is used");
+        if (report.dx10 && report.dx10.arraySize > 1) warn(`Texture array of ${report.dx10.arraySize}: only the first element is used`);
+        if (report.dx10 && report.dx10.resourceDimension !== DDS_RESOURCE_DIMENSION_TEXTURE2D) {
+            warn(`Resource dimension is ${report.dx10.resourceDimension}, expected 3 (Texture2D)`);
+        }
+
+        return report;
+    }
+
+    static decodeLevel(header, dataView, width, height) {
+        const format = header.format;
+        if (format === 'RGB') return this.decodeMasked(dataView, width, height, header.pixelFormat);
+        if (format === 'DXT1') return this.decodeDXT1(dataView, width, height);
+        if (format === 'DXT3') return this.decodeDXT3(dataView, width, height);
+        if (format === 'DXT5') return this.decodeDXT5(dataView, width, height);
+        if (format === 'BC4') return this.decodeBC4(dataView, width, height);
+        if (format === 'BC5') return this.decodeBC5(dataView, width, height);
+        if (format === 'BC7') return this.decodeBC7(dataView, width, height);
+        throw new Error("Unsupported format: " + format);
+    }
+
+    // Byte size of one mip level
+    static levelSize(header, width, height) {
+        const format = header.format;
+        if (format === 'RGB') return width * height * (header.pixelFormat.bitCount / 8);
+        const blockBytes = (format === 'DXT1' || format === 'BC4') ? 8 : 16;
+        return Math.max(1, Math.ceil(width / 4)) * Math.max(1, Math.ceil(height / 4)) * blockBytes;
+    }
+
+    // Uncompressed 8/16/24/32-bit pixels, channels extracted by mask and rescaled to 8 bits
+    static decodeMasked(view, width, height, pf) {
+        const rgba = new Uint8ClampedArray(width * height * 4);
+        const bytes = pf.bitCount / 8;
+        const channel = (mask) => {
+            if (!mask) return null;
+            let shift = 0;
+            while (!((mask >>> shift) & 1)) shift++;
+            return { mask, shift, max: mask >>> shift };
+        };
+        const extract = (value, c) => Math.round(((value & c.mask) >>> c.shift) * 255 / c.max);
+        const r = channel(pf.rMask), g = channel(pf.gMask), b = channel(pf.bMask), a = channel(pf.aMask);
+
+        for (let i = 0, offset = 0; i < width * height; i++, offset += bytes) {
+            let value = view.getUint8(offset);
+            if (bytes > 1) value |= view.getUint8(offset + 1) << 8;
+            if (bytes > 2) value |= view.getUint8(offset + 2) << 16;
+            if (bytes > 3) value = (value | (view.getUint8(offset + 3) << 24)) >>> 0;
+
+            const idx = i * 4;
+            if (pf.luminance) {
+                const l = r ? extract(value, r) : 0;
+                rgba[idx] = rgba[idx + 1] = rgba[idx + 2] = l;
+            } else {
+                rgba[idx] = r ? extract(value, r) : 0;
+                rgba[idx + 1] = g ? extract(value, g) : 0;
+                rgba[idx + 2] = b ? extract(value, b) : 0;
+            }
+            rgba[idx + 3] = a ? extract(value, a) : 255;
+        }
+        return rgba;
+    }
+
     // DXT1 Decompression
     static decodeDXT1(view, width, height) {
         const rgba = new Uint8ClampedArray(width * height * 4);
@@ -108,13 +528,13 @@ class DDSDecoder {
                 const code = view.getUint32(offset + 4, true);
                 offset += 8;
 
-                const r0 = (c0 & 0xF800) >> 8;
-                const g0 = (c0 & 0x07E0) >> 3;
-                const b0 = (c0 & 0x001F) << 3;
+                const r0 = expand565R(c0);
+                const g0 = expand565G(c0);
+                const b0 = expand565B(c0);
 
-                const r1 = (c1 & 0xF800) >> 8;
-                const g1 = (c1 & 0x07E0) >> 3;
-                const b1 = (c1 & 0x001F) << 3;
+                const r1 = expand565R(c1);
+                const g1 = expand565G(c1);
+                const b1 = expand565B(c1);
 
                 for (let py = 0; py < 4; py++) {
                     if (y + py >= height) continue;
@@ -171,13 +591,13 @@ class DDSDecoder {
                 const code = view.getUint32(offset + 4, true);
                 offset += 8;
 
-                const r0 = (c0 & 0xF800) >> 8;
-                const g0 = (c0 & 0x07E0) >> 3;
-                const b0 = (c0 & 0x001F) << 3;
+                const r0 = expand565R(c0);
+                const g0 = expand565G(c0);
+                const b0 = expand565B(c0);
 
-                const r1 = (c1 & 0xF800) >> 8;
-                const g1 = (c1 & 0x07E0) >> 3;
-                const b1 = (c1 & 0x001F) << 3;
+                const r1 = expand565R(c1);
+                const g1 = expand565G(c1);
+                const b1 = expand565B(c1);
 
                 for (let py = 0; py < 4; py++) {
                     if (y + py >= height) continue;
@@ -236,13 +656,13 @@ class DDSDecoder {
                 const code = view.getUint32(offset + 4, true);
                 offset += 8;
 
-                const r0 = (c0 & 0xF800) >> 8;
-                const g0 = (c0 & 0x07E0) >> 3;
-                const b0 = (c0 & 0x001F) << 3;
+                const r0 = expand565R(c0);
+                const g0 = expand565G(c0);
+                const b0 = expand565B(c0);
 
-                const r1 = (c1 & 0xF800) >> 8;
-                const g1 = (c1 & 0x07E0) >> 3;
-                const b1 = (c1 & 0x001F) << 3;
+                const r1 = expand565R(c1);
+                const g1 = expand565G(c1);
+                const b1 = expand565B(c1);
 
                 // Precompute alphas
                 const alphas = new Float32Array(8);
@@ -360,18 +780,452 @@ class DDSDecoder {
         }
         return rgba;
     }
+
+    // BC7 Decompression (8 modes, partitions, p-bits, rotation and index selection)
+    static decodeBC7(view, width, height) {
+        const rgba = new Uint8ClampedArray(width * height * 4);
+        const words = new Uint32Array(4);
+        const texels = new Uint8Array(64); // 4x4 RGBA
+        let offset = 0;
+
+        for (let y = 0; y < height; y += 4) {
+            for (let x = 0; x < width; x += 4) {
+                for (let i = 0; i < 4; i++) words[i] = view.getUint32(offset + i * 4, true);
+                offset += 16;
+
+                this.decodeBC7Block(words, texels);
+
+                for (let py = 0; py < 4; py++) {
+                    if (y + py >= height) continue;
+                    for (let px = 0; px < 4; px++) {
+                        if (x + px >= width) continue;
+                        const src = 4 * (py * 4 + px);
+                        const idx = 4 * ((y + py) * width + (x + px));
+                        rgba[idx] = texels[src];
+                        rgba[idx + 1] = texels[src + 1];
+                        rgba[idx + 2] = texels[src + 2];
+                        rgba[idx + 3] = texels[src + 3];
+                    }
+                }
+            }
+        }
+        return rgba;
+    }
+
+    // Decodes one 128-bit BC7 block (four little-endian words) into 16 RGBA texels
+    static decodeBC7Block(words, out) {
+        // Mode is the position of the lowest set bit of the first byte
+        const modeByte = words[0] & 0xFF;
+        if (modeByte === 0) {
+            out.fill(0); // Reserved mode: transparent black per spec
+            return;
+        }
+        let mode = 0;
+        while (!(modeByte & (1 << mode))) mode++;
+        const m = BC7_MODES[mode];
+
+        let pos = mode + 1;
+        const read = (count) => {
+            const w = pos >>> 5;
+            const b = pos & 31;
+            let v = words[w] >>> b;
+            if (b + count > 32) v |= words[w + 1] << (32 - b);
+            pos += count;
+            return v & ((1 << count) - 1);
+        };
+
+        const partition = m.pb ? read(m.pb) : 0;
+        const rotation = m.rb ? read(m.rb) : 0;
+        const indexSelection = m.isb ? read(1) : 0;
+
+        // Endpoints: all reds, then greens, then blues, then alphas
+        const numEndpoints = m.ns * 2;
+        const endpoints = new Uint8Array(numEndpoints * 4);
+        for (let c = 0; c < 3; c++) {
+            for (let e = 0; e < numEndpoints; e++) endpoints[e * 4 + c] = read(m.cb);
+        }
+        if (m.ab) {
+            for (let e = 0; e < numEndpoints; e++) endpoints[e * 4 + 3] = read(m.ab);
+        }
+
+        // P-bits extend every channel by one LSB
+        const channels = m.ab ? 4 : 3;
+        if (m.epb) {
+            for (let e = 0; e < numEndpoints; e++) {
+                const p = read(1);
+                for (let c = 0; c < channels; c++) endpoints[e * 4 + c] = (endpoints[e * 4 + c] << 1) | p;
+            }
+        } else if (m.spb) {
+            for (let s = 0; s < m.ns; s++) {
+                const p = read(1);
+                for (let e = s * 2; e < s * 2 + 2; e++) {
+                    for (let c = 0; c < channels; c++) endpoints[e * 4 + c] = (endpoints[e * 4 + c] << 1) | p;
+                }
+            }
+        }
+
+        // Expand to 8 bits by replicating the high bits into the low bits
+        const hasPBit = (m.epb || m.spb) ? 1 : 0;
+        const colorBits = m.cb + hasPBit;
+        const alphaBits = m.ab ? m.ab + hasPBit : 0;
+        for (let e = 0; e < numEndpoints; e++) {
+            for (let c = 0; c < 3; c++) {
+                const v = endpoints[e * 4 + c];
+                endpoints[e * 4 + c] = (v << (8 - colorBits)) | (v >> (2 * colorBits - 8));
+            }
+            if (alphaBits) {
+                const a = endpoints[e * 4 + 3];
+                endpoints[e * 4 + 3] = (a << (8 - alphaBits)) | (a >> (2 * alphaBits - 8));
+            } else {
+                endpoints[e * 4 + 3] = 255;
+            }
+        }
+
+        // Indices (anchor texels store one bit less)
+        const subsets = m.ns === 2 ? BC7_PARTITIONS_2[partition] : (m.ns === 3 ? BC7_PARTITIONS_3[partition] : null);
+        const anchor2 = m.ns === 2 ? BC7_ANCHORS_2[partition] : (m.ns === 3 ? BC7_ANCHORS_3A[partition] : -1);
+        const anchor3 = m.ns === 3 ? BC7_ANCHORS_3B[partition] : -1;
+
+        const indices = new Uint8Array(16);
+        for (let i = 0; i < 16; i++) {
+            const isAnchor = i === 0 || i === anchor2 || i === anchor3;
+            indices[i] = read(isAnchor ? m.ib - 1 : m.ib);
+        }
+        let indices2 = null;
+        if (m.ib2) {
+            indices2 = new Uint8Array(16);
+            for (let i = 0; i < 16; i++) indices2[i] = read(i === 0 ? m.ib2 - 1 : m.ib2);
+        }
+
+        const weights = BC7_WEIGHTS[m.ib];
+        const weights2 = m.ib2 ? BC7_WEIGHTS[m.ib2] : weights;
+
+        for (let i = 0; i < 16; i++) {
+            const s = subsets ? subsets[i] : 0;
+            const e0 = s * 8;
+            const e1 = e0 + 4;
+
+            let wColor, wAlpha;
+            if (indices2) {
+                wColor = indexSelection ? weights2[indices2[i]] : weights[indices[i]];
+                wAlpha = indexSelection ? weights[indices[i]] : weights2[indices2[i]];
+            } else {
+                wColor = wAlpha = weights[indices[i]];
+            }
+
+            let r = ((64 - wColor) * endpoints[e0] + wColor * endpoints[e1] + 32) >> 6;
+            let g = ((64 - wColor) * endpoints[e0 + 1] + wColor * endpoints[e1 + 1] + 32) >> 6;
+            let b = ((64 - wColor) * endpoints[e0 + 2] + wColor * endpoints[e1 + 2] + 32) >> 6;
+            let a = ((64 - wAlpha) * endpoints[e0 + 3] + wAlpha * endpoints[e1 + 3] + 32) >> 6;
+
+            // Rotation swaps alpha with one of the color channels
+            if (rotation === 1) { const t = a; a = r; r = t; }
+            else if (rotation === 2) { const t = a; a = g; g = t; }
+            else if (rotation === 3) { const t = a; a = b; b = t; }
+
+            const o = i * 4;
+            out[o] = r;
+            out[o + 1] = g;
+            out[o + 2] = b;
+            out[o + 3] = a;
+        }
+    }
+}
+
+// Mipmap filter kernels, evaluated in source-pixel units (stretched when downsampling)
+const sinc = (x) => x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+const besselI0 = (x) => {
+    let sum = 1, term = 1;
+    for (let k = 1; k < 20; k++) {
+        term *= (x / (2 * k)) * (x / (2 * k));
+        sum += term;
+    }
+    return sum;
+};
+const KAISER_ALPHA = 4;
+const MIP_FILTERS = {
+    box: { radius: 0.5, weight: (x) => (x >= -0.5 && x < 0.5 ? 1 : 0) },
+    kaiser: {
+        radius: 3,
+        weight: (x) => Math.abs(x) < 3
+            ? sinc(x) * besselI0(KAISER_ALPHA * Math.sqrt(1 - (x / 3) * (x / 3))) / besselI0(KAISER_ALPHA)
+            : 0
+    },
+    lanczos: { radius: 3, weight: (x) => (Math.abs(x) < 3 ? sinc(x) * sinc(x / 3) : 0) }
+};
+
+// Alpha-test cutoff used when preserving coverage
+const MIP_ALPHA_REFERENCE = 0.5;
+
+const SRGB_TO_LINEAR = Float32Array.from({ length: 256 }, (_, i) => {
+    const c = i / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+});
+
+// Builds a full mip chain down to 1x1. Filtering happens in linear light with
+// alpha-weighted (premultiplied) color, each level resampled from the previous one.
+class MipmapGenerator {
+    // Levels stream into each other a row at a time (see rowResampler), so a 4096² chain holds a few
+    // rows of floats per level rather than whole linear copies. onProgress follows the top level's rows.
+    static generate(imageData, filter, preserveAlphaCoverage, onProgress = null) {
+        const kernel = MIP_FILTERS[filter];
+        if (!kernel) throw new Error("Unknown mipmap filter: " + filter);
+
+        const levels = [imageData];
+        let { width, height } = imageData;
+        while (width > 1 || height > 1) {
+            width = Math.max(1, width >> 1);
+            height = Math.max(1, height >> 1);
+            levels.push({ width, height, data: new Uint8ClampedArray(width * height * 4) });
+        }
+
+        // Each level's finished rows are written out and passed on as the next level's source rows
+        let push = null;
+        for (let i = levels.length - 1; i > 0; i--) {
+            const level = levels[i];
+            const next = push;
+            push = this.rowResampler(levels[i - 1].width, levels[i - 1].height, level.width, level.height, kernel, (y, row) => {
+                this.toSRGB(row, level.data, y * level.width * 4);
+                if (next) next(row);
+            });
+        }
+        if (push) this.pushRows(imageData, push, onProgress);
+
+        if (preserveAlphaCoverage) {
+            const coverage = this.alphaCoverage(imageData.data, 1);
+            levels.slice(1).forEach(level => this.scaleAlphaToCoverage(level.data, coverage));
+        }
+        return levels;
+    }
+
+    // One-off resize with the same linear-light filtering as the mip chain (export scaling)
+    static resize(imageData, width, height, filter, onProgress = null) {
+        const kernel = MIP_FILTERS[filter];
+        if (!kernel) throw new Error("Unknown resampling filter: " + filter);
+        const data = new Uint8ClampedArray(width * height * 4);
+        this.pushRows(imageData, this.rowResampler(imageData.width, imageData.height, width, height, kernel,
+            (y, row) => this.toSRGB(row, data, y * width * 4)), onProgress);
+        return { width, height, data };
+    }
+
+    // Feeds an image's rows to a rowResampler as linear floats
+    static pushRows(imageData, push, onProgress) {
+        const { width, height, data } = imageData;
+        const rowBytes = width * 4;
+        for (let y = 0; y < height; y++) {
+            push(this.toLinear(data.subarray(y * rowBytes, (y + 1) * rowBytes)));
+            if (onProgress && ((y & 63) === 63 || y === height - 1)) onProgress((y + 1) / height);
+        }
+    }
+
+    // RGBA bytes -> premultiplied linear floats
+    static toLinear(data) {
+        const out = new Float32Array(data.length);
+        for (let i = 0; i < data.length; i += 4) {
+            const a = data[i + 3] / 255;
+            out[i] = SRGB_TO_LINEAR[data[i]] * a;
+            out[i + 1] = SRGB_TO_LINEAR[data[i + 1]] * a;
+            out[i + 2] = SRGB_TO_LINEAR[data[i + 2]] * a;
+            out[i + 3] = a;
+        }
+        return out;
+    }
+
+    // Premultiplied linear floats -> RGBA bytes (clamping filter overshoot), written to `out` at `offset`
+    static toSRGB(values, out = new Uint8ClampedArray(values.length), offset = 0) {
+        for (let i = 0; i < values.length; i += 4) {
+            const a = Math.min(1, Math.max(0, values[i + 3]));
+            for (let c = 0; c < 3; c++) {
+                const linear = a > 0 ? Math.min(1, Math.max(0, values[i + c] / a)) : 0;
+                out[offset + i + c] = 255 * (linear <= 0.0031308 ? linear * 12.92 : 1.055 * Math.pow(linear, 1 / 2.4) - 0.055);
+            }
+            out[offset + i + 3] = a * 255;
+        }
+        return out;
+    }
+
+    // Separable resize of an RGBA float image, fed one source row at a time: returns push(row), which
+    // filters the row horizontally and calls emit(y, row) for each destination row whose vertical taps
+    // are all in. Only the horizontally filtered rows a later destination row still reads are kept.
+    // The emitted row is reused, so emit must copy what it keeps.
+    static rowResampler(srcWidth, srcHeight, dstWidth, dstHeight, kernel, emit) {
+        const columns = this.filterTaps(srcWidth, dstWidth, kernel);
+        const rows = this.filterTaps(srcHeight, dstHeight, kernel);
+        const last = rows.map(({ indices }) => Math.max(...indices));
+        const first = rows.map(({ indices }) => Math.min(...indices));
+        for (let y = dstHeight - 2; y >= 0; y--) first[y] = Math.min(first[y], first[y + 1]); // Earliest row still needed from y on
+
+        const filtered = new Map(); // Source row -> horizontally filtered row
+        const out = new Float32Array(dstWidth * 4);
+        let received = 0;
+        let pending = 0;
+        return (src) => {
+            const temp = new Float32Array(dstWidth * 4);
+            for (let x = 0; x < dstWidth; x++) {
+                const { indices, weights } = columns[x];
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let k = 0; k < indices.length; k++) {
+                    const s = indices[k] * 4;
+                    const w = weights[k];
+                    r += src[s] * w; g += src[s + 1] * w; b += src[s + 2] * w; a += src[s + 3] * w;
+                }
+                const d = x * 4;
+                temp[d] = r; temp[d + 1] = g; temp[d + 2] = b; temp[d + 3] = a;
+            }
+            filtered.set(received++, temp);
+
+            while (pending < dstHeight && last[pending] < received) {
+                const { indices, weights } = rows[pending];
+                for (let x = 0; x < out.length; x += 4) {
+                    let r = 0, g = 0, b = 0, a = 0;
+                    for (let k = 0; k < indices.length; k++) {
+                        const row = filtered.get(indices[k]);
+                        const w = weights[k];
+                        r += row[x] * w; g += row[x + 1] * w; b += row[x + 2] * w; a += row[x + 3] * w;
+                    }
+                    out[x] = r; out[x + 1] = g; out[x + 2] = b; out[x + 3] = a;
+                }
+                emit(pending++, out);
+            }
+            if (pending < dstHeight) {
+                filtered.forEach((_, y) => { if (y < first[pending]) filtered.delete(y); });
+            } else {
+                filtered.clear();
+            }
+        };
+    }
+
+    // Normalized source taps for each destination pixel along one axis (edges clamp)
+    static filterTaps(srcSize, dstSize, kernel) {
+        const scale = srcSize / dstSize;
+        const stretch = Math.max(1, scale);
+        const support = kernel.radius * stretch;
+        const taps = [];
+        for (let d = 0; d < dstSize; d++) {
+            const center = (d + 0.5) * scale - 0.5;
+            const indices = [], weights = [];
+            let total = 0;
+            for (let s = Math.ceil(center - support); s <= Math.floor(center + support); s++) {
+                const w = kernel.weight((s - center) / stretch);
+                if (w === 0) continue;
+                indices.push(Math.min(srcSize - 1, Math.max(0, s)));
+                weights.push(w);
+                total += w;
+            }
+            if (total === 0) {
+                indices.push(Math.min(srcSize - 1, Math.max(0, Math.round(center))));
+                weights.push(1);
+                total = 1;
+            }
+            taps.push({ indices, weights: Float32Array.from(weights, w => w / total) });
+        }
+        return taps;
+    }
+
+    // Fraction of texels that pass the alpha test after scaling (and re-quantizing) alpha
+    static alphaCoverage(data, scale) {
+        const reference = MIP_ALPHA_REFERENCE * 255;
+        let covered = 0;
+        for (let i = 3; i < data.length; i += 4) {
+            if (Math.min(255, Math.round(data[i] * scale)) > reference) covered++;
+        }
+        return covered / (data.length / 4);
+    }
+
+    // Rescales a level's alpha so the same fraction of texels passes the alpha test as in level 0
+    // (keeps thin decal edges and cut-outs from fading away at distance)
+    static scaleAlphaToCoverage(data, target) {
+        const current = this.alphaCoverage(data, 1);
+        if (current === target) return;
+
+        let lo = current < target ? 1 : 0;
+        let hi = current < target ? 4 : 1;
+        for (let it = 0; it < 12; it++) {
+            const mid = (lo + hi) / 2;
+            if (this.alphaCoverage(data, mid) < target) lo = mid;
+            else hi = mid;
+        }
+        // Coverage moves in steps; keep whichever bound lands closer to the target
+        const scale = Math.abs(this.alphaCoverage(data, lo) - target) <= Math.abs(this.alphaCoverage(data, hi) - target) ? lo : hi;
+        for (let i = 3; i < data.length; i += 4) data[i] = Math.round(data[i] * scale);
+    }
+}
+
+// Preview transforms for data textures. Each mode rewrites RGBA pixels in place as an opaque image:
+// r/g/b/a show one channel as greyscale, normal rebuilds Z from a two-channel (BC5) tangent-space normal map.
+const CHANNEL_VIEW_OFFSETS = { r: 0, g: 1, b: 2, a: 3 };
+
+class ChannelView {
+    static apply(data, mode) {
+        if (mode === 'normal') {
+            this.reconstructNormalZ(data);
+            return;
+        }
+        const channel = CHANNEL_VIEW_OFFSETS[mode];
+        if (channel === undefined) throw new Error("Unknown channel view: " + mode);
+        for (let i = 0; i < data.length; i += 4) {
+            const v = data[i + channel];
+            data[i] = v; data[i + 1] = v; data[i + 2] = v; data[i + 3] = 255;
+        }
+    }
+
+    // Z = sqrt(1 - X^2 - Y^2) with X/Y stored as unsigned [0, 255] -> [-1, 1]
+    static reconstructNormalZ(data) {
+        for (let i = 0; i < data.length; i += 4) {
+            const x = data[i] / 127.5 - 1;
+            const y = data[i + 1] / 127.5 - 1;
+            const z = Math.sqrt(Math.max(0, 1 - x * x - y * y));
+            data[i + 2] = Math.round((z + 1) * 127.5);
+            data[i + 3] = 255;
+        }
+    }
 }
 
 class DDSEncoder {
-    static encode(imageData) {
+    // options.format: 'RGBA' (uncompressed A8R8G8B8), 'BC1' (DXT1), 'BC3' (DXT5) or 'BC7' (DX10, sRGB)
+    // options.quality: 'fast', 'balanced' or 'high' (block-compressed formats only)
+    // options.mipFilter: 'box', 'kaiser' or 'lanczos' writes a full mip chain; omit for a single level
+    // options.preserveAlphaCoverage: keep alpha-tested coverage constant across mip levels
+    // options.onProgress(fraction): called as levels / block rows complete
+    static encode(imageData, options = {}) {
+        const format = options.format || 'RGBA';
+        const onProgress = options.onProgress || null;
+        // Building the mip chain takes this share of the progress bar, encoding the rest
+        const mipShare = !options.mipFilter ? 0 : format === 'BC7' ? 0.1 : 0.5;
+        const report = (from, span) => (onProgress ? (progress) => onProgress(from + span * progress) : null);
+        const levels = options.mipFilter
+            ? MipmapGenerator.generate(imageData, options.mipFilter, !!options.preserveAlphaCoverage, report(0, mipShare))
+            : [imageData];
+        if (format === 'BC1' || format === 'BC3' || format === 'BC7') {
+            return this.encodeCompressed(levels, format, options.quality || 'balanced', report(mipShare, 1 - mipShare));
+        }
+        return this.encodeRGBA(levels, report(mipShare, 1 - mipShare));
+    }
+
+    // Rough BC7 encode time in seconds for a width × height image, from the effort table's rates;
+    // slower machines take longer
+    static estimateBC7Seconds(width, height, quality, mipmaps) {
+        const effort = BC7_EFFORT[quality] || BC7_EFFORT.balanced;
+        const blocks = Math.ceil(width / 4) * Math.ceil(height / 4) * (mipmaps ? 4 / 3 : 1);
+        return blocks / effort.blocksPerMs / 1000;
+    }
+
+    // Flags the header for a mip chain when more than one level is stored
+    static writeMipmapHeader(view, levelCount) {
+        if (levelCount < 2) return;
+        view.setUint32(8, view.getUint32(8, true) | DDSD_MIPMAPCOUNT, true);
+        view.setUint32(28, levelCount, true);
+        view.setUint32(108, DDSCAPS_TEXTURE | DDSCAPS_COMPLEX | DDSCAPS_MIPMAP, true);
+    }
+
+    static encodeRGBA(levels, onProgress = null) {
         // Create an uncompressed RGBA (A8R8G8B8) DDS
         // Header: 128 bytes
-        const height = imageData.height;
-        const width = imageData.width;
-        const data = imageData.data; // RGBA Uint8ClampedArray
+        const height = levels[0].height;
+        const width = levels[0].width;
 
         const headerSize = 128;
-        const bufferSize = headerSize + (width * height * 4);
+        const bufferSize = headerSize + levels.reduce((sum, level) => sum + level.width * level.height * 4, 0);
         const buffer = new ArrayBuffer(bufferSize);
         const view = new DataView(buffer);
 
@@ -411,25 +1265,830 @@ class DDSEncoder {
 
         // dwCaps (DDSCAPS_TEXTURE)
         view.setUint32(108, 0x1000, true);
+        this.writeMipmapHeader(view, levels.length);
 
         // --- Data Write ---
-        // Convert RGBA to BGRA (Standard DDS uncompressed)
+        // Convert RGBA to BGRA (Standard DDS uncompressed), level after level
         let offset = 128;
-        for (let i = 0; i < data.length; i += 4) {
-            const r = data[i];
-            const g = data[i + 1];
-            const b = data[i + 2];
-            const a = data[i + 3];
+        for (const level of levels) {
+            const data = level.data; // RGBA Uint8ClampedArray
+            for (let i = 0; i < data.length; i += 4) {
+                const r = data[i];
+                const g = data[i + 1];
+                const b = data[i + 2];
+                const a = data[i + 3];
+
+                // BGRA
+                view.setUint8(offset, b);
+                view.setUint8(offset + 1, g);
+                view.setUint8(offset + 2, r);
+                view.setUint8(offset + 3, a);
+
+                offset += 4;
+            }
+            if (onProgress) onProgress(offset / bufferSize);
+        }
 
-            // BGRA
-            view.setUint8(offset, b);
-            view.setUint8(offset + 1, g);
-            view.setUint8(offset + 2, r);
-            view.setUint8(offset + 3, a);
+        return buffer;
+    }
+
+    // Block-compressed BC1 (DXT1) / BC3 (DXT5) with a legacy FourCC header,
+    // or BC7 with a DX10 extended header
+    static encodeCompressed(levels, format, quality, onProgress = null) {
+        const { width, height } = levels[0];
+        const blockBytes = format === 'BC1' ? 8 : 16;
+        const levelSize = (level) => Math.max(1, Math.ceil(level.width / 4)) * Math.max(1, Math.ceil(level.height / 4)) * blockBytes;
+        const linearSize = levelSize(levels[0]);
+        const headerSize = format === 'BC7' ? 148 : 128;
+
+        const buffer = new ArrayBuffer(headerSize + levels.reduce((sum, level) => sum + levelSize(level), 0));
+        const view = new DataView(buffer);
+
+        view.setUint32(0, DDS_MAGIC, true);
+        view.setUint32(4, 124, true);
+        // CAPS | HEIGHT | WIDTH | PIXELFORMAT | LINEARSIZE
+        view.setUint32(8, 0x1 | 0x2 | 0x4 | 0x1000 | DDSD_LINEARSIZE, true);
+        view.setUint32(12, height, true);
+        view.setUint32(16, width, true);
+        // dwPitchOrLinearSize: total bytes of the top level for compressed formats
+        view.setUint32(20, linearSize, true);
+        view.setUint32(76, 32, true);
+        view.setUint32(80, DDPF_FOURCC, true);
+        view.setUint32(108, DDSCAPS_TEXTURE, true);
+        this.writeMipmapHeader(view, levels.length);
+
+        if (format === 'BC7') {
+            view.setUint32(84, FOURCC_DX10, true);
+            // DX10 header: dxgiFormat, resourceDimension, miscFlag, arraySize, miscFlags2
+            view.setUint32(128, DXGI_FORMAT_BC7_UNORM_SRGB, true);
+            view.setUint32(132, DDS_RESOURCE_DIMENSION_TEXTURE2D, true);
+            view.setUint32(136, 0, true);
+            view.setUint32(140, 1, true);
+            view.setUint32(144, 0, true);
+        } else {
+            view.setUint32(84, format === 'BC1' ? FOURCC_DXT1 : FOURCC_DXT5, true);
+        }
 
-            offset += 4;
+        const totalBlocks = levels.reduce((sum, level) => sum + levelSize(level) / blockBytes, 0);
+        let doneBlocks = 0;
+        let offset = headerSize;
+        for (const level of levels) {
+            this.encodeBlocks(level, format, quality, new Uint8Array(buffer, offset, levelSize(level)), (rowBlocks) => {
+                doneBlocks += rowBlocks;
+                if (onProgress) onProgress(doneBlocks / totalBlocks);
+            });
+            offset += levelSize(level);
         }
 
         return buffer;
     }
+
+    // Compresses one level into `out`, calling onRow(blocksX) after each row of blocks
+    static encodeBlocks(level, format, quality, out, onRow = null) {
+        const { width, height, data } = level;
+        const blockBytes = format === 'BC1' ? 8 : 16;
+        const blocksX = Math.max(1, Math.ceil(width / 4));
+        const blocksY = Math.max(1, Math.ceil(height / 4));
+        const block = new Uint8Array(64);
+        let offset = 0;
+
+        for (let by = 0; by < blocksY; by++) {
+            for (let bx = 0; bx < blocksX; bx++) {
+                // Gather 4x4 texels, clamping at the edges for non-multiple-of-4 sizes
+                for (let py = 0; py < 4; py++) {
+                    const y = Math.min(by * 4 + py, height - 1);
+                    for (let px = 0; px < 4; px++) {
+                        const x = Math.min(bx * 4 + px, width - 1);
+                        const src = 4 * (y * width + x);
+                        const dst = 4 * (py * 4 + px);
+                        block[dst] = data[src];
+                        block[dst + 1] = data[src + 1];
+                        block[dst + 2] = data[src + 2];
+                        block[dst + 3] = data[src + 3];
+                    }
+                }
+
+                if (format === 'BC7') {
+                    this.encodeBC7Block(block, out, offset, quality);
+                } else if (format === 'BC1') {
+                    this.encodeColorBlock(block, out, offset, quality, true);
+                } else {
+                    this.encodeAlphaBlock(block, out, offset, quality);
+                    this.encodeColorBlock(block, out, offset + 8, quality, false);
+                }
+                offset += blockBytes;
+            }
+            if (onRow) onRow(blocksX);
+        }
+    }
+
+    // Writes an 8-byte BC1 color block. With allowTransparent, texels below 50% alpha
+    // use the 3-color mode's transparent index (BC1 only; BC3 color is always 4-color).
+    static encodeColorBlock(block, out, offset, quality, allowTransparent) {
+        const points = [];
+        for (let i = 0; i < 16; i++) {
+            const a = block[i * 4 + 3];
+            if (allowTransparent ? a >= 128 : a > 0) points.push(i);
+        }
+        const hasTransparent = points.length < 16;
+
+        if (points.length === 0) {
+            if (allowTransparent) {
+                // Fully transparent: black endpoints in 3-color mode, every index = transparent
+                this.writeColorBlock(out, offset, 0, 0, 0xFFFFFFFF);
+                return;
+            }
+            // Fully transparent BC3 block: color is invisible, fit all texels anyway
+            for (let i = 0; i < 16; i++) points.push(i);
+        }
+
+        const threeColor = allowTransparent && hasTransparent;
+        const weights = threeColor ? BC1_WEIGHTS_3 : BC1_WEIGHTS_4;
+
+        const [e0, e1] = quality === 'fast'
+            ? this.boundingBoxEndpoints(block, points)
+            : this.principalAxisEndpoints(block, points);
+
+        let c0 = this.packRGB565(e0);
+        let c1 = this.packRGB565(e1);
+        let indices = new Uint8Array(16);
+        let error = this.evaluateColorEndpoints(block, points, c0, c1, threeColor, indices);
+        const trial = new Uint8Array(16);
+
+        if (quality !== 'fast') {
+            // Least-squares refinement: re-solve endpoints against the current index assignment
+            const iterations = quality === 'high' ? 8 : 2;
+            for (let it = 0; it < iterations && error > 0; it++) {
+                const fitted = this.leastSquaresEndpoints(block, points, indices, weights);
+                if (!fitted) break;
+                const f0 = this.packRGB565(fitted[0]);
+                const f1 = this.packRGB565(fitted[1]);
+                const trialError = this.evaluateColorEndpoints(block, points, f0, f1, threeColor, trial);
+                if (trialError >= error) break;
+                c0 = f0; c1 = f1; error = trialError;
+                indices.set(trial);
+            }
+        }
+
+        if (quality === 'high') {
+            // Nudge each quantized endpoint channel by one step, keeping improvements
+            for (let pass = 0; pass < 2 && error > 0; pass++) {
+                let improved = false;
+                for (let e = 0; e < 2; e++) {
+                    for (const [shift, max] of BC1_CHANNELS_565) {
+                        for (let delta = -1; delta <= 1; delta += 2) {
+                            const value = e === 0 ? c0 : c1;
+                            const channel = ((value >> shift) & max) + delta;
+                            if (channel < 0 || channel > max) continue;
+                            const nudged = (value & ~(max << shift)) | (channel << shift);
+                            const n0 = e === 0 ? nudged : c0;
+                            const n1 = e === 1 ? nudged : c1;
+                            const trialError = this.evaluateColorEndpoints(block, points, n0, n1, threeColor, trial);
+                            if (trialError < error) {
+                                c0 = n0; c1 = n1; error = trialError;
+                                indices.set(trial);
+                                improved = true;
+                            }
+                        }
+                    }
+                }
+                if (!improved) break;
+            }
+        }
+
+        // Order endpoints so the decoder picks the intended palette mode
+        // 4-color: c0 > c1 (indices 0<->1, 2<->3 swap). 3-color: c0 <= c1 (indices 0<->1 swap).
+        if (threeColor ? c0 > c1 : c0 < c1) {
+            [c0, c1] = [c1, c0];
+            const remap = threeColor ? BC1_SWAP_3 : BC1_SWAP_4;
+            indices = indices.map(i => remap[i]);
+        }
+        if (!threeColor && c0 === c1) indices.fill(0);
+
+        let code = 0;
+        for (let i = 0; i < 16; i++) {
+            const opaque = !threeColor || block[i * 4 + 3] >= 128;
+            code |= (opaque ? indices[i] : 3) << (2 * i);
+        }
+        this.writeColorBlock(out, offset, c0, c1, code >>> 0);
+    }
+
+    static writeColorBlock(out, offset, c0, c1, code) {
+        out[offset] = c0 & 0xFF;
+        out[offset + 1] = c0 >> 8;
+        out[offset + 2] = c1 & 0xFF;
+        out[offset + 3] = c1 >> 8;
+        out[offset + 4] = code & 0xFF;
+        out[offset + 5] = (code >>> 8) & 0xFF;
+        out[offset + 6] = (code >>> 16) & 0xFF;
+        out[offset + 7] = (code >>> 24) & 0xFF;
+    }
+
+    // Fast fit: bounding box corners, flipped along the dominant diagonal and inset by 1/16
+    static boundingBoxEndpoints(block, points) {
+        const min = [255, 255, 255], max = [0, 0, 0], mean = [0, 0, 0];
+        for (const i of points) {
+            for (let c = 0; c < 3; c++) {
+                const v = block[i * 4 + c];
+                if (v < min[c]) min[c] = v;
+                if (v > max[c]) max[c] = v;
+                mean[c] += v / points.length;
+            }
+        }
+        // Swap the G and B extents when they correlate negatively with R
+        let covRG = 0, covRB = 0;
+        for (const i of points) {
+            const dr = block[i * 4] - mean[0];
+            covRG += dr * (block[i * 4 + 1] - mean[1]);
+            covRB += dr * (block[i * 4 + 2] - mean[2]);
+        }
+        if (covRG < 0) [min[1], max[1]] = [max[1], min[1]];
+        if (covRB < 0) [min[2], max[2]] = [max[2], min[2]];
+
+        for (let c = 0; c < 3; c++) {
+            const inset = (max[c] - min[c]) / 16;
+            min[c] += inset;
+            max[c] -= inset;
+        }
+        return [max, min];
+    }
+
+    // PCA fit: project texels onto the principal axis of their color distribution
+    static principalAxisEndpoints(block, points) {
+        const mean = [0, 0, 0];
+        for (const i of points) {
+            for (let c = 0; c < 3; c++) mean[c] += block[i * 4 + c] / points.length;
+        }
+
+        // Covariance matrix (symmetric: rr, rg, rb, gg, gb, bb)
+        let rr = 0, rg = 0, rb = 0, gg = 0, gb = 0, bb = 0;
+        for (const i of points) {
+            const r = block[i * 4] - mean[0];
+            const g = block[i * 4 + 1] - mean[1];
+            const b = block[i * 4 + 2] - mean[2];
+            rr += r * r; rg += r * g; rb += r * b;
+            gg += g * g; gb += g * b; bb += b * b;
+        }
+
+        // Power iteration for the dominant eigenvector
+        let ax = 1, ay = 1, az = 1;
+        for (let it = 0; it < 8; it++) {
+            const x = rr * ax + rg * ay + rb * az;
+            const y = rg * ax + gg * ay + gb * az;
+            const z = rb * ax + gb * ay + bb * az;
+            const len = Math.max(Math.abs(x), Math.abs(y), Math.abs(z));
+            if (len === 0) break;
+            ax = x / len; ay = y / len; az = z / len;
+        }
+        const norm = Math.hypot(ax, ay, az) || 1;
+        ax /= norm; ay /= norm; az /= norm;
+
+        let tMin = Infinity, tMax = -Infinity;
+        for (const i of points) {
+            const t = (block[i * 4] - mean[0]) * ax + (block[i * 4 + 1] - mean[1]) * ay + (block[i * 4 + 2] - mean[2]) * az;
+            if (t < tMin) tMin = t;
+            if (t > tMax) tMax = t;
+        }
+        return [
+            [mean[0] + ax * tMax, mean[1] + ay * tMax, mean[2] + az * tMax],
+            [mean[0] + ax * tMin, mean[1] + ay * tMin, mean[2] + az * tMin]
+        ];
+    }
+
+    // Solves min sum |(1-w)*e0 + w*e1 - x|^2 for the current index assignment
+    static leastSquaresEndpoints(block, points, indices, weights) {
+        let aa = 0, bb = 0, ab = 0;
+        const ax = [0, 0, 0], bx = [0, 0, 0];
+        for (const i of points) {
+            const w = weights[indices[i]];
+            const alpha = 1 - w;
+            aa += alpha * alpha;
+            bb += w * w;
+            ab += alpha * w;
+            for (let c = 0; c < 3; c++) {
+                ax[c] += alpha * block[i * 4 + c];
+                bx[c] += w * block[i * 4 + c];
+            }
+        }
+        const det = aa * bb - ab * ab;
+        if (Math.abs(det) < 1e-6) return null;
+        return [
+            [0, 1, 2].map(c => (ax[c] * bb - bx[c] * ab) / det),
+            [0, 1, 2].map(c => (bx[c] * aa - ax[c] * ab) / det)
+        ];
+    }
+
+    static packRGB565(color) {
+        const clamp = (v, max) => Math.max(0, Math.min(max, Math.round(v)));
+        const r = clamp(color[0] * 31 / 255, 31);
+        const g = clamp(color[1] * 63 / 255, 63);
+        const b = clamp(color[2] * 31 / 255, 31);
+        return (r << 11) | (g << 5) | b;
+    }
+
+    // Builds the palette the decoder will see, writes each texel's nearest entry to
+    // `indices` and returns the summed squared error
+    static evaluateColorEndpoints(block, points, c0, c1, threeColor, indices) {
+        const palette = BC1_PALETTE_SCRATCH;
+        const r0 = expand565R(c0), g0 = expand565G(c0), b0 = expand565B(c0);
+        const r1 = expand565R(c1), g1 = expand565G(c1), b1 = expand565B(c1);
+        palette[0] = r0; palette[1] = g0; palette[2] = b0;
+        palette[3] = r1; palette[4] = g1; palette[5] = b1;
+        if (threeColor) {
+            palette[6] = (r0 + r1) / 2; palette[7] = (g0 + g1) / 2; palette[8] = (b0 + b1) / 2;
+        } else {
+            palette[6] = (2 * r0 + r1) / 3; palette[7] = (2 * g0 + g1) / 3; palette[8] = (2 * b0 + b1) / 3;
+            palette[9] = (r0 + 2 * r1) / 3; palette[10] = (g0 + 2 * g1) / 3; palette[11] = (b0 + 2 * b1) / 3;
+        }
+        const entries = threeColor ? 3 : 4;
+
+        let error = 0;
+        for (const i of points) {
+            const r = block[i * 4], g = block[i * 4 + 1], b = block[i * 4 + 2];
+            let bestIdx = 0, bestErr = Infinity;
+            for (let k = 0; k < entries; k++) {
+                const dr = r - palette[k * 3];
+                const dg = g - palette[k * 3 + 1];
+                const db = b - palette[k * 3 + 2];
+                const err = dr * dr + dg * dg + db * db;
+                if (err < bestErr) { bestErr = err; bestIdx = k; }
+            }
+            indices[i] = bestIdx;
+            error += bestErr;
+        }
+        return error;
+    }
+
+    // Writes an 8-byte BC3 interpolated alpha block
+    static encodeAlphaBlock(block, out, offset, quality) {
+        const alphas = new Array(16);
+        let min = 255, max = 0;
+        let innerMin = 255, innerMax = 0; // Ignoring the 0/255 extremes
+        for (let i = 0; i < 16; i++) {
+            const a = block[i * 4 + 3];
+            alphas[i] = a;
+            if (a < min) min = a;
+            if (a > max) max = a;
+            if (a !== 0 && a !== 255) {
+                if (a < innerMin) innerMin = a;
+                if (a > innerMax) innerMax = a;
+            }
+        }
+
+        // 8-value mode (a0 > a1)
+        let best = this.evaluateAlphaEndpoints(alphas, max, min);
+
+        if (quality !== 'fast') {
+            // 6-value mode (a0 <= a1) keeps exact 0 and 255 available
+            if (innerMin <= innerMax) {
+                const candidate = this.evaluateAlphaEndpoints(alphas, innerMin, innerMax);
+                if (candidate.error < best.error) best = candidate;
+            }
+        }
+
+        if (quality === 'high' && best.a0 > best.a1) {
+            // Small local search around the 8-value endpoints
+            const base = best;
+            for (let d0 = -2; d0 <= 2; d0++) {
+                for (let d1 = -2; d1 <= 2; d1++) {
+                    const a0 = base.a0 + d0, a1 = base.a1 + d1;
+                    if (a0 > 255 || a1 < 0 || a0 <= a1) continue;
+                    const candidate = this.evaluateAlphaEndpoints(alphas, a0, a1);
+                    if (candidate.error < best.error) best = candidate;
+                }
+            }
+        }
+
+        out[offset] = best.a0;
+        out[offset + 1] = best.a1;
+        // 16 x 3-bit indices packed little-endian into 6 bytes (two 24-bit halves)
+        for (let half = 0; half < 2; half++) {
+            let bits = 0;
+            for (let i = 0; i < 8; i++) bits |= best.indices[half * 8 + i] << (3 * i);
+            out[offset + 2 + half * 3] = bits & 0xFF;
+            out[offset + 3 + half * 3] = (bits >> 8) & 0xFF;
+            out[offset + 4 + half * 3] = (bits >> 16) & 0xFF;
+        }
+    }
+
+    static evaluateAlphaEndpoints(alphas, a0, a1) {
+        const palette = [a0, a1];
+        if (a0 > a1) {
+            for (let i = 2; i < 8; i++) palette.push(Math.floor(((8 - i) * a0 + (i - 1) * a1) / 7));
+        } else {
+            for (let i = 2; i < 6; i++) palette.push(Math.floor(((6 - i) * a0 + (i - 1) * a1) / 5));
+            palette.push(0, 255);
+        }
+
+        const indices = new Array(16);
+        let error = 0;
+        for (let i = 0; i < 16; i++) {
+            let bestIdx = 0, bestErr = Infinity;
+            for (let k = 0; k < 8; k++) {
+                const d = alphas[i] - palette[k];
+                if (d * d < bestErr) { bestErr = d * d; bestIdx = k; }
+            }
+            indices[i] = bestIdx;
+            error += bestErr;
+        }
+        return { a0, a1, indices, error };
+    }
+
+    // Writes a 16-byte BC7 block: tries the effort level's candidate modes and keeps the lowest error
+    static encodeBC7Block(block, out, offset, quality) {
+        const effort = BC7_EFFORT[quality] || BC7_EFFORT.balanced;
+        let opaque = true;
+        for (let i = 3; i < 64; i += 4) {
+            if (block[i] !== 255) { opaque = false; break; }
+        }
+
+        // Candidates are tried in rounds (every mode's best, then every mode's second, ...), so the
+        // trial cap limits how deep the search goes rather than which modes it reaches
+        const ranked = {}; // Partition rankings shared by modes with the same subset count
+        const queues = []; // Per mode, best candidate first
+        for (const mode of opaque ? effort.opaqueModes : effort.alphaModes) {
+            const m = BC7_MODES[mode];
+            const candidates = [];
+            if (m.ns > 1) {
+                const key = m.ns + ':' + (m.ab ? 4 : 3);
+                if (!ranked[key]) ranked[key] = this.rankBC7Partitions(block, m.ns, m.ab ? 4 : 3);
+                const limit = Math.max(1, effort.partitions);
+                for (const p of ranked[key]) {
+                    if (p >= (1 << m.pb)) continue; // Mode 0 only addresses the first 16 shapes
+                    candidates.push({ mode, partition: p, rotation: 0, isb: 0 });
+                    if (candidates.length >= limit) break;
+                }
+            } else if (m.rb) {
+                for (const rotation of effort.rotations) {
+                    candidates.push({ mode, partition: 0, rotation, isb: 0 });
+                    if (m.isb) candidates.push({ mode, partition: 0, rotation, isb: 1 });
+                }
+            } else {
+                candidates.push({ mode, partition: 0, rotation: 0, isb: 0 });
+            }
+            queues.push(candidates);
+        }
+
+        const order = [];
+        const rounds = Math.max(...queues.map(candidates => candidates.length));
+        for (let round = 0; round < rounds; round++) {
+            queues.forEach(candidates => { if (candidates[round]) order.push(candidates[round]); });
+        }
+
+        let best = null;
+        let trials = 0;
+        for (const c of order) {
+            const result = this.fitBC7Mode(block, c.mode, c.partition, c.rotation, c.isb, effort.refinements);
+            if (!best || result.error < best.error) best = result;
+            if (best.error <= effort.goodEnough || ++trials >= effort.maxTrials) break;
+        }
+
+        this.packBC7Block(best, out, offset);
+    }
+
+    // Orders partition shapes by estimated error: the variance each subset leaves off its principal axis
+    static rankBC7Partitions(block, ns, channels) {
+        const table = ns === 2 ? BC7_PARTITIONS_2 : BC7_PARTITIONS_3;
+
+        // Per-pixel terms (1, values, pairwise products) so each shape only sums them per subset
+        const terms = BC7_RANK_TERMS;
+        const termCount = 1 + channels + channels * (channels + 1) / 2;
+        for (let i = 0; i < 16; i++) {
+            let k = i * 15;
+            terms[k++] = 1;
+            for (let c = 0; c < channels; c++) terms[k++] = block[i * 4 + c];
+            for (let c = 0; c < channels; c++) {
+                for (let d = c; d < channels; d++) terms[k++] = block[i * 4 + c] * block[i * 4 + d];
+            }
+        }
+
+        const sums = BC7_RANK_SUMS;
+        const scores = new Float64Array(64);
+        for (let p = 0; p < 64; p++) {
+            const subsets = table[p];
+            sums.fill(0);
+            for (let i = 0; i < 16; i++) {
+                const base = subsets[i] * 15;
+                for (let k = 0; k < termCount; k++) sums[base + k] += terms[i * 15 + k];
+            }
+            for (let s = 0; s < ns; s++) scores[p] += this.residualVariance(sums, s * 15, channels);
+        }
+        return BC7_ALL_PARTITIONS.slice().sort((a, b) => scores[a] - scores[b]);
+    }
+
+    // Total variance minus the dominant eigenvalue of a subset's covariance matrix
+    static residualVariance(sums, base, channels) {
+        const n = sums[base];
+        if (n < 2) return 0;
+        const cov = BC7_COVARIANCE_SCRATCH;
+        let k = base + 1 + channels, trace = 0;
+        for (let c = 0; c < channels; c++) {
+            for (let d = c; d < channels; d++) {
+                const v = sums[k++] - sums[base + 1 + c] * sums[base + 1 + d] / n;
+                cov[c * 4 + d] = cov[d * 4 + c] = v;
+            }
+            trace += cov[c * 5];
+        }
+        const axis = this.dominantAxis(cov, channels);
+        let lambda = 0;
+        for (let c = 0; c < channels; c++) {
+            let row = 0;
+            for (let d = 0; d < channels; d++) row += cov[c * 4 + d] * axis[d];
+            lambda += axis[c] * row;
+        }
+        return Math.max(0, trace - lambda);
+    }
+
+    // Power iteration on a 4x4 (row stride 4) covariance matrix; returns a shared unit vector
+    static dominantAxis(cov, channels) {
+        const axis = BC7_AXIS_SCRATCH, next = BC7_AXIS_NEXT_SCRATCH;
+        axis.fill(1);
+        for (let it = 0; it < 4; it++) {
+            let len = 0;
+            for (let c = 0; c < channels; c++) {
+                let v = 0;
+                for (let d = 0; d < channels; d++) v += cov[c * 4 + d] * axis[d];
+                next[c] = v;
+                if (Math.abs(v) > len) len = Math.abs(v);
+            }
+            if (len === 0) break;
+            for (let c = 0; c < channels; c++) axis[c] = next[c] / len;
+        }
+        let norm = 0;
+        for (let c = 0; c < channels; c++) norm += axis[c] * axis[c];
+        norm = Math.sqrt(norm) || 1;
+        for (let c = 0; c < channels; c++) axis[c] /= norm;
+        return axis;
+    }
+
+    // Fits every subset of one mode/partition/rotation and returns the packed-ready solution
+    static fitBC7Mode(block, mode, partition, rotation, isb, refinements) {
+        const m = BC7_MODES[mode];
+        const pbits = m.epb ? 1 : (m.spb ? 2 : 0);
+
+        if (m.rb) {
+            // Modes 4/5: color and alpha use separate index sets; rotation swaps alpha with R, G or B
+            const rotated = new Uint8Array(block);
+            if (rotation) {
+                for (let i = 0; i < 16; i++) {
+                    const c = i * 4 + rotation - 1;
+                    rotated[c] = block[i * 4 + 3];
+                    rotated[i * 4 + 3] = block[c];
+                }
+            }
+            const all = BC7_ALL_PIXELS;
+            const color = this.fitBC7Subset(rotated, all, 0, 3, m.cb, 0, isb ? m.ib2 : m.ib, refinements);
+            const alpha = this.fitBC7Subset(rotated, all, 3, 1, m.ab, 0, isb ? m.ib : m.ib2, refinements);
+            return { mode, partition, rotation, isb, color, alpha, error: color.error + alpha.error };
+        }
+
+        const channels = m.ab ? 4 : 3;
+        const table = m.ns === 2 ? BC7_PARTITIONS_2 : (m.ns === 3 ? BC7_PARTITIONS_3 : null);
+        const subsets = [];
+        let error = 0;
+        for (let s = 0; s < m.ns; s++) {
+            const pixels = [];
+            for (let i = 0; i < 16; i++) {
+                if (!table || table[partition][i] === s) pixels.push(i);
+            }
+            const fit = this.fitBC7Subset(block, pixels, 0, channels, m.cb, pbits, m.ib, refinements);
+            fit.pixels = pixels;
+            subsets.push(fit);
+            error += fit.error;
+        }
+        if (channels === 3) {
+            // Opaque-only modes decode alpha as 255
+            for (let i = 3; i < 64; i += 4) error += (255 - block[i]) * (255 - block[i]);
+        }
+        return { mode, partition, rotation, isb, subsets, error };
+    }
+
+    // Fits endpoints for `count` channels starting at `first` over the given pixels:
+    // PCA start, then least-squares rounds against the current index assignment
+    static fitBC7Subset(block, pixels, first, count, bits, pbits, indexBits, refinements) {
+        let [lo, hi] = this.bc7PrincipalEndpoints(block, pixels, first, count);
+        let best = null;
+        for (let it = 0; it <= refinements; it++) {
+            const candidate = this.quantizeBC7Endpoints(block, pixels, first, count, lo, hi, bits, pbits, indexBits);
+            if (best && candidate.error >= best.error) break;
+            best = candidate;
+            if (it === refinements || best.error === 0) break;
+
+            const fitted = this.bc7LeastSquares(block, pixels, first, count, best.indices, BC7_WEIGHTS[indexBits]);
+            if (!fitted) break;
+            [lo, hi] = fitted;
+        }
+        return best;
+    }
+
+    static bc7PrincipalEndpoints(block, pixels, first, count) {
+        const mean = new Array(count).fill(0);
+        for (const i of pixels) {
+            for (let c = 0; c < count; c++) mean[c] += block[i * 4 + first + c] / pixels.length;
+        }
+        const cov = BC7_COVARIANCE_SCRATCH;
+        cov.fill(0);
+        for (const i of pixels) {
+            for (let c = 0; c < count; c++) {
+                const dc = block[i * 4 + first + c] - mean[c];
+                for (let d = c; d < count; d++) cov[c * 4 + d] += dc * (block[i * 4 + first + d] - mean[d]);
+            }
+        }
+        for (let c = 0; c < count; c++) {
+            for (let d = 0; d < c; d++) cov[c * 4 + d] = cov[d * 4 + c];
+        }
+        const axis = this.dominantAxis(cov, count);
+
+        let tMin = Infinity, tMax = -Infinity;
+        for (const i of pixels) {
+            let t = 0;
+            for (let c = 0; c < count; c++) t += (block[i * 4 + first + c] - mean[c]) * axis[c];
+            if (t < tMin) tMin = t;
+            if (t > tMax) tMax = t;
+        }
+        return [
+            mean.map((v, c) => v + axis[c] * tMin),
+            mean.map((v, c) => v + axis[c] * tMax)
+        ];
+    }
+
+    // Solves min sum |(1-w)*lo + w*hi - x|^2 for the current index assignment
+    static bc7LeastSquares(block, pixels, first, count, indices, weights) {
+        let aa = 0, bb = 0, ab = 0;
+        const ax = new Array(count).fill(0), bx = new Array(count).fill(0);
+        for (const i of pixels) {
+            const w = weights[indices[i]] / 64;
+            const alpha = 1 - w;
+            aa += alpha * alpha;
+            bb += w * w;
+            ab += alpha * w;
+            for (let c = 0; c < count; c++) {
+                ax[c] += alpha * block[i * 4 + first + c];
+                bx[c] += w * block[i * 4 + first + c];
+            }
+        }
+        const det = aa * bb - ab * ab;
+        if (Math.abs(det) < 1e-6) return null;
+        return [
+            ax.map((v, c) => (v * bb - bx[c] * ab) / det),
+            bx.map((v, c) => (v * aa - ax[c] * ab) / det)
+        ];
+    }
+
+    // Quantizes both endpoints (trying each allowed p-bit combination) and assigns indices
+    static quantizeBC7Endpoints(block, pixels, first, count, lo, hi, bits, pbits, indexBits) {
+        const options = pbits === 1 ? BC7_PBITS_ENDPOINT : (pbits === 2 ? BC7_PBITS_SHARED : BC7_PBITS_NONE);
+        const best = { q0: new Uint8Array(count), q1: new Uint8Array(count), p0: 0, p1: 0, indices: new Uint8Array(16), error: Infinity, indexBits };
+        const q0 = BC7_Q0_SCRATCH, q1 = BC7_Q1_SCRATCH, d0 = BC7_D0_SCRATCH, d1 = BC7_D1_SCRATCH;
+        const indices = BC7_INDEX_SCRATCH;
+        for (const [p0, p1] of options) {
+            for (let c = 0; c < count; c++) {
+                q0[c] = this.quantizeBC7Channel(lo[c], bits, pbits ? p0 : -1);
+                q1[c] = this.quantizeBC7Channel(hi[c], bits, pbits ? p1 : -1);
+                d0[c] = this.expandBC7Channel(q0[c], bits, pbits ? p0 : -1);
+                d1[c] = this.expandBC7Channel(q1[c], bits, pbits ? p1 : -1);
+            }
+            const error = this.evaluateBC7Endpoints(block, pixels, first, count, d0, d1, indexBits, indices);
+            if (error < best.error) {
+                best.q0.set(q0.subarray(0, count));
+                best.q1.set(q1.subarray(0, count));
+                best.p0 = p0;
+                best.p1 = p1;
+                best.indices.set(indices);
+                best.error = error;
+            }
+        }
+        return best;
+    }
+
+    // Nearest stored value for an 8-bit channel; p < 0 means the mode has no p-bit
+    static quantizeBC7Channel(v, bits, p) {
+        const levels = (1 << (p < 0 ? bits : bits + 1)) - 1;
+        const t = Math.max(0, Math.min(255, v)) * levels / 255;
+        if (p < 0) return Math.round(t);
+        return Math.max(0, Math.min((1 << bits) - 1, Math.round((t - p) / 2)));
+    }
+
+    // Stored value (+ p-bit) back to 8 bits, replicating high bits like the decoder
+    static expandBC7Channel(q, bits, p) {
+        const total = p < 0 ? bits : bits + 1;
+        const full = p < 0 ? q : (q << 1) | p;
+        return (full << (8 - total)) | (full >> (2 * total - 8));
+    }
+
+    static evaluateBC7Endpoints(block, pixels, first, count, d0, d1, indexBits, indices) {
+        const weights = BC7_WEIGHTS[indexBits];
+        const entries = weights.length;
+        const palette = BC7_PALETTE_SCRATCH;
+        let len2 = 0;
+        for (let c = 0; c < count; c++) len2 += (d1[c] - d0[c]) * (d1[c] - d0[c]);
+        for (let k = 0; k < entries; k++) {
+            const w = weights[k];
+            for (let c = 0; c < count; c++) palette[k * 4 + c] = ((64 - w) * d0[c] + w * d1[c] + 32) >> 6;
+        }
+
+        // 8/16-entry palettes: project onto the endpoint line and only test the neighbouring entries
+        const nearest = entries > 4 && len2 > 0 ? BC7_NEAREST_WEIGHT[indexBits] : null;
+
+        let error = 0;
+        for (const i of pixels) {
+            let kMin = 0, kMax = entries - 1;
+            if (nearest) {
+                let t = 0;
+                for (let c = 0; c < count; c++) t += (block[i * 4 + first + c] - d0[c]) * (d1[c] - d0[c]);
+                const k = nearest[Math.max(0, Math.min(64, Math.round(t * 64 / len2)))];
+                kMin = Math.max(0, k - 1);
+                kMax = Math.min(entries - 1, k + 1);
+            }
+            let bestIdx = kMin, bestErr = Infinity;
+            for (let k = kMin; k <= kMax; k++) {
+                let err = 0;
+                for (let c = 0; c < count; c++) {
+                    const d = block[i * 4 + first + c] - palette[k * 4 + c];
+                    err += d * d;
+                }
+                if (err < bestErr) { bestErr = err; bestIdx = k; }
+            }
+            indices[i] = bestIdx;
+            error += bestErr;
+        }
+        return error;
+    }
+
+    // Swaps a fit's endpoints (and inverts its indices) when the anchor index has its top bit set
+    static fixBC7Anchor(fit, pixels, anchor) {
+        const max = (1 << fit.indexBits) - 1;
+        if (fit.indices[anchor] <= (max >> 1)) return;
+        [fit.q0, fit.q1] = [fit.q1, fit.q0];
+        [fit.p0, fit.p1] = [fit.p1, fit.p0];
+        for (const i of pixels) fit.indices[i] = max - fit.indices[i];
+    }
+
+    static packBC7Block(result, out, offset) {
+        const m = BC7_MODES[result.mode];
+        const words = new Uint32Array(4);
+        let pos = 0;
+        const write = (value, count) => {
+            for (let b = 0; b < count; b++, pos++) {
+                if ((value >> b) & 1) words[pos >>> 5] |= 1 << (pos & 31);
+            }
+        };
+
+        write(1 << result.mode, result.mode + 1);
+        if (m.pb) write(result.partition, m.pb);
+        if (m.rb) write(result.rotation, m.rb);
+        if (m.isb) write(result.isb, 1);
+
+        if (m.rb) {
+            const { color, alpha } = result;
+            this.fixBC7Anchor(color, BC7_ALL_PIXELS, 0);
+            this.fixBC7Anchor(alpha, BC7_ALL_PIXELS, 0);
+            for (let c = 0; c < 3; c++) {
+                write(color.q0[c], m.cb);
+                write(color.q1[c], m.cb);
+            }
+            write(alpha.q0[0], m.ab);
+            write(alpha.q1[0], m.ab);
+            const primary = result.isb ? alpha : color;
+            const secondary = result.isb ? color : alpha;
+            for (let i = 0; i < 16; i++) write(primary.indices[i], i === 0 ? m.ib - 1 : m.ib);
+            for (let i = 0; i < 16; i++) write(secondary.indices[i], i === 0 ? m.ib2 - 1 : m.ib2);
+        } else {
+            const subsets = result.subsets;
+            const anchors = [0];
+            if (m.ns === 2) anchors.push(BC7_ANCHORS_2[result.partition]);
+            if (m.ns === 3) anchors.push(BC7_ANCHORS_3A[result.partition], BC7_ANCHORS_3B[result.partition]);
+            subsets.forEach((fit, s) => this.fixBC7Anchor(fit, fit.pixels, anchors[s]));
+
+            const channels = m.ab ? 4 : 3;
+            for (let c = 0; c < channels; c++) {
+                const bits = c === 3 ? m.ab : m.cb;
+                for (const fit of subsets) {
+                    write(fit.q0[c], bits);
+                    write(fit.q1[c], bits);
+                }
+            }
+            if (m.epb) {
+                for (const fit of subsets) {
+                    write(fit.p0, 1);
+                    write(fit.p1, 1);
+                }
+            } else if (m.spb) {
+                for (const fit of subsets) write(fit.p0, 1);
+            }
+
+            const table = m.ns === 2 ? BC7_PARTITIONS_2 : (m.ns === 3 ? BC7_PARTITIONS_3 : null);
+            for (let i = 0; i < 16; i++) {
+                const fit = subsets[table ? table[result.partition][i] : 0];
+                write(fit.indices[i], anchors.includes(i) ? m.ib - 1 : m.ib);
+            }
+        }
+
+        for (let i = 0; i < 4; i++) {
+            out[offset + i * 4] = words[i] & 0xFF;
+            out[offset + i * 4 + 1] = (words[i] >>> 8) & 0xFF;
+            out[offset + i * 4 + 2] = (words[i] >>> 16) & 0xFF;
+            out[offset + i * 4 + 3] = words[i] >>> 24;
+        }
+    }
 }
@@ -0,0 +1,524 @@
+// Undo/redo. Each command is everything one user action changed in the document: layer
+// properties, layers added, removed or reordered, paint pixels and the texture size.
+// The editor mutates its layers as before and calls record(label) once an action is complete;
+// History compares the document with the last recorded state to build the command, so side
+// effects such as linked mirror updates are undone together with their source, and a slider drag
+// recorded on release becomes one step.
+//
+// Canvas pixels are too large to compare or copy whole, so they are kept as HISTORY_TILE_SIZE
+// tiles: call beginPixels(layer, rect) before drawing into `rect` of a layer's canvas and only
+// the tiles it touches are captured. Tiles are deflated once recorded, the state after one step
+// is shared as the state before the next, and beyond HISTORY_MEMORY_LIMIT the oldest tiles are
+// moved to IndexedDB (HistoryTileStore). Undo and redo are async because tiles may need reading back.
+//
+// Snapshots are named copies of the whole document, kept apart from the undo steps so they
+// outlive the step limit. Restoring one is recorded as a new step, so work can branch from it.
+
+const HISTORY_TILE_SIZE = 256;
+const HISTORY_MEMORY_LIMIT = 64 * 1024 * 1024; // Bytes of tile data kept in memory
+const HISTORY_STORE = 'history-tiles';
+const HISTORY_SESSION_STORE = 'history-sessions'; // When each session with stored tiles last checked in
+const HISTORY_HEARTBEAT_INTERVAL = 5 * 60 * 1000;
+const HISTORY_SPILL_MAX_AGE = 24 * 60 * 60 * 1000; // Sessions silent this long are taken as closed tabs and their tiles removed
+
+class History {
+    constructor(editor, limit = 50) {
+        this.editor = editor;
+        this.limit = limit;
+        this.session = Date.now();
+        this.tileState = new Map(); // canvas -> Map(tile key -> tile) as of the last recorded step
+        this.spilled = new Set(); // Tiles whose data is in HistoryTileStore
+        this.snapshots = [];
+        this.busy = false;
+        this.reset();
+        HistoryTileStore.purge(this.session).catch(() => {});
+    }
+
+    // Forgets every step and takes the current document as the starting point
+    reset() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.snapshots = [];
+        this.pendingPixels = new Map(); // layer -> Map(tile key -> { key, x, y, width, height, before })
+        this.tileState.clear();
+        if (this.spilled.size) {
+            this.spilled.clear();
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+            HistoryTileStore.clear(this.session).catch(e => console.warn("History:", e.message));
+        }
+        this.base = this.snapshot();
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Arrays and plain objects (e.g. path points) are copied; canvases, images and other live
+    // objects are compared by identity
+    static isPlainData(value) {
+        return Array.isArray(value) ||
+            (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype);
+    }
+
+    static cloneValue(value) {
+        return History.isPlainData(value) ? JSON.parse(JSON.stringify(value)) : value;
+    }
+
+    static sameValue(a, b) {
+        if (a === b) return true;
+        return History.isPlainData(a) && History.isPlainData(b) && JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    static snapshotLayer(layer) {
+        const props = {};
+        Object.keys(layer).forEach(key => { props[key] = History.cloneValue(layer[key]); });
+        return props;
+    }
+
+    snapshot() {
+        const layers = new Map();
+        this.editor.layers.forEach(layer => layers.set(layer, History.snapshotLayer(layer)));
+        return {
+            order: [...this.editor.layers],
+            layers,
+            width: this.editor.virtualWidth,
+            height: this.editor.virtualHeight
+        };
+    }
+
+    // --- Pixel Tiles ---
+
+    // The tiles of `canvas` overlapping `rect` ({ x, y, width, height } in canvas pixels)
+    static tilesIn(canvas, rect) {
+        const size = HISTORY_TILE_SIZE;
+        const x0 = Math.max(0, Math.floor(rect.x / size));
+        const y0 = Math.max(0, Math.floor(rect.y / size));
+        const x1 = Math.min(Math.ceil(canvas.width / size), Math.ceil((rect.x + rect.width) / size));
+        const y1 = Math.min(Math.ceil(canvas.height / size), Math.ceil((rect.y + rect.height) / size));
+        const tiles = [];
+        for (let ty = y0; ty < y1; ty++) {
+            for (let tx = x0; tx < x1; tx++) {
+                const x = tx * size;
+                const y = ty * size;
+                tiles.push({
+                    key: `${tx},${ty}`, x, y,
+                    width: Math.min(size, canvas.width - x),
+                    height: Math.min(size, canvas.height - y)
+                });
+            }
+        }
+        return tiles;
+    }
+
+    // A tile is { hash, empty, data (raw RGBA), blob (deflated), spillKey (in HistoryTileStore) };
+    // fully transparent tiles hold no data at all
+    static captureTile(ctx, rect) {
+        const data = ctx.getImageData(rect.x, rect.y, rect.width, rect.height).data;
+        const words = new Uint32Array(data.buffer, data.byteOffset, data.length / 4);
+        let hash = 0x811c9dc5;
+        let empty = true;
+        for (let i = 0; i < words.length; i++) {
+            if (words[i]) empty = false;
+            hash = Math.imul(hash ^ words[i], 16777619);
+        }
+        return { hash, empty, data: empty ? null : data, blob: null, spillKey: null };
+    }
+
+    static sameTile(a, b) {
+        return a === b || (a.empty && b.empty) || (!a.empty && !b.empty && a.hash === b.hash);
+    }
+
+    static tileBytes(tile) {
+        if (tile.data) return tile.data.byteLength;
+        return tile.blob ? tile.blob.size : 0;
+    }
+
+    // Call before drawing into `rect` of the layer's canvas (the whole canvas by default)
+    beginPixels(layer, rect = null) {
+        if (!layer.ctx) return;
+        const canvas = layer.canvas;
+        let touched = this.pendingPixels.get(layer);
+        if (!touched) {
+            touched = new Map();
+            this.pendingPixels.set(layer, touched);
+        }
+        const known = this.tileState.get(canvas);
+        History.tilesIn(canvas, rect || { x: 0, y: 0, width: canvas.width, height: canvas.height }).forEach(tile => {
+            if (touched.has(tile.key)) return;
+            const before = (known && known.get(tile.key)) || History.captureTile(layer.ctx, tile);
+            touched.set(tile.key, { ...tile, before });
+        });
+    }
+
+    static async compressTile(tile) {
+        if (!tile.data || tile.blob || typeof CompressionStream === 'undefined') return;
+        const stream = new Blob([tile.data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        tile.blob = await new Response(stream).blob();
+        tile.data = null;
+    }
+
+    static async readTile(tile, width, height) {
+        if (tile.empty) return new Uint8ClampedArray(width * height * 4);
+        if (tile.data) return tile.data;
+        const blob = tile.blob || await HistoryTileStore.read(tile.spillKey);
+        if (typeof DecompressionStream === 'undefined') return new Uint8ClampedArray(await blob.arrayBuffer());
+        const stream = blob.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8ClampedArray(await new Response(stream).arrayBuffer());
+    }
+
+    // --- Commands ---
+
+    // Records the changes since the last step as one command. Returns the command, or null if
+    // nothing changed.
+    record(label) {
+        const current = this.snapshot();
+        const changes = [];
+
+        const base = this.base;
+        if (base.order.length !== current.order.length || base.order.some((layer, i) => layer !== current.order[i])) {
+            changes.push({ type: 'order', before: base.order, after: current.order });
+        }
+
+        // Removed layers are compared too, so undoing an edit-then-delete restores the edited values
+        base.layers.forEach((oldProps, layer) => {
+            const newProps = current.layers.get(layer) || History.snapshotLayer(layer);
+            const before = {};
+            const after = {};
+            let changed = false;
+            new Set([...Object.keys(oldProps), ...Object.keys(newProps)]).forEach(key => {
+                if (History.sameValue(oldProps[key], newProps[key])) return;
+                before[key] = oldProps[key];
+                after[key] = newProps[key];
+                changed = true;
+            });
+            if (changed) changes.push({ type: 'props', layer, before, after });
+        });
+
+        const newTiles = [];
+        this.pendingPixels.forEach((touched, layer) => {
+            if (!layer.ctx) return;
+            let known = this.tileState.get(layer.canvas);
+            if (!known) {
+                known = new Map();
+                this.tileState.set(layer.canvas, known);
+            }
+            const tiles = [];
+            touched.forEach(({ before, ...rect }) => {
+                const after = History.captureTile(layer.ctx, rect);
+                if (History.sameTile(before, after)) {
+                    known.set(rect.key, before);
+                    return;
+                }
+                known.set(rect.key, after);
+                tiles.push({ ...rect, before, after });
+                newTiles.push(before, after);
+            });
+            if (tiles.length) changes.push({ type: 'pixels', layer, tiles });
+        });
+        this.pendingPixels.clear();
+
+        if (base.width !== current.width || base.height !== current.height) {
+            changes.push({
+                type: 'size',
+                before: { width: base.width, height: base.height },
+                after: { width: current.width, height: current.height }
+            });
+        }
+
+        this.base = current;
+        if (!changes.length) return null;
+
+        const command = { label, changes, time: Date.now() };
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+
+        Promise.all(newTiles.map(tile => History.compressTile(tile)))
+            .then(() => this.trim())
+            .catch(e => console.warn("History:", e.message));
+        return command;
+    }
+
+    // Resolves to the command undone, or null
+    async undo() {
+        return this.step('before');
+    }
+
+    async redo() {
+        return this.step('after');
+    }
+
+    // Stacks are looked up again once the pixels have loaded: a step recorded meanwhile (e.g. a
+    // stroke finishing while Ctrl+Z waits) supersedes this one, which is then dropped
+    async step(side) {
+        const stacks = () => (side === 'before' ? [this.undoStack, this.redoStack] : [this.redoStack, this.undoStack]);
+        const [from] = stacks();
+        const command = from[from.length - 1];
+        if (!command || this.busy) return null;
+        this.busy = true;
+        try {
+            const pixels = await this.loadPixels(command, side);
+            const [current, to] = stacks();
+            if (current[current.length - 1] !== command) return null;
+            current.pop();
+            this.apply(command, side, pixels);
+            to.push(command);
+            return command;
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    // Map(tile change -> RGBA data) of the command's tiles on `side`
+    async loadPixels(command, side) {
+        const pixels = new Map();
+        for (const change of command.changes) {
+            if (change.type !== 'pixels') continue;
+            for (const tile of change.tiles) {
+                pixels.set(tile, await History.readTile(tile[side], tile.width, tile.height));
+            }
+        }
+        return pixels;
+    }
+
+    apply(command, side, pixels) {
+        const changes = side === 'before' ? [...command.changes].reverse() : command.changes;
+        changes.forEach(change => {
+            const values = change[side];
+            if (change.type === 'order') {
+                this.editor.layers = [...values];
+            } else if (change.type === 'props') {
+                Object.entries(values).forEach(([key, value]) => {
+                    if (value === undefined) delete change.layer[key];
+                    else change.layer[key] = History.cloneValue(value);
+                });
+            } else if (change.type === 'pixels') {
+                const { layer } = change;
+                let known = this.tileState.get(layer.canvas);
+                if (!known) {
+                    known = new Map();
+                    this.tileState.set(layer.canvas, known);
+                }
+                change.tiles.forEach(tile => {
+                    const data = new Uint8ClampedArray(pixels.get(tile));
+                    layer.ctx.putImageData(new ImageData(data, tile.width, tile.height), tile.x, tile.y);
+                    known.set(tile.key, tile[side]);
+                });
+                if (layer.img) layer.img.src = layer.canvas.toDataURL();
+            } else if (change.type === 'size') {
+                this.editor.virtualWidth = values.width;
+                this.editor.virtualHeight = values.height;
+            }
+        });
+        this.pendingPixels.clear();
+        this.base = this.snapshot();
+    }
+
+    // Undoes or redoes until `count` steps are applied
+    async goTo(count) {
+        while (this.undoStack.length > count && await this.undo());
+        while (this.undoStack.length < count && await this.redo());
+    }
+
+    // --- Snapshots ---
+
+    takeSnapshot(name) {
+        const snapshot = { id: Date.now(), name, time: Date.now(), ...this.snapshot(), pixels: new Map() };
+        const newTiles = [];
+        this.editor.layers.forEach(layer => {
+            if (!layer.ctx || snapshot.pixels.has(layer.canvas)) return;
+            let known = this.tileState.get(layer.canvas);
+            if (!known) {
+                known = new Map();
+                this.tileState.set(layer.canvas, known);
+            }
+            const tiles = History.tilesIn(layer.canvas, { x: 0, y: 0, width: layer.canvas.width, height: layer.canvas.height })
+                .map(rect => {
+                    let tile = known.get(rect.key);
+                    if (!tile) {
+                        tile = History.captureTile(layer.ctx, rect);
+                        known.set(rect.key, tile);
+                        newTiles.push(tile);
+                    }
+                    return { ...rect, tile };
+                });
+            snapshot.pixels.set(layer.canvas, { layer, tiles });
+        });
+        this.snapshots.push(snapshot);
+
+        Promise.all(newTiles.map(tile => History.compressTile(tile)))
+            .then(() => this.trim())
+            .catch(e => console.warn("History:", e.message));
+        return snapshot;
+    }
+
+    deleteSnapshot(snapshot) {
+        this.snapshots = this.snapshots.filter(s => s !== snapshot);
+        this.trim();
+    }
+
+    // Puts the document back as it was when the snapshot was taken, recorded as a new step.
+    // Resolves to the command, or null if nothing differed.
+    async restoreSnapshot(snapshot) {
+        if (this.busy) return null;
+        this.busy = true;
+        try {
+            const pixels = new Map();
+            for (const { layer, tiles } of snapshot.pixels.values()) {
+                const known = this.tileState.get(layer.canvas);
+                for (const entry of tiles) {
+                    if (known && known.get(entry.key) === entry.tile) continue;
+                    pixels.set(entry, await History.readTile(entry.tile, entry.width, entry.height));
+                }
+            }
+
+            snapshot.layers.forEach((props, layer) => {
+                Object.keys(layer).forEach(key => { if (!(key in props)) delete layer[key]; });
+                Object.entries(props).forEach(([key, value]) => { layer[key] = History.cloneValue(value); });
+            });
+            this.editor.layers = [...snapshot.order];
+            this.editor.virtualWidth = snapshot.width;
+            this.editor.virtualHeight = snapshot.height;
+
+            snapshot.pixels.forEach(({ layer, tiles }) => {
+                let drawn = false;
+                tiles.forEach(entry => {
+                    if (!pixels.has(entry)) return;
+                    this.beginPixels(layer, entry);
+                    const data = new Uint8ClampedArray(pixels.get(entry));
+                    layer.ctx.putImageData(new ImageData(data, entry.width, entry.height), entry.x, entry.y);
+                    drawn = true;
+                });
+                if (drawn && layer.img) layer.img.src = layer.canvas.toDataURL();
+            });
+            return this.record(`Restore ${snapshot.name}`);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    // Drops stored tiles no step refers to any more and moves the oldest tiles to IndexedDB while
+    // more than HISTORY_MEMORY_LIMIT is held in memory
+    trim() {
+        const live = new Set(); // Oldest first, so the oldest tiles are spilled first
+        const canvases = new Set(this.editor.layers.map(layer => layer.canvas).filter(Boolean));
+        [...this.undoStack, ...[...this.redoStack].reverse()].forEach(command => {
+            command.changes.forEach(change => {
+                if (change.type !== 'pixels') return;
+                canvases.add(change.layer.canvas);
+                change.tiles.forEach(tile => {
+                    live.add(tile.before);
+                    live.add(tile.after);
+                });
+            });
+        });
+        this.snapshots.forEach(snapshot => snapshot.pixels.forEach(({ tiles }, canvas) => {
+            canvases.add(canvas);
+            tiles.forEach(entry => live.add(entry.tile));
+        }));
+        this.tileState.forEach((tiles, canvas) => {
+            if (canvases.has(canvas)) tiles.forEach(tile => live.add(tile));
+            else this.tileState.delete(canvas);
+        });
+
+        const unused = [...this.spilled].filter(tile => !live.has(tile));
+        if (unused.length) {
+            unused.forEach(tile => this.spilled.delete(tile));
+            HistoryTileStore.delete(unused.map(tile => tile.spillKey)).catch(e => console.warn("History:", e.message));
+        }
+
+        if (this.spilling || HistoryTileStore.unavailable) return;
+        let bytes = 0;
+        live.forEach(tile => { bytes += History.tileBytes(tile); });
+        const spill = [];
+        for (const tile of live) {
+            if (bytes <= HISTORY_MEMORY_LIMIT) break;
+            if (!tile.blob) continue; // Still being compressed
+            spill.push(tile);
+            bytes -= tile.blob.size;
+        }
+        if (!spill.length) return;
+
+        this.spilling = true;
+        HistoryTileStore.write(this.session, spill.map(tile => tile.blob))
+            .then(keys => {
+                spill.forEach((tile, i) => {
+                    tile.spillKey = keys[i];
+                    tile.blob = null;
+                    this.spilled.add(tile);
+                });
+                // Keeps other tabs from purging this session's tiles while it is open
+                if (!this.heartbeat) {
+                    this.heartbeat = setInterval(() => HistoryTileStore.heartbeat(this.session)
+                        .catch(e => console.warn("History:", e.message)), HISTORY_HEARTBEAT_INTERVAL);
+                }
+            })
+            .catch(e => console.warn("History: keeping undo steps in memory,", e.message))
+            .finally(() => { this.spilling = false; });
+    }
+}
+
+// Undo tiles moved out of memory, kept in IndexedDB (local-store.js) per editor session. Each
+// session with stored tiles also keeps a heartbeat time, refreshed while its tab is open.
+class HistoryTileStore {
+    static transaction(mode, work, storeNames = [HISTORY_STORE]) {
+        return LocalStore.transaction(storeNames, mode, stores => work(stores[HISTORY_STORE], stores[HISTORY_SESSION_STORE]))
+            .catch(e => {
+                if (e.message === "IndexedDB is not available") this.unavailable = true;
+                throw e;
+            });
+    }
+
+    // Resolves to the keys of the stored blobs, in order
+    static write(session, blobs) {
+        const time = Date.now();
+        return this.transaction('readwrite', (store, sessions) => {
+            sessions.put({ session, time });
+            return Promise.all(blobs.map(blob => LocalStore.request(store.add({ session, time, blob }))));
+        }, [HISTORY_STORE, HISTORY_SESSION_STORE]);
+    }
+
+    static heartbeat(session) {
+        return this.transaction('readwrite', (store, sessions) => { sessions.put({ session, time: Date.now() }); },
+            [HISTORY_SESSION_STORE]);
+    }
+
+    static async read(key) {
+        const record = await this.transaction('readonly', store => LocalStore.request(store.get(key)));
+        if (!record) throw new Error("This undo step is no longer stored");
+        return record.blob;
+    }
+
+    static delete(keys) {
+        return this.transaction('readwrite', store => keys.forEach(key => store.delete(key)));
+    }
+
+    // Keys of one session's tiles, read from the index so no blob is loaded
+    static sessionKeys(session) {
+        return this.transaction('readonly', store => LocalStore.request(store.index('session').getAllKeys(session)));
+    }
+
+    static async clear(session) {
+        const keys = await this.sessionKeys(session);
+        await this.transaction('readwrite', (store, sessions) => {
+            keys.forEach(key => store.delete(key));
+            sessions.delete(session);
+        }, [HISTORY_STORE, HISTORY_SESSION_STORE]);
+    }
+
+    // Removes the tiles of sessions that stopped checking in (e.g. a closed tab). Sessions of other
+    // open tabs keep theirs, however old the tiles are.
+    static async purge(session) {
+        const cutoff = Date.now() - HISTORY_SPILL_MAX_AGE;
+        const all = await this.transaction('readonly', (store, sessions) => LocalStore.request(sessions.getAll()),
+            [HISTORY_SESSION_STORE]);
+        for (const record of all) {
+            if (record.session !== session && record.time < cutoff) await this.clear(record.session);
+        }
+    }
+}
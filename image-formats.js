@@ -0,0 +1,382 @@
+// TGA and lossless WebP (VP8L) writers for preview and work-file exports.
+// ImageEncoder.encode is the entry point used by the codec worker: it writes 'TGA' and 'WEBP'
+// itself and hands every DDS format to DDSEncoder. PNG exports go through canvas.toBlob instead.
+
+const TGA_HEADER_SIZE = 18;
+const TGA_FOOTER = 'TRUEVISION-XFILE.\0';
+const TGA_TYPE_TRUECOLOR = 2;
+const TGA_TYPE_TRUECOLOR_RLE = 10;
+const TGA_DESCRIPTOR_TOP_LEFT = 0x20;
+const TGA_MAX_PACKET = 128;
+
+// VP8L bitstream constants (WebP Lossless Bitstream Specification)
+const VP8L_SIGNATURE = 0x2f;
+const VP8L_MAX_SIZE = 16384;
+const VP8L_TRANSFORM_SUBTRACT_GREEN = 2;
+const VP8L_LITERALS = 256;
+const VP8L_LENGTH_CODES = 24;
+const VP8L_DISTANCE_CODES = 40;
+const VP8L_MAX_COPY = 4096;
+const VP8L_MIN_COPY = 3;
+const VP8L_MAX_CODE_LENGTH = 15;
+const VP8L_MAX_CODE_LENGTH_CODE_LENGTH = 7;
+const VP8L_CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+// Distance codes 1..120 name 2D neighbours; 1 is the pixel above, 2 the pixel to the left
+const VP8L_DISTANCE_CODE_UP = 1;
+const VP8L_DISTANCE_CODE_LEFT = 2;
+
+// LSB-first bit packer, as VP8L expects
+class VP8LBitWriter {
+    constructor(capacity) {
+        this.bytes = new Uint8Array(Math.max(64, capacity));
+        this.length = 0;
+        this.acc = 0;
+        this.bits = 0;
+    }
+
+    write(value, count) {
+        this.acc |= value << this.bits;
+        this.bits += count;
+        while (this.bits >= 8) {
+            if (this.length === this.bytes.length) {
+                const grown = new Uint8Array(this.bytes.length * 2);
+                grown.set(this.bytes);
+                this.bytes = grown;
+            }
+            this.bytes[this.length++] = this.acc & 0xFF;
+            this.acc >>>= 8;
+            this.bits -= 8;
+        }
+    }
+
+    finish() {
+        if (this.bits > 0) this.write(0, 8 - this.bits);
+        return this.bytes.subarray(0, this.length);
+    }
+}
+
+class ImageEncoder {
+    static encode(image, options = {}) {
+        if (options.format === 'TGA') return this.encodeTGA(image, options);
+        if (options.format === 'WEBP') return this.encodeWebP(image, options);
+        return DDSEncoder.encode(image, options);
+    }
+
+    // Truecolor TGA, top-left origin, 32-bit BGRA (24-bit BGR without alpha), optionally RLE packed
+    static encodeTGA(image, { rle = false, alpha = true, onProgress = null } = {}) {
+        const { width, height, data } = image;
+        if (width > 0xFFFF || height > 0xFFFF) throw new Error("TGA supports at most 65535x65535 pixels");
+        const bpp = alpha ? 4 : 3;
+        // Worst case RLE adds one packet header per TGA_MAX_PACKET pixels of each row
+        const rowPackets = Math.ceil(width / TGA_MAX_PACKET);
+        const out = new Uint8Array(TGA_HEADER_SIZE + height * (width * bpp + (rle ? rowPackets : 0)) + 8 + TGA_FOOTER.length);
+        const view = new DataView(out.buffer);
+
+        out[2] = rle ? TGA_TYPE_TRUECOLOR_RLE : TGA_TYPE_TRUECOLOR;
+        view.setUint16(12, width, true);
+        view.setUint16(14, height, true);
+        out[16] = bpp * 8;
+        out[17] = TGA_DESCRIPTOR_TOP_LEFT | (alpha ? 8 : 0);
+
+        // Pixels compare as 32-bit words; without alpha the A byte is masked off
+        const pixels = new Uint32Array(data.buffer, data.byteOffset, width * height);
+        const mask = alpha ? 0xFFFFFFFF : 0x00FFFFFF;
+        let pos = TGA_HEADER_SIZE;
+        const writePixel = (i) => {
+            const p = i * 4;
+            out[pos++] = data[p + 2];
+            out[pos++] = data[p + 1];
+            out[pos++] = data[p];
+            if (alpha) out[pos++] = data[p + 3];
+        };
+        const same = (a, b) => ((pixels[a] ^ pixels[b]) & mask) === 0;
+
+        for (let y = 0; y < height; y++) {
+            const rowStart = y * width;
+            const rowEnd = rowStart + width;
+            if (!rle) {
+                for (let i = rowStart; i < rowEnd; i++) writePixel(i);
+            } else {
+                // Packets never cross scanlines (TGA 2.0)
+                let i = rowStart;
+                while (i < rowEnd) {
+                    let run = 1;
+                    while (i + run < rowEnd && run < TGA_MAX_PACKET && same(i, i + run)) run++;
+                    if (run > 1) {
+                        out[pos++] = 0x80 | (run - 1);
+                        writePixel(i);
+                        i += run;
+                        continue;
+                    }
+                    // Raw packet up to the start of the next run
+                    let count = 1;
+                    while (i + count < rowEnd && count < TGA_MAX_PACKET &&
+                        !(i + count + 1 < rowEnd && same(i + count, i + count + 1))) count++;
+                    out[pos++] = count - 1;
+                    for (let k = 0; k < count; k++) writePixel(i + k);
+                    i += count;
+                }
+            }
+            if (onProgress) onProgress((y + 1) / height);
+        }
+
+        // TGA 2.0 footer: no extension or developer area
+        pos += 8;
+        for (let i = 0; i < TGA_FOOTER.length; i++) out[pos++] = TGA_FOOTER.charCodeAt(i);
+        return out.buffer.slice(0, pos);
+    }
+
+    // Lossless WebP: subtract-green transform, LZ77 copies from the left or upper pixel, and
+    // one set of Huffman codes for the whole image (no color cache or meta codes)
+    static encodeWebP(image, { alpha = true, onProgress = null } = {}) {
+        const { width, height, data } = image;
+        if (width > VP8L_MAX_SIZE || height > VP8L_MAX_SIZE) throw new Error(`WebP supports at most ${VP8L_MAX_SIZE}x${VP8L_MAX_SIZE} pixels`);
+        const count = width * height;
+
+        // ARGB words after subtract-green: red and blue store their difference to green
+        const argb = new Uint32Array(count);
+        let alphaUsed = false;
+        for (let i = 0; i < count; i++) {
+            const p = i * 4;
+            const g = data[p + 1];
+            const a = alpha ? data[p + 3] : 255;
+            if (a !== 255) alphaUsed = true;
+            argb[i] = ((a << 24) | (((data[p] - g) & 0xFF) << 16) | (g << 8) | ((data[p + 2] - g) & 0xFF)) >>> 0;
+        }
+
+        // Tokenize: copyLength 0 means a literal pixel, otherwise a copy from distanceCode
+        const copyLength = new Uint16Array(count);
+        const distanceCode = new Uint8Array(count);
+        const tokenPixel = new Uint32Array(count);
+        let tokens = 0;
+        const green = new Uint32Array(VP8L_LITERALS + VP8L_LENGTH_CODES);
+        const red = new Uint32Array(VP8L_LITERALS);
+        const blue = new Uint32Array(VP8L_LITERALS);
+        const alphaHist = new Uint32Array(VP8L_LITERALS);
+        const distance = new Uint32Array(VP8L_DISTANCE_CODES);
+
+        let nextRow = width;
+        for (let i = 0; i < count;) {
+            const limit = Math.min(VP8L_MAX_COPY, count - i);
+            let left = 0;
+            if (i >= 1) while (left < limit && argb[i + left] === argb[i + left - 1]) left++;
+            let up = 0;
+            if (i >= width) while (up < limit && argb[i + up] === argb[i + up - width]) up++;
+
+            const length = Math.max(left, up);
+            if (length >= VP8L_MIN_COPY) {
+                const code = up >= left ? VP8L_DISTANCE_CODE_UP : VP8L_DISTANCE_CODE_LEFT;
+                copyLength[tokens] = length;
+                distanceCode[tokens] = code;
+                green[VP8L_LITERALS + this.prefixEncode(length).symbol]++;
+                distance[this.prefixEncode(code).symbol]++;
+                i += length;
+            } else {
+                const pixel = argb[i];
+                tokenPixel[tokens] = pixel;
+                green[(pixel >>> 8) & 0xFF]++;
+                red[(pixel >>> 16) & 0xFF]++;
+                blue[pixel & 0xFF]++;
+                alphaHist[pixel >>> 24]++;
+                i++;
+            }
+            tokens++;
+            if (onProgress && i >= nextRow) {
+                onProgress(0.5 * i / count);
+                nextRow = (Math.floor(i / width) + 1) * width;
+            }
+        }
+
+        const writer = new VP8LBitWriter(count);
+        writer.write(VP8L_SIGNATURE, 8);
+        writer.write(width - 1, 14);
+        writer.write(height - 1, 14);
+        writer.write(alphaUsed ? 1 : 0, 1);
+        writer.write(0, 3); // Version
+        writer.write(1, 1); // Transform present
+        writer.write(VP8L_TRANSFORM_SUBTRACT_GREEN, 2);
+        writer.write(0, 1); // No further transforms
+        writer.write(0, 1); // No color cache
+        writer.write(0, 1); // No meta prefix codes
+
+        const codes = [green, red, blue, alphaHist, distance].map(histogram => this.writeHuffmanCode(writer, histogram));
+        const [greenCode, redCode, blueCode, alphaCode, distanceCodes] = codes;
+        const writeSymbol = (code, symbol) => writer.write(code.codes[symbol], code.lengths[symbol]);
+
+        let covered = 0;
+        nextRow = width;
+        for (let t = 0; t < tokens; t++) {
+            const length = copyLength[t];
+            if (length === 0) {
+                const pixel = tokenPixel[t];
+                writeSymbol(greenCode, (pixel >>> 8) & 0xFF);
+                writeSymbol(redCode, (pixel >>> 16) & 0xFF);
+                writeSymbol(blueCode, pixel & 0xFF);
+                writeSymbol(alphaCode, pixel >>> 24);
+                covered++;
+            } else {
+                const lengthPrefix = this.prefixEncode(length);
+                writeSymbol(greenCode, VP8L_LITERALS + lengthPrefix.symbol);
+                writer.write(lengthPrefix.extra, lengthPrefix.extraBits);
+                const distancePrefix = this.prefixEncode(distanceCode[t]);
+                writeSymbol(distanceCodes, distancePrefix.symbol);
+                writer.write(distancePrefix.extra, distancePrefix.extraBits);
+                covered += length;
+            }
+            if (onProgress && covered >= nextRow) {
+                onProgress(0.5 + 0.5 * covered / count);
+                nextRow = (Math.floor(covered / width) + 1) * width;
+            }
+        }
+        const bitstream = writer.finish();
+
+        // RIFF container with a single VP8L chunk, padded to an even size
+        const padded = bitstream.length + (bitstream.length & 1);
+        const out = new Uint8Array(20 + padded);
+        const view = new DataView(out.buffer);
+        const writeTag = (offset, tag) => { for (let i = 0; i < 4; i++) out[offset + i] = tag.charCodeAt(i); };
+        writeTag(0, 'RIFF');
+        view.setUint32(4, 12 + padded, true);
+        writeTag(8, 'WEBP');
+        writeTag(12, 'VP8L');
+        view.setUint32(16, bitstream.length, true);
+        out.set(bitstream, 20);
+        return out.buffer;
+    }
+
+    // Splits a length or distance code (>= 1) into a prefix symbol and extra bits
+    static prefixEncode(value) {
+        const n = value - 1;
+        if (n < 4) return { symbol: n, extraBits: 0, extra: 0 };
+        const highBit = 31 - Math.clz32(n);
+        const second = (n >> (highBit - 1)) & 1;
+        const extraBits = highBit - 1;
+        return { symbol: 2 * highBit + second, extraBits, extra: n & ((1 << extraBits) - 1) };
+    }
+
+    // Writes the prefix code for a histogram and returns { lengths, codes } for writing symbols
+    static writeHuffmanCode(writer, histogram) {
+        const used = [];
+        for (let s = 0; s < histogram.length; s++) if (histogram[s] > 0) used.push(s);
+        if (used.length === 0) used.push(0);
+
+        // Simple code: one or two 8-bit symbols
+        if (used.length <= 2 && used[used.length - 1] < VP8L_LITERALS) {
+            writer.write(1, 1);
+            writer.write(used.length - 1, 1);
+            if (used[0] < 2) {
+                writer.write(0, 1);
+                writer.write(used[0], 1);
+            } else {
+                writer.write(1, 1);
+                writer.write(used[0], 8);
+            }
+            if (used.length === 2) writer.write(used[1], 8);
+            const lengths = new Uint8Array(histogram.length);
+            used.forEach(s => { lengths[s] = 1; });
+            return this.canonicalCodes(lengths);
+        }
+
+        // Normal code: symbol code lengths, themselves Huffman coded (17/18 encode runs of zeros)
+        writer.write(0, 1);
+        const lengths = this.huffmanLengths(histogram, VP8L_MAX_CODE_LENGTH);
+        const symbols = [];
+        for (let s = 0; s < lengths.length;) {
+            if (lengths[s] !== 0) {
+                symbols.push([lengths[s], 0, 0]);
+                s++;
+                continue;
+            }
+            let run = 1;
+            while (s + run < lengths.length && lengths[s + run] === 0 && run < 138) run++;
+            if (run >= 11) symbols.push([18, 7, run - 11]);
+            else if (run >= 3) symbols.push([17, 3, run - 3]);
+            else for (let k = 0; k < run; k++) symbols.push([0, 0, 0]);
+            s += run;
+        }
+
+        const lengthHistogram = new Uint32Array(VP8L_CODE_LENGTH_ORDER.length);
+        symbols.forEach(([symbol]) => lengthHistogram[symbol]++);
+        const lengthCode = this.canonicalCodes(this.huffmanLengths(lengthHistogram, VP8L_MAX_CODE_LENGTH_CODE_LENGTH));
+        let codeCount = VP8L_CODE_LENGTH_ORDER.length;
+        while (codeCount > 4 && lengthCode.declared[VP8L_CODE_LENGTH_ORDER[codeCount - 1]] === 0) codeCount--;
+        writer.write(codeCount - 4, 4);
+        for (let i = 0; i < codeCount; i++) writer.write(lengthCode.declared[VP8L_CODE_LENGTH_ORDER[i]], 3);
+        writer.write(0, 1); // Code lengths cover every symbol
+
+        symbols.forEach(([symbol, extraBits, extra]) => {
+            writer.write(lengthCode.codes[symbol], lengthCode.lengths[symbol]);
+            if (extraBits) writer.write(extra, extraBits);
+        });
+        return this.canonicalCodes(lengths);
+    }
+
+    // Huffman code lengths no longer than maxLength; counts are flattened until the tree fits
+    static huffmanLengths(histogram, maxLength) {
+        const lengths = new Uint8Array(histogram.length);
+        const used = [];
+        for (let s = 0; s < histogram.length; s++) if (histogram[s] > 0) used.push(s);
+        if (used.length === 1) lengths[used[0]] = 1;
+        if (used.length <= 1) return lengths;
+
+        for (let shift = 0; ; shift++) {
+            const leaves = used.map(symbol => ({ weight: Math.max(1, histogram[symbol] >> shift), symbol }))
+                .sort((a, b) => a.weight - b.weight);
+            const merged = [];
+            let li = 0;
+            let mi = 0;
+            const take = () => (mi >= merged.length || (li < leaves.length && leaves[li].weight <= merged[mi].weight))
+                ? leaves[li++] : merged[mi++];
+            while (leaves.length - li + merged.length - mi > 1) {
+                const a = take();
+                const b = take();
+                merged.push({ weight: a.weight + b.weight, children: [a, b] });
+            }
+
+            let deepest = 0;
+            const stack = [[merged[merged.length - 1], 0]];
+            while (stack.length) {
+                const [node, depth] = stack.pop();
+                if (node.children) {
+                    stack.push([node.children[0], depth + 1], [node.children[1], depth + 1]);
+                } else {
+                    lengths[node.symbol] = depth;
+                    deepest = Math.max(deepest, depth);
+                }
+            }
+            if (deepest <= maxLength) return lengths;
+        }
+    }
+
+    // Canonical codes, bit-reversed for the LSB-first writer. A code with a single symbol is
+    // read with zero bits, so its write length is 0 while `declared` keeps the stored length.
+    static canonicalCodes(declared) {
+        const lengths = Uint8Array.from(declared);
+        const codes = new Uint16Array(declared.length);
+        const used = declared.reduce((n, length) => n + (length > 0 ? 1 : 0), 0);
+        if (used === 1) {
+            lengths.fill(0);
+            return { declared, lengths, codes };
+        }
+
+        const lengthCounts = new Uint16Array(VP8L_MAX_CODE_LENGTH + 1);
+        declared.forEach(length => { if (length) lengthCounts[length]++; });
+        const next = new Uint16Array(VP8L_MAX_CODE_LENGTH + 2);
+        for (let length = 1, code = 0; length <= VP8L_MAX_CODE_LENGTH; length++) {
+            code = (code + lengthCounts[length - 1]) << 1;
+            next[length] = code;
+        }
+        for (let s = 0; s < declared.length; s++) {
+            const length = declared[s];
+            if (!length) continue;
+            let code = next[length]++;
+            let reversed = 0;
+            for (let b = 0; b < length; b++) {
+                reversed = (reversed << 1) | (code & 1);
+                code >>= 1;
+            }
+            codes[s] = reversed;
+        }
+        return { declared, lengths, codes };
+    }
+}
@@ -0,0 +1,82 @@
+// The studio's IndexedDB database, shared by autosave.js (crash recovery snapshots),
+// project-library.js (recent projects) and history.js (undo steps moved out of memory). Bump LOCAL_DB_VERSION and extend upgrade() to add stores.
+
+const LOCAL_DB_NAME = 'livery-studio';
+const LOCAL_DB_VERSION = 6;
+
+class LocalStore {
+    static open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error("IndexedDB is not available"));
+                    return;
+                }
+                const request = indexedDB.open(LOCAL_DB_NAME, LOCAL_DB_VERSION);
+                request.onupgradeneeded = (e) => this.upgrade(request.result, e.oldVersion, request.transaction);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    static upgrade(db, oldVersion, tx) {
+        if (oldVersion < 1) db.createObjectStore('autosaves', { keyPath: 'id', autoIncrement: true });
+        if (oldVersion < 2) {
+            // Listing metadata and thumbnails is kept apart from the (large) project files
+            db.createObjectStore('projects', { keyPath: 'id', autoIncrement: true });
+            db.createObjectStore('project-files', { keyPath: 'id' });
+        }
+        if (oldVersion < 3) db.createObjectStore('history-tiles', { keyPath: 'id', autoIncrement: true });
+        if (oldVersion < 4) {
+            // Undo tiles are cleared and purged by key, without reading their blobs
+            const tiles = tx.objectStore('history-tiles');
+            tiles.createIndex('session', 'session');
+            tiles.createIndex('time', 'time');
+        }
+        if (oldVersion < 5) {
+            // Tiles are now purged by their session's last heartbeat. Tiles already stored belong to
+            // closed tabs, since an upgrade only runs once every older connection has closed.
+            db.createObjectStore('history-sessions', { keyPath: 'session' });
+            if (oldVersion >= 3) tx.objectStore('history-tiles').clear();
+        }
+        if (oldVersion < 6) {
+            // Autosave snapshots keep their project blobs apart from the listing, as projects do
+            const files = db.createObjectStore('autosave-files', { keyPath: 'id' });
+            if (oldVersion >= 1) {
+                tx.objectStore('autosaves').openCursor().onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+                    const { blob, ...snapshot } = cursor.value;
+                    files.put({ id: snapshot.id, blob });
+                    cursor.update(snapshot);
+                    cursor.continue();
+                };
+            }
+        }
+    }
+
+    // Runs `work(stores)` in one transaction over the named stores (an object keyed by store name);
+    // resolves with its result once the transaction commits
+    static async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(name => { stores[name] = tx.objectStore(name); });
+            let result;
+            Promise.resolve(work(stores)).then(value => { result = value; }, reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error("Storage transaction aborted"));
+        });
+    }
+
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
@@ -0,0 +1,822 @@
+// BeamNG mod packaging: fills in the SkinHelper templates (Assets/SkinHelper1) for a vehicle and
+// writes them, together with the exported texture, into a zip that can be dropped into mods/.
+// Template files are listed in Assets/SkinHelper1/templates.json since a browser cannot list folders;
+// regenerate it with `npm run build:templates` after changing the templates.
+// ModReader goes the other way, finding the skin texture and details in a published mod.
+
+const MOD_TEMPLATE_ROOT = 'Assets/SkinHelper1/';
+const SKIN_ID_PATTERN = /^[A-Za-z0-9_]+$/;
+// Upper or lower case only: newer jbeams have a "skinName" key that must survive
+const SKINNAME_PLACEHOLDER = /SKINNAME|skinname/g;
+// Vehicle selector thumbnails, as shipped with the SkinHelper templates
+const CONFIG_THUMBNAIL_SIZE = { width: 800, height: 600 };
+
+// Physically based finishes a layer can carry: metallic, roughness, and clear coat strength and
+// roughness, all 0-1. Carbon also gets a twill weave in its roughness.
+const FINISH_PRESETS = {
+    gloss: { metallic: 0, roughness: 0.2, clearCoat: 1, clearCoatRoughness: 0.03 },
+    satin: { metallic: 0, roughness: 0.45, clearCoat: 0.5, clearCoatRoughness: 0.35 },
+    matte: { metallic: 0, roughness: 0.9, clearCoat: 0, clearCoatRoughness: 1 },
+    metallic: { metallic: 0.9, roughness: 0.3, clearCoat: 1, clearCoatRoughness: 0.05 },
+    chrome: { metallic: 1, roughness: 0.04, clearCoat: 0, clearCoatRoughness: 0 },
+    carbon: { metallic: 0.3, roughness: 0.35, clearCoat: 1, clearCoatRoughness: 0.02, weave: 0.15 }
+};
+
+// Builds the _m / _r / _cc data maps for a skin: start from the base finish, then add each
+// finish layer's coverage bottom to top
+class FinishMaps {
+    constructor(width, height, baseFinish) {
+        this.width = width;
+        this.height = height;
+        const count = width * height;
+        this.metallic = new Float32Array(count);
+        this.roughness = new Float32Array(count);
+        this.clearCoat = new Float32Array(count);
+        this.clearCoatRoughness = new Float32Array(count);
+        this.add(baseFinish, null);
+    }
+
+    // `pixels` is the layer rendered alone (RGBA, only alpha is read); null covers everything
+    add(finish, pixels) {
+        const preset = FINISH_PRESETS[finish];
+        const { width, metallic, roughness, clearCoat, clearCoatRoughness } = this;
+        // The weave cell scales with the texture so it reads the same at any export size
+        const cell = Math.max(2, Math.round(Math.max(width, this.height) / 512));
+
+        for (let i = 0; i < metallic.length; i++) {
+            const a = pixels ? pixels[i * 4 + 3] / 255 : 1;
+            if (a === 0) continue;
+            let rough = preset.roughness;
+            if (preset.weave) {
+                const x = Math.floor((i % width) / cell);
+                const y = Math.floor(Math.floor(i / width) / cell);
+                rough += (x + y) % 4 < 2 ? preset.weave : -preset.weave;
+            }
+            metallic[i] += (preset.metallic - metallic[i]) * a;
+            roughness[i] += (rough - roughness[i]) * a;
+            clearCoat[i] += (preset.clearCoat - clearCoat[i]) * a;
+            clearCoatRoughness[i] += (preset.clearCoatRoughness - clearCoatRoughness[i]) * a;
+        }
+    }
+
+    // RGBA pixel arrays: metallic and roughness are greyscale, clearCoat holds strength in R and
+    // roughness in G
+    toMaps() {
+        const count = this.metallic.length;
+        const maps = {
+            metallic: new Uint8ClampedArray(count * 4),
+            roughness: new Uint8ClampedArray(count * 4),
+            clearCoat: new Uint8ClampedArray(count * 4)
+        };
+        for (let i = 0, p = 0; i < count; i++, p += 4) {
+            maps.metallic[p] = maps.metallic[p + 1] = maps.metallic[p + 2] = this.metallic[i] * 255;
+            maps.roughness[p] = maps.roughness[p + 1] = maps.roughness[p + 2] = this.roughness[i] * 255;
+            maps.clearCoat[p] = this.clearCoat[i] * 255;
+            maps.clearCoat[p + 1] = this.clearCoatRoughness[i] * 255;
+            maps.metallic[p + 3] = maps.roughness[p + 3] = maps.clearCoat[p + 3] = 255;
+        }
+        return maps;
+    }
+}
+
+// Builds the _o opacity map that limits the skin to where the livery has layers, so the player's
+// paint colour shows everywhere else
+class OpacityMap {
+    // `pixels` is the non-base layers rendered together (RGBA, only alpha is read). A threshold above
+    // 0 (0-1) makes coverage hard-edged; feather then softens the edge by that many pixels.
+    static build(pixels, width, height, { threshold = 0, feather = 0 } = {}) {
+        const count = width * height;
+        let values = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            const a = pixels[i * 4 + 3] / 255;
+            values[i] = threshold > 0 ? (a >= threshold ? 1 : 0) : a;
+        }
+
+        // Three box blurs approximate a gaussian reaching `feather` pixels out
+        if (feather > 0) {
+            const radius = Math.max(1, Math.ceil(feather / 3));
+            for (let pass = 0; pass < 3; pass++) {
+                values = this.boxBlur(values, width, height, radius, 1, width);
+                values = this.boxBlur(values, height, width, radius, width, 1);
+            }
+        }
+
+        const data = new Uint8ClampedArray(count * 4);
+        for (let i = 0, p = 0; i < count; i++, p += 4) {
+            data[p] = data[p + 1] = data[p + 2] = values[i] * 255;
+            data[p + 3] = 255;
+        }
+        return data;
+    }
+
+    // One blur pass along lines of `length` samples `step` apart; `lines` lines start `lineStep` apart.
+    // Edges are clamped.
+    static boxBlur(src, length, lines, radius, step, lineStep) {
+        const out = new Float32Array(src.length);
+        const size = radius * 2 + 1;
+        for (let line = 0; line < lines; line++) {
+            const start = line * lineStep;
+            const at = (k) => src[start + Math.min(length - 1, Math.max(0, k)) * step];
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) sum += at(k);
+            for (let k = 0; k < length; k++) {
+                out[start + k * step] = sum / size;
+                sum += at(k + radius + 1) - at(k - radius);
+            }
+        }
+        return out;
+    }
+}
+
+// Builds the colour palette map: R, G and B mark where the player's paint 1, 2 and 3 tint the skin
+class PaletteMask {
+    constructor(width, height) {
+        this.masks = [0, 1, 2].map(() => new Float32Array(width * height));
+    }
+
+    // Adds a layer rendered alone (RGBA, only alpha is read) on top of the ones before it. `slot` is
+    // 1-3 for a paint layer; 0 for a fixed-colour layer, which hides the paint below it.
+    add(slot, pixels) {
+        const masks = this.masks;
+        for (let i = 0; i < masks[0].length; i++) {
+            const a = pixels[i * 4 + 3] / 255;
+            if (a === 0) continue;
+            for (let s = 0; s < 3; s++) masks[s][i] += ((slot === s + 1 ? 1 : 0) - masks[s][i]) * a;
+        }
+    }
+
+    toPixels() {
+        const [r, g, b] = this.masks;
+        const data = new Uint8ClampedArray(r.length * 4);
+        for (let i = 0, p = 0; i < r.length; i++, p += 4) {
+            data[p] = r[i] * 255;
+            data[p + 1] = g[i] * 255;
+            data[p + 2] = b[i] * 255;
+            data[p + 3] = 255;
+        }
+        return data;
+    }
+}
+
+// Minimal zip writer (PKZIP 2.0, no zip64). Entries are deflated with CompressionStream where the
+// browser has it and stored otherwise.
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+    }
+
+    static crc32(bytes) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    static async deflate(bytes) {
+        if (typeof CompressionStream === 'undefined') return null;
+        try {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        } catch (e) {
+            return null; // 'deflate-raw' is not supported everywhere
+        }
+    }
+
+    // data: string, ArrayBuffer, typed array or Blob
+    async add(path, data, date = new Date()) {
+        let bytes;
+        if (typeof data === 'string') bytes = new TextEncoder().encode(data);
+        else if (data instanceof Blob) bytes = new Uint8Array(await data.arrayBuffer());
+        else if (data instanceof ArrayBuffer) bytes = new Uint8Array(data);
+        else bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+        const deflated = await ZipWriter.deflate(bytes);
+        const compress = deflated && deflated.length < bytes.length;
+        this.entries.push({
+            name: new TextEncoder().encode(path),
+            crc: ZipWriter.crc32(bytes),
+            size: bytes.length,
+            method: compress ? 8 : 0,
+            data: compress ? deflated : bytes,
+            time: ((date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)) & 0xFFFF,
+            day: (((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()) & 0xFFFF
+        });
+    }
+
+    toBlob() {
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            this.writeCommonFields(local, 4, entry);
+            parts.push(local.buffer, entry.name, entry.data);
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014B50, true);
+            header.setUint16(4, 20, true); // Version made by
+            this.writeCommonFields(header, 6, entry);
+            header.setUint32(42, offset, true);
+            central.push(header.buffer, entry.name);
+
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+    }
+
+    // Fields shared by the local and central headers, from "version needed" to the name length
+    writeCommonFields(view, at, entry) {
+        view.setUint16(at, 20, true); // Version needed to extract
+        view.setUint16(at + 2, 0x0800, true); // Names are UTF-8
+        view.setUint16(at + 4, entry.method, true);
+        view.setUint16(at + 6, entry.time, true);
+        view.setUint16(at + 8, entry.day, true);
+        view.setUint32(at + 10, entry.crc, true);
+        view.setUint32(at + 14, entry.data.length, true);
+        view.setUint32(at + 18, entry.size, true);
+        view.setUint16(at + 22, entry.name.length, true);
+    }
+}
+
+class ModPackager {
+    static async loadIndex() {
+        if (!this.index) {
+            const res = await fetch(MOD_TEMPLATE_ROOT + 'templates.json');
+            if (!res.ok) throw new Error("Mod template index not found (" + MOD_TEMPLATE_ROOT + "templates.json)");
+            this.index = await res.json();
+        }
+        return this.index;
+    }
+
+    // Variant of a template skin path, e.g. 'Assets/vehicles/van/SKINNAMEBOX.dds' -> 'skinnamebox'
+    static variantOf(skinPath) {
+        const file = (skinPath || '').split('/').pop();
+        return (file.replace(/\.[^.]+$/, '') || 'skinname').toLowerCase();
+    }
+
+    // Why a variant can only be exported as a texture (its skin spans textures the studio does not
+    // paint, or there is no template), or null if Export Mod can package it
+    static async textureOnlyReason(vehicle, skinPath) {
+        const index = await this.loadIndex();
+        return (index.textureOnly || {})[`${vehicle}/${this.variantOf(skinPath)}`] || null;
+    }
+
+    // Template files for one variant: the vehicle's top-level files (config, info, thumbnail)
+    // plus everything inside the variant's own folder
+    static selectFiles(files, variant) {
+        return files.filter(path => {
+            const parts = path.split('/');
+            return parts.length === 2 || parts[parts.length - 2].toLowerCase() === variant;
+        });
+    }
+
+    static escapeJSON(value) {
+        return JSON.stringify(value).slice(1, -1);
+    }
+
+    // Fills in the template placeholders. Name placeholders keep their variant suffix,
+    // e.g. "Skin Name (Box)" -> "My Livery (Box)".
+    static applyPlaceholders(text, { skinId, name, author, description }) {
+        const escapedName = this.escapeJSON(name);
+        return text
+            .replace(/[ \t]*\/\/\s*change\b.*$/gim, '')
+            .replace(SKINNAME_PLACEHOLDER, skinId)
+            .replace(/"(?:your\s+h?)?skin\s+name(\s*\([^)]*\))?"/gi, (match, suffix) => `"${escapedName}${suffix || ''}"`)
+            .replace(/("authors"\s*:\s*)"(?:YOU|Your Name(?: Here)?)"/gi, (match, key) => `${key}"${this.escapeJSON(author)}"`)
+            .replace(/(:\s*)"DESCRIPTION"/g, (match, key) => `${key}"${this.escapeJSON(description || name)}"`);
+    }
+
+    // Skin texture paths referenced by the materials files, relative to the zip root
+    static findTextureRefs(text, skinId) {
+        const refs = [];
+        const pattern = /"(?:baseColorMap|colorMap|diffuseMap)"\s*:\s*"([^"]+)"/g;
+        let match;
+        while ((match = pattern.exec(text))) {
+            const path = match[1].replace(/^\/+/, '');
+            if (path.includes(skinId) && !refs.includes(path)) refs.push(path);
+        }
+        return refs;
+    }
+
+    // The texture the livery is painted on: '<vehicle>_skin_<id>' (or '_main_skin_'), then any
+    // '<vehicle>_' texture, then the first reference
+    static pickPrimaryTexture(refs, vehicle) {
+        const base = (path) => path.split('/').pop();
+        return refs.find(path => new RegExp(`^${vehicle}_(main_)?skin_`, 'i').test(base(path))) ||
+            refs.find(path => base(path).toLowerCase().startsWith(vehicle.toLowerCase() + '_')) ||
+            refs[0] || null;
+    }
+
+    // Fetches and fills in the templates. Resolves to { files: Map(zipPath -> string|ArrayBuffer),
+    // texturePath, textureType: 'DDS'|'PNG' }; the caller adds the texture itself.
+    static async prepare({ vehicle, skinPath, skinId, name, author, description }) {
+        if (!SKIN_ID_PATTERN.test(skinId)) {
+            throw new Error("The skin ID may only contain letters, numbers and underscores");
+        }
+        const index = await this.loadIndex();
+        const all = index.vehicles[vehicle];
+        if (!all) throw new Error(`No mod template for "${vehicle}"`);
+
+        const variant = this.variantOf(skinPath);
+        const textureOnly = await this.textureOnlyReason(vehicle, skinPath);
+        if (textureOnly) throw new Error(`The "${variant}" variant of ${vehicle} cannot be packaged: ${textureOnly}`);
+        const files = this.selectFiles(all, variant);
+        if (!files.some(path => path.split('/').length > 2)) {
+            throw new Error(`No mod template for the "${variant}" variant of ${vehicle}`);
+        }
+
+        const values = { skinId, name, author, description };
+        const textFiles = new Map();
+        const imageFiles = new Map();
+        await Promise.all(files.map(async path => {
+            const res = await fetch(MOD_TEMPLATE_ROOT + 'vehicles/' + path);
+            if (!res.ok) throw new Error(`Template file missing: ${path}`);
+            const zipPath = ('vehicles/' + path).replace(SKINNAME_PLACEHOLDER, skinId);
+            if (/\.(json|jbeam|pc)$/i.test(path)) {
+                textFiles.set(zipPath, this.applyPlaceholders(await res.text(), values));
+            } else {
+                imageFiles.set(zipPath, await res.arrayBuffer());
+            }
+        }));
+
+        const refs = [];
+        textFiles.forEach((text, path) => {
+            if (!/materials\.json$/i.test(path)) return;
+            this.findTextureRefs(text, skinId).forEach(ref => {
+                if (!refs.includes(ref)) refs.push(ref);
+            });
+        });
+        const primary = this.pickPrimaryTexture(refs, vehicle);
+        if (!primary) throw new Error(`The ${vehicle} template's materials do not reference a skin texture`);
+
+        // Copy the thumbnails and any other referenced textures the template ships; images in the
+        // variant folders that nothing references (e.g. UV guides) are left out. Textures the
+        // template lacks are reported by ModValidator.
+        const result = new Map(textFiles);
+        imageFiles.forEach((data, path) => {
+            const topLevel = path.split('/').length === 3;
+            if (topLevel || (path !== primary && refs.includes(path))) result.set(path, data);
+        });
+
+        const isPNG = /\.png$/i.test(primary);
+        const texturePath = /\.(dds|png)$/i.test(primary) ? primary : primary + '.dds';
+        return { files: result, texturePath, textureType: isPNG ? 'PNG' : 'DDS' };
+    }
+
+    // The vehicle selector files of a package: parts config, info file and the config's thumbnail
+    static configPaths(files) {
+        const paths = [...files.keys()];
+        const pc = paths.find(path => /\.pc$/i.test(path)) || null;
+        return {
+            pc,
+            info: paths.find(path => /\/info_[^/]*\.json$/i.test(path)) || null,
+            thumbnail: pc ? pc.replace(/\.pc$/i, '.png') : null
+        };
+    }
+
+    // Population and Years from a vehicle's template info file, to pre-fill the config form
+    static async loadConfigDefaults(vehicle) {
+        const index = await this.loadIndex();
+        const path = (index.vehicles[vehicle] || []).find(p => /^[^/]+\/info_[^/]*\.json$/i.test(p));
+        if (!path) return { population: null, years: null };
+        const res = await fetch(MOD_TEMPLATE_ROOT + 'vehicles/' + path);
+        if (!res.ok) throw new Error(`Template file missing: ${path}`);
+        const data = ModReader.parseLenientJSON(await res.text());
+        const years = data.Years && typeof data.Years === 'object' ? data.Years : null;
+        return {
+            population: typeof data.Population === 'number' ? data.Population : null,
+            years: years && typeof years.min === 'number' ? { min: years.min, max: years.max ?? years.min } : null
+        };
+    }
+
+    // Name of the jbeam part that provides the skin: the paint_design part for `skinId`, else the
+    // package's only paint_design part (variants such as 'nobox' add a suffix to the skin ID)
+    static findSkinPart(files, skinId) {
+        const parts = [];
+        files.forEach((text, path) => {
+            if (!/\.jbeam$/i.test(path) || typeof text !== 'string') return;
+            Object.entries(ModReader.parseLenientJSON(text)).forEach(([name, part]) => {
+                const partSkin = ModReader.skinIdOf(part);
+                if (partSkin !== null && part.slotType === 'paint_design') parts.push({ name, skinId: partSkin });
+            });
+        });
+        const match = parts.find(part => part.skinId === skinId) || (parts.length === 1 ? parts[0] : null);
+        return match ? match.name : null;
+    }
+
+    // Fills in the vehicle selector entry. `config` is { configuration, description, population,
+    // years: { min, max } }; empty values keep what the template has. The .pc's paint_design is
+    // pointed at the skin part the package ships.
+    static applyConfig(files, skinId, config) {
+        const { pc, info } = this.configPaths(files);
+        if (info) {
+            const data = ModReader.parseLenientJSON(files.get(info));
+            if (config.configuration) data.Configuration = config.configuration;
+            if (config.description) data.Description = config.description;
+            if (Number.isFinite(config.population)) data.Population = config.population;
+            if (config.years) data.Years = { max: config.years.max, min: config.years.min };
+            files.set(info, JSON.stringify(data, null, 2) + '\n');
+        }
+
+        const skinPart = this.findSkinPart(files, skinId);
+        if (pc && skinPart) {
+            const data = ModReader.parseLenientJSON(files.get(pc));
+            data.parts = { ...data.parts, paint_design: skinPart };
+            files.set(pc, JSON.stringify(data, null, 2) + '\n');
+        }
+    }
+
+    // A data map next to the skin texture, e.g. ('.../pickup_skin_x.dds', 'm') -> '.../pickup_skin_x_m.data.png'
+    static dataMapPath(texturePath, suffix) {
+        return texturePath.replace(/\.[^./]+$/, '') + `_${suffix}.data.png`;
+    }
+
+    static finishMapPaths(texturePath) {
+        return {
+            metallicMap: this.dataMapPath(texturePath, 'm'),
+            roughnessMap: this.dataMapPath(texturePath, 'r'),
+            clearCoatMap: this.dataMapPath(texturePath, 'cc')
+        };
+    }
+
+    // Sets `maps` (stage key -> path in the zip) and `factors` on every material stage that paints
+    // the skin texture, replacing the stock maps. `factors` may be a function of the stage. Rewrites
+    // the materials files in `files`; returns the number of stages changed.
+    static applyStageMaps(files, texturePath, maps, factors = {}) {
+        const target = texturePath.toLowerCase();
+        let changed = 0;
+        files.forEach((text, path) => {
+            if (!/materials\.json$/i.test(path) || typeof text !== 'string') return;
+            const data = ModReader.parseLenientJSON(text);
+            let fileChanged = false;
+            Object.values(data).forEach(material => {
+                if (!material || !Array.isArray(material.Stages)) return;
+                material.Stages.forEach(stage => {
+                    const ref = stage && typeof stage.baseColorMap === 'string' ? stage.baseColorMap : null;
+                    if (!ref) return;
+                    const refPath = ref.replace(/^\/+/, '').toLowerCase();
+                    if (refPath !== target && refPath + '.dds' !== target) return;
+
+                    // Keep the reference style (leading slash or not) of the template
+                    const prefix = ref.startsWith('/') ? '/' : '';
+                    Object.entries(maps).forEach(([key, mapPath]) => {
+                        stage[key] = prefix + mapPath;
+                    });
+                    Object.assign(stage, typeof factors === 'function' ? factors(stage) : factors);
+                    changed++;
+                    fileChanged = true;
+                });
+            });
+            if (fileChanged) files.set(path, JSON.stringify(data, null, 2) + '\n');
+        });
+        return changed;
+    }
+
+    // The package as Map(path -> async () => Uint8Array), the form ZipReader.open() returns
+    static toEntries(files) {
+        const entries = new Map();
+        files.forEach((data, path) => entries.set(path, async () => {
+            if (typeof data === 'string') return new TextEncoder().encode(data);
+            if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+            return new Uint8Array(data);
+        }));
+        return entries;
+    }
+
+    // Resolves to the finished zip as a Blob
+    static async build(files) {
+        const zip = new ZipWriter();
+        for (const [path, data] of files) await zip.add(path, data);
+        return zip.toBlob();
+    }
+}
+
+// Reads PKZIP archives (stored or deflated entries, no zip64). Entries are only inflated when read.
+class ZipReader {
+    // Resolves to Map(path -> async () => Uint8Array); directories are skipped
+    static async open(source) {
+        const buffer = source instanceof Blob ? await source.arrayBuffer() : source;
+        const view = new DataView(buffer);
+
+        // The end of central directory record sits in the last 22 bytes plus an optional comment
+        let end = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) throw new Error("Not a zip file");
+
+        const count = view.getUint16(end + 10, true);
+        let at = view.getUint32(end + 16, true);
+        if (at === 0xFFFFFFFF) throw new Error("Zip64 archives are not supported");
+
+        const decoder = new TextDecoder();
+        const entries = new Map();
+        for (let n = 0; n < count; n++) {
+            if (view.getUint32(at, true) !== 0x02014B50) throw new Error("Corrupt zip central directory");
+            const method = view.getUint16(at + 10, true);
+            const compressedSize = view.getUint32(at + 20, true);
+            const nameLength = view.getUint16(at + 28, true);
+            const extraLength = view.getUint16(at + 30, true);
+            const commentLength = view.getUint16(at + 32, true);
+            const localOffset = view.getUint32(at + 42, true);
+            const path = decoder.decode(new Uint8Array(buffer, at + 46, nameLength)).replace(/\\/g, '/');
+            at += 46 + nameLength + extraLength + commentLength;
+            if (path.endsWith('/')) continue;
+
+            entries.set(path, async () => {
+                const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+                const data = new Uint8Array(buffer, dataStart, compressedSize);
+                if (method === 0) return data;
+                if (method !== 8) throw new Error(`${path}: unsupported zip compression method ${method}`);
+                if (typeof DecompressionStream === 'undefined') throw new Error("This browser cannot unzip files");
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                return new Uint8Array(await new Response(stream).arrayBuffer());
+            });
+        }
+        return entries;
+    }
+}
+
+class ModReader {
+    // BeamNG's JSON dialect allows comments, trailing commas and missing commas between entries,
+    // and the game's own files use all three
+    static parseLenientJSON(text) {
+        let out = '';
+        let last = '';
+        const isValueEnd = (c) => /["}\]\w.+-]/.test(c);
+        let i = 0;
+        while (i < text.length) {
+            const c = text[i];
+            if (c === '/' && text[i + 1] === '/') {
+                while (i < text.length && text[i] !== '\n') i++;
+            } else if (c === '/' && text[i + 1] === '*') {
+                const close = text.indexOf('*/', i + 2);
+                i = close < 0 ? text.length : close + 2;
+            } else if (/\s/.test(c) || (c === ',' && last === ',')) {
+                i++;
+            } else if (c === '}' || c === ']') {
+                if (last === ',') out = out.slice(0, -1);
+                out += c;
+                last = c;
+                i++;
+            } else if (c === '"' || c === '{' || c === '[' || /[\w.+-]/.test(c)) {
+                if (isValueEnd(last)) out += ',';
+                let j = i + 1;
+                if (c === '"') {
+                    while (j < text.length && text[j] !== '"') j += text[j] === '\\' ? 2 : 1;
+                    j++;
+                    // Raw tabs and newlines inside strings are not valid JSON
+                    out += text.slice(i, j).replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t');
+                } else if (c === '{' || c === '[') {
+                    out += c;
+                } else {
+                    while (j < text.length && /[\w.+-]/.test(text[j])) j++;
+                    out += text.slice(i, j);
+                }
+                last = out[out.length - 1];
+                i = j;
+            } else {
+                out += c;
+                last = c;
+                i++;
+            }
+        }
+        return JSON.parse(out);
+    }
+
+    // Map(lowercased path -> { path, read }) with paths starting at vehicles/, whatever folder the
+    // zip or drop wraps them in
+    static index(entries) {
+        const files = new Map();
+        entries.forEach((read, path) => {
+            const match = path.match(/(?:^|\/)(vehicles\/.+)$/i);
+            if (match) files.set(match[1].toLowerCase(), { path: match[1], read });
+        });
+        if (!files.size) throw new Error("No vehicles/ folder found. Is this a BeamNG vehicle skin mod?");
+        return files;
+    }
+
+    // The skin a jbeam part provides: "globalSkin" in older mods, "skinName" in newer ones
+    static skinIdOf(part) {
+        if (!part || typeof part !== 'object') return null;
+        if (typeof part.globalSkin === 'string') return part.globalSkin;
+        return typeof part.skinName === 'string' ? part.skinName : null;
+    }
+
+    // Texture references of every material, in file order. Handles both the Stages format and
+    // the older top-level map keys.
+    static collectTextureRefs(materials) {
+        const refs = [];
+        const add = (value) => {
+            (Array.isArray(value) ? value : [value]).forEach(ref => {
+                if (typeof ref === 'string' && ref && !refs.includes(ref)) refs.push(ref);
+            });
+        };
+        Object.values(materials || {}).forEach(material => {
+            if (!material || typeof material !== 'object') return;
+            [material, ...(Array.isArray(material.Stages) ? material.Stages : [])].forEach(stage => {
+                if (!stage || typeof stage !== 'object') return;
+                add(stage.baseColorMap);
+                add(stage.colorMap);
+                add(stage.diffuseMap);
+            });
+        });
+        return refs;
+    }
+
+    // Works out what a mod contains. `entries` is Map(path -> async () => Uint8Array) from
+    // ZipReader.open() or a dropped folder. Resolves to { vehicle, textures, primary, skin, read }
+    // where texture paths start at 'vehicles/' and skin is { globalSkin, name, author, description }.
+    static async analyze(entries) {
+        const files = this.index(entries);
+
+        const readText = async (file) => new TextDecoder().decode(await file.read());
+        const parsed = async (pattern) => {
+            const results = [];
+            for (const file of files.values()) {
+                if (!pattern.test(file.path)) continue;
+                try {
+                    results.push({ path: file.path, data: this.parseLenientJSON(await readText(file)) });
+                } catch (e) {
+                    // Unreadable files are reported by ModValidator
+                }
+            }
+            return results;
+        };
+
+        // Skin textures are the referenced maps the mod itself ships; the rest belong to the game
+        const textures = [];
+        (await parsed(/materials\.json$/i)).forEach(({ data }) => {
+            this.collectTextureRefs(data).forEach(ref => {
+                const key = ref.replace(/^\/+/, '').toLowerCase();
+                const file = files.get(key) || files.get(key + '.dds') || files.get(key + '.png') ||
+                    files.get(key.replace(/\.png$/, '.dds'));
+                if (file && !textures.includes(file.path)) textures.push(file.path);
+            });
+        });
+        if (!textures.length) {
+            throw new Error("No skin texture found: the mod's materials.json does not reference any texture inside the mod");
+        }
+
+        const folders = textures[0].split('/');
+        const vehicle = folders[1].toLowerCase() === 'common' ? folders[2] : folders[1];
+        const primary = ModPackager.pickPrimaryTexture(textures, vehicle);
+
+        // The paint_design part carries the skin's name and authors; prefer the one for the main texture
+        const skins = [];
+        (await parsed(/\.jbeam$/i)).forEach(({ data }) => {
+            Object.values(data || {}).forEach(part => {
+                const skinId = ModReader.skinIdOf(part);
+                if (skinId === null) return;
+                const info = part.information || {};
+                skins.push({
+                    globalSkin: skinId,
+                    name: typeof info.name === 'string' ? info.name : '',
+                    author: typeof info.authors === 'string' ? info.authors : ''
+                });
+            });
+        });
+        const primaryLower = primary.toLowerCase();
+        const skin = skins.find(s => primaryLower.includes(s.globalSkin.toLowerCase())) || skins[0] ||
+            { globalSkin: '', name: '', author: '' };
+
+        const info = (await parsed(/\/info_[^/]*\.json$/i))[0];
+        skin.description = info && typeof info.data.Description === 'string' ? info.data.Description : '';
+
+        return { vehicle, textures, primary, skin, read: (path) => files.get(path.toLowerCase()).read() };
+    }
+}
+
+// Checks a skin package for the mismatches that make BeamNG fall back to the default paint:
+// globalSkin vs material names, mapTo typos, texture paths that are missing or differ in case,
+// and skin IDs BeamNG cannot use
+class ModValidator {
+    // Resolves to [{ level: 'error' | 'warning', file, message }], errors first
+    static async validate(entries) {
+        const issues = [];
+        const add = (level, file, message) => issues.push({ level, file, message });
+        const files = ModReader.index(entries);
+        const byPath = new Map([...files.values()].map(file => [file.path, file]));
+
+        // Report each folder or file name once, not once per file below it
+        const badNames = new Set();
+        files.forEach(({ path }) => {
+            const parts = path.split('/');
+            const spaced = parts.findIndex(part => /\s/.test(part));
+            if (spaced >= 0) badNames.add(parts.slice(0, spaced + 1).join('/'));
+            if (/SKINNAME|skinname/.test(path)) add('warning', path, "The path still contains the SKINNAME placeholder.");
+        });
+        badNames.forEach(name => add('error', name, "This name contains spaces. Skin IDs, folder and file names must be one word."));
+
+        const parsed = [];
+        for (const file of files.values()) {
+            if (!/(materials\.json|\.jbeam)$/i.test(file.path)) continue;
+            const text = new TextDecoder().decode(await file.read());
+            if (/"(?:SKINNAME|skinname|YOU|YOUR SKIN NAME)"/.test(text)) {
+                add('warning', file.path, "A template placeholder (SKINNAME, YOU or YOUR SKIN NAME) was not filled in.");
+            }
+            try {
+                parsed.push({ path: file.path, data: ModReader.parseLenientJSON(text) });
+            } catch (e) {
+                add('error', file.path, `Could not be parsed (${e.message}); BeamNG will ignore this file.`);
+            }
+        }
+        const jbeams = parsed.filter(file => /\.jbeam$/i.test(file.path));
+        const materialFiles = parsed.filter(file => /materials\.json$/i.test(file.path));
+
+        const skins = [];
+        jbeams.forEach(({ path, data }) => {
+            Object.values(data || {}).forEach(part => {
+                const skinId = ModReader.skinIdOf(part);
+                if (skinId === null) return;
+                skins.push(skinId);
+                if (!SKIN_ID_PATTERN.test(skinId)) {
+                    add('error', path, `Skin ID "${skinId}" may only contain letters, numbers and underscores (no spaces).`);
+                }
+            });
+        });
+        if (!skins.length) add('error', null, "No jbeam part sets globalSkin or skinName, so the skin never appears in the paint design slot.");
+
+        const skinMaterials = [];
+        const inspected = new Set();
+        for (const { path, data } of materialFiles) {
+            const folder = path.slice(0, path.lastIndexOf('/') + 1).toLowerCase();
+            for (const [name, material] of Object.entries(data || {})) {
+                if (!material || typeof material !== 'object') continue;
+                if (material.mapTo !== undefined && material.mapTo !== name) {
+                    add('error', path, `Material "${name}" has mapTo "${material.mapTo}"; both must be identical.`);
+                }
+                if (material.name !== undefined && material.name !== name) {
+                    add('warning', path, `Material "${name}" has name "${material.name}"; it should match the key.`);
+                }
+
+                // '<material>.skin.<id>', or '<material>.skin_<type>.<id>' for vehicles with several skin slots
+                const suffix = (name.match(/\.skin(?:_\w+)?\.(.+)$/) || [])[1];
+                if (suffix !== undefined) {
+                    skinMaterials.push(suffix);
+                    const caseless = skins.find(skin => skin.toLowerCase() === suffix.toLowerCase());
+                    if (caseless !== undefined && caseless !== suffix) {
+                        add('error', path, `Material "${name}" is for skin "${suffix}" but the jbeam's skin ID is "${caseless}"; the case must match.`);
+                    } else if (caseless === undefined && skins.length) {
+                        add('error', path, `Material "${name}" is for skin "${suffix}" but no jbeam uses that skin ID (found: ${skins.join(', ')}).`);
+                    }
+                }
+
+                // Textures in the skin's own folder, or named after the skin, have to ship with the mod
+                for (const ref of ModReader.collectTextureRefs({ [name]: material })) {
+                    const target = ref.replace(/^\/+/, '');
+                    const lower = target.toLowerCase();
+                    const ownsTexture = lower.startsWith(folder) || skins.some(skin => lower.includes(skin.toLowerCase()));
+                    if (!ownsTexture) continue;
+
+                    const exact = byPath.get(target);
+                    const found = exact || files.get(lower) || files.get(lower + '.dds') || files.get(lower + '.png');
+                    if (!found) {
+                        add('error', path, `Texture "${ref}" (material "${name}") is not in the mod. Add the file or correct the path.`);
+                    } else if (!exact && !/\.[a-z0-9]+$/i.test(target)) {
+                        add('warning', path, `Texture "${ref}" has no file extension; use "${found.path.split('/').pop()}".`);
+                    } else if (!exact) {
+                        add('error', path, `Texture "${ref}" differs in case from the file "${found.path}". Paths are case-sensitive in zips, so rename one to match.`);
+                    }
+                    if (found && /\.dds$/i.test(found.path) && !inspected.has(found.path) && typeof DDSDecoder !== 'undefined') {
+                        inspected.add(found.path);
+                        const bytes = (await found.read()).slice();
+                        const report = DDSDecoder.inspect(bytes.buffer);
+                        if (report.error) add('error', found.path, `Not a usable DDS: ${report.error.message}`);
+                        report.warnings.forEach(warning => add('warning', found.path, warning));
+                    }
+                }
+            }
+        }
+
+        if (materialFiles.length) {
+            skins.filter(skin => !skinMaterials.some(suffix => suffix.toLowerCase() === skin.toLowerCase()))
+                .forEach(skin => add('error', null, `No material is named "<material>.skin.${skin}", so skin "${skin}" has nothing to paint.`));
+        } else {
+            add('error', null, "The mod has no materials.json.");
+        }
+
+        return issues.sort((a, b) => (a.level === 'error' ? 0 : 1) - (b.level === 'error' ? 0 : 1));
+    }
+}
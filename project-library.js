@@ -0,0 +1,60 @@
+// Recent projects, kept in IndexedDB (local-store.js) so the home screen works offline. Each
+// entry is { id, name, vehicle, width, height, modified, thumbnail: Blob } with the .livery
+// project file itself stored separately under the same id.
+
+const PROJECT_LIST_STORE = 'projects';
+const PROJECT_FILE_STORE = 'project-files';
+const PROJECT_THUMBNAIL_SIZE = { width: 320, height: 240 };
+
+class ProjectLibrary {
+    static transaction(mode, work) {
+        return LocalStore.transaction([PROJECT_LIST_STORE, PROJECT_FILE_STORE], mode,
+            stores => work(stores[PROJECT_LIST_STORE], stores[PROJECT_FILE_STORE]));
+    }
+
+    // Every entry, most recently modified first
+    static async list() {
+        const entries = await this.transaction('readonly', list => LocalStore.request(list.getAll()));
+        return entries.sort((a, b) => b.modified - a.modified);
+    }
+
+    // Adds the project, or replaces the entry with `entry.id`; resolves to the entry's id
+    static save(entry, blob) {
+        return this.transaction('readwrite', async (list, files) => {
+            const record = { ...entry, modified: Date.now() };
+            if (record.id === undefined || record.id === null) delete record.id;
+            const id = await LocalStore.request(list.put(record));
+            files.put({ id, blob });
+            return id;
+        });
+    }
+
+    // Resolves to the project file as a Blob
+    static async read(id) {
+        const file = await this.transaction('readonly', (list, files) => LocalStore.request(files.get(id)));
+        if (!file) throw new Error("The project is no longer in the recent projects list");
+        return file.blob;
+    }
+
+    static rename(id, name) {
+        return this.transaction('readwrite', async (list) => {
+            const entry = await LocalStore.request(list.get(id));
+            if (entry) list.put({ ...entry, name });
+        });
+    }
+
+    static async duplicate(id) {
+        const entry = (await this.list()).find(item => item.id === id);
+        if (!entry) throw new Error("The project is no longer in the recent projects list");
+        const copy = { ...entry, name: `${entry.name} (copy)` };
+        delete copy.id;
+        return this.save(copy, await this.read(id));
+    }
+
+    static delete(id) {
+        return this.transaction('readwrite', (list, files) => {
+            list.delete(id);
+            files.delete(id);
+        });
+    }
+}
@@ -0,0 +1,72 @@
+// Livery project files (.livery): a zip holding project.json plus one PNG per raster layer
+// (image, paint and tattoo layers), so a design can be saved, closed and opened again.
+// project.json is versioned; older files are brought up to date by PROJECT_MIGRATIONS on open.
+
+const PROJECT_EXTENSION = '.livery';
+const PROJECT_FORMAT = 'beamng-livery-project';
+const PROJECT_VERSION = 1;
+const PROJECT_DOCUMENT = 'project.json';
+
+// Upgrades a document from the version it is keyed by to the next one. When the format changes,
+// bump PROJECT_VERSION and add an entry here, e.g. 1: (doc) => { ...; return doc; }.
+const PROJECT_MIGRATIONS = {};
+
+class ProjectFile {
+    // Asset path for a raster layer's pixels
+    static layerAssetPath(index) {
+        return `layers/${index}.png`;
+    }
+
+    // Resolves to the project as a zip Blob. `assets` is Map(path -> Blob) of the layer PNGs.
+    static async write(doc, assets) {
+        const zip = new ZipWriter();
+        await zip.add(PROJECT_DOCUMENT, JSON.stringify({ format: PROJECT_FORMAT, version: PROJECT_VERSION, ...doc }, null, 2));
+        for (const [path, blob] of assets) await zip.add(path, blob);
+        return zip.toBlob();
+    }
+
+    // Resolves to { doc, readAsset(path) -> Promise<Blob> } with the document migrated to PROJECT_VERSION
+    static async read(source) {
+        let entries;
+        try {
+            entries = await ZipReader.open(source);
+        } catch (e) {
+            throw new Error("This is not a livery project file (" + e.message + ")");
+        }
+        const readDocument = entries.get(PROJECT_DOCUMENT);
+        if (!readDocument) throw new Error("This is not a livery project file (no " + PROJECT_DOCUMENT + ")");
+
+        let doc;
+        try {
+            doc = JSON.parse(new TextDecoder().decode(await readDocument()));
+        } catch (e) {
+            throw new Error("The project document is damaged: " + e.message);
+        }
+        if (!doc || doc.format !== PROJECT_FORMAT) throw new Error("This is not a livery project file");
+
+        return {
+            doc: this.migrate(doc),
+            readAsset: async (path) => {
+                const read = entries.get(path);
+                if (!read) throw new Error(`The project is missing ${path}`);
+                return new Blob([await read()], { type: 'image/png' });
+            }
+        };
+    }
+
+    static migrate(doc) {
+        if (!Number.isInteger(doc.version) || doc.version < 1) {
+            throw new Error("The project file has no valid version");
+        }
+        if (doc.version > PROJECT_VERSION) {
+            throw new Error(`This project was saved by a newer version of the studio (format ${doc.version}); update to open it`);
+        }
+        while (doc.version < PROJECT_VERSION) {
+            const migration = PROJECT_MIGRATIONS[doc.version];
+            if (!migration) throw new Error(`No upgrade from project format ${doc.version}`);
+            doc = migration(doc);
+            doc.version++;
+        }
+        return doc;
+    }
+}
@@ -1,3 +1,25 @@
+// Export file types: extension and Blob type (DDS, TGA and WebP are encoded by DDSCodec, PNG by the canvas)
+const EXPORT_FILE_TYPES = {
+    DDS: { extension: '.dds', mimeType: 'application/octet-stream' },
+    PNG: { extension: '.png', mimeType: 'image/png' },
+    TGA: { extension: '.tga', mimeType: 'image/x-tga' },
+    WEBP: { extension: '.webp', mimeType: 'image/webp' }
+};
+
+// Longest side of an export; larger canvases take gigabytes to render and encode
+const EXPORT_MAX_SIZE = 8192;
+
+// Header export controls saved with a project, by element id
+const PROJECT_EXPORT_FIELDS = ['export-filetype', 'export-format', 'export-quality', 'export-mips',
+    'export-alpha-coverage', 'export-alpha', 'export-tga-rle', 'export-size-mode', 'export-size-percent',
+    'export-size-pot', 'export-resample', 'export-name'];
+
+// Layer types that take the brush colour
+const COLORABLE_LAYER_TYPES = ['shape', 'path', 'text', 'paint', 'raster'];
+
+// Layer properties edited on every selected layer at once when several are selected
+const BATCH_LAYER_PROPS = ['color', 'opacity', 'blendMode'];
+
 class LiveryEditor {
     constructor() {
         this.canvas = document.getElementById('livery-canvas');
@@ -5,10 +27,23 @@ class LiveryEditor {
         this.layers = [];
         this.activeLayerId = null;
         this.clipboard = null; // Layer clipboard
-        this.selectedLayers = []; // For multi-select
-        this.history = []; // Undo history
-        this.historyIndex = -1;
-        this.maxHistory = 50;
+        this.lastLayerId = 0; // See nextLayerId()
+        this.selectedLayers = []; // For multi-select; the selection is these plus the active layer
+        this.selectionBox = null; // Shared transform box while several layers are selected
+        this.marquee = null; // { start, end, additive } while dragging a selection rectangle
+        this.exportController = null; // AbortController of the running export
+        this.lastDDSInspection = null; // { fileName, report } of the last DDS opened, for the inspector
+        this.channelView = { mode: 'rgba', target: 'composite' }; // Display only; exports are unaffected
+        this.paintPreview = { enabled: false, colors: ['#c0392b', '#1f4e9c', '#e8e8e8'] }; // Colours shown for paint slots 1-3
+        this.tintCanvas = null; // Scratch canvas for drawing paint slot layers in a flat colour
+        this.groupCanvases = []; // Scratch canvases for compositing groups, one per nesting depth (drawLayerStack)
+        this.groupDepth = 0;
+        this.resampled = null; // layer -> resampled raster source while renderExport() runs
+        // Open .livery file: handle is set where the File System Access API exists, libraryId once it is in Recent Projects
+        this.project = { name: null, handle: null, libraryId: null };
+        this.homeThumbnailURLs = []; // Object URLs of the thumbnails on the home screen
+        this.autosave = { session: Date.now(), dirty: false, running: false }; // Crash recovery snapshots (autosave.js)
+        this.pngCache = new WeakMap(); // Image -> PNG Blob, so autosaves don't re-encode unchanged images
 
         // State
         this.currentTool = 'move';
@@ -41,6 +76,7 @@ class LiveryEditor {
         // Virtual Texture Size (The actual output size)
         this.virtualWidth = 2048;
         this.virtualHeight = 2048;
+        this.history = new History(this, 50); // Undo/redo commands (history.js), started from the empty document
 
         // Workspace Viewport
         this.view = {
@@ -50,7 +86,9 @@ class LiveryEditor {
         };
 
         this.initEvents();
-        this.loadManifest();
+        this.updateExportSizeLabel();
+        this.manifestReady = this.loadManifest();
+        setInterval(() => this.runAutosave(), AUTOSAVE_INTERVAL);
 
         // Initial sizing
         this.updateCanvasDisplaySize();
@@ -106,7 +144,7 @@ class LiveryEditor {
         };
 
         const layer = {
-            id: Date.now(),
+            id: this.nextLayerId(),
             name: shapeNames[type] || 'Shape',
             type: 'shape',
             shapeType: type,
@@ -119,7 +157,7 @@ class LiveryEditor {
             isBase: false, locked: false
         };
         this.layers.push(layer);
-        this.saveState();
+        this.commit(`Add ${layer.name}`);
 
         this.setTool('move');
         this.setActiveLayer(layer.id);
@@ -128,7 +166,7 @@ class LiveryEditor {
     createPathLayer(firstPoint) {
         const pt = { x: firstPoint.x, y: firstPoint.y, cp1: { x: firstPoint.x, y: firstPoint.y }, cp2: { x: firstPoint.x, y: firstPoint.y } };
         const layer = {
-            id: Date.now(),
+            id: this.nextLayerId(),
             name: 'Vector Path',
             type: 'path',
             points: [pt],
@@ -140,7 +178,7 @@ class LiveryEditor {
             isBase: false, locked: false
         };
         this.layers.push(layer);
-        this.saveState();
+        this.commit('Add Vector Path');
         this.setActiveLayer(layer.id);
         this.render();
     }
@@ -159,7 +197,7 @@ class LiveryEditor {
         img.src = canvas.toDataURL();
         img.onload = () => {
             const layer = {
-                id: Date.now(),
+                id: this.nextLayerId(),
                 name: 'Paint Layer',
                 type: 'paint',
                 img: img,
@@ -184,6 +222,7 @@ class LiveryEditor {
             // Only add if not already in layers (prevent duplicates)
             if (!this.layers.find(l => l.id === layer.id)) {
                 this.layers.push(layer);
+                this.commit('New Paint Layer');
             }
             this.setActiveLayer(layer.id);
 
@@ -217,6 +256,13 @@ class LiveryEditor {
         layer.ctx.lineCap = 'round';
         layer.ctx.lineJoin = 'round';
 
+        const from = this.lastPaintPoint || pt;
+        const pad = this.brushSize / 2 + 2;
+        this.history.beginPixels(layer, {
+            x: Math.min(from.x, pt.x) - pad, y: Math.min(from.y, pt.y) - pad,
+            width: Math.abs(from.x - pt.x) + pad * 2, height: Math.abs(from.y - pt.y) + pad * 2
+        });
+
         // Draw smooth line from last point to current point
         if (this.lastPaintPoint) {
             layer.ctx.beginPath();
@@ -282,18 +328,22 @@ class LiveryEditor {
         // Don't fill if same color
         if (this.colorsMatch(targetColor, fillColor)) return;
 
-        // Flood fill algorithm
-        this.floodFill(imageData, x, y, targetColor, fillColor);
-
-        layer.ctx.putImageData(imageData, 0, 0);
+        // Flood fill algorithm; only the filled bounds are recorded and written back
+        const bounds = this.floodFill(imageData, x, y, targetColor, fillColor);
+        if (!bounds) return;
+        this.history.beginPixels(layer, bounds);
+        layer.ctx.putImageData(imageData, 0, 0, bounds.x, bounds.y, bounds.width, bounds.height);
         layer.img.src = layer.canvas.toDataURL();
+        this.commit(`Fill on ${layer.name}`);
         this.render();
     }
 
+    // Returns the bounding box of the filled pixels, or null if none were filled
     floodFill(imageData, x, y, targetColor, fillColor) {
         const stack = [[x, y]];
         const width = imageData.width;
         const height = imageData.height;
+        let minX = width, minY = height, maxX = -1, maxY = -1;
         let iterations = 0;
         const maxIterations = 500000; // Prevent crashes on very large areas
 
@@ -308,10 +358,15 @@ class LiveryEditor {
 
             // Set pixel
             this.setPixelColor(imageData, cx, cy, fillColor);
+            minX = Math.min(minX, cx);
+            minY = Math.min(minY, cy);
+            maxX = Math.max(maxX, cx);
+            maxY = Math.max(maxY, cy);
 
             // Add neighbors
             stack.push([cx + 1, cy], [cx - 1, cy], [cx, cy + 1], [cx, cy - 1]);
         }
+        return maxX < 0 ? null : { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
     }
 
     getPixelColor(imageData, x, y) {
@@ -348,6 +403,11 @@ class LiveryEditor {
 
     drawLine(layer, start, end) {
         if (!layer.ctx) return;
+        const pad = this.brushSize / 2 + 2;
+        this.history.beginPixels(layer, {
+            x: Math.min(start.x, end.x) - pad, y: Math.min(start.y, end.y) - pad,
+            width: Math.abs(start.x - end.x) + pad * 2, height: Math.abs(start.y - end.y) + pad * 2
+        });
 
         layer.ctx.strokeStyle = this.brushColor;
         layer.ctx.lineWidth = this.brushSize;
@@ -361,6 +421,7 @@ class LiveryEditor {
 
         layer.ctx.globalAlpha = 1;
         layer.img.src = layer.canvas.toDataURL();
+        this.commit(`Line on ${layer.name}`);
         this.render();
     }
 
@@ -378,7 +439,7 @@ class LiveryEditor {
         const pt = this.pendingTextPos || { x: this.virtualWidth / 2, y: this.virtualHeight / 2 };
 
         const layer = {
-            id: Date.now(),
+            id: this.nextLayerId(),
             name: `Text: ${text}`,
             type: 'text',
             text: text,
@@ -405,7 +466,7 @@ class LiveryEditor {
         };
 
         this.layers.push(layer);
-        this.saveState();
+        this.commit(`Add ${layer.name}`);
         this.setActiveLayer(layer.id);
         this.setTool('move');
         this.render();
@@ -490,9 +551,51 @@ class LiveryEditor {
         });
         document.getElementById('base-upload').addEventListener('change', (e) => this.handleBaseUpload(e));
         document.getElementById('upload-base-trigger').addEventListener('click', () => document.getElementById('base-upload').click());
+        document.getElementById('home-btn').addEventListener('click', () => this.showHome());
+        document.getElementById('home-new').addEventListener('click', () => this.hideHome());
+        document.getElementById('home-open-file').addEventListener('click', () => {
+            this.hideHome();
+            this.openProject();
+        });
+        document.getElementById('project-open-btn').addEventListener('click', () => this.openProject());
+        document.getElementById('project-save-btn').addEventListener('click', () => this.saveProject());
+        document.getElementById('project-save-as-btn').addEventListener('click', () => this.saveProject(true));
+        document.getElementById('project-open').addEventListener('change', (e) => {
+            if (e.target.files.length) this.openProjectFile(e.target.files[0]);
+            e.target.value = '';
+        });
         document.getElementById('import-btn').addEventListener('click', () => document.getElementById('file-import').click());
         document.getElementById('file-import').addEventListener('change', (e) => this.addLayerFromUpload(e));
+        document.getElementById('import-mod-folder-btn').addEventListener('click', () => document.getElementById('mod-folder-import').click());
+        document.getElementById('mod-folder-import').addEventListener('change', (e) => this.readFolderInput(e));
         document.getElementById('export-btn').addEventListener('click', () => this.exportImage());
+        document.getElementById('export-mod-btn').addEventListener('click', () => this.openModExport());
+        document.getElementById('mod-export-confirm').addEventListener('click', () => this.confirmModExport());
+        ['mod-opacity-enabled', 'mod-opacity-threshold', 'mod-opacity-feather'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateOpacityPreview());
+        });
+        document.getElementById('mod-thumbnail-enabled').addEventListener('change', (e) => {
+            document.getElementById('mod-thumbnail-preview').style.display = e.target.checked ? 'block' : 'none';
+        });
+        document.getElementById('mod-export-cancel').addEventListener('click', () => {
+            document.getElementById('mod-export-modal').style.display = 'none';
+        });
+        document.getElementById('export-cancel-btn').addEventListener('click', () => {
+            if (this.exportController) this.exportController.abort();
+        });
+        document.getElementById('export-filetype').addEventListener('change', (e) => this.updateExportFileType(e.target.value));
+        ['export-size-mode', 'export-size-percent', 'export-size-pot'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateExportSizeLabel());
+        });
+        document.getElementById('export-format').addEventListener('change', (e) => {
+            document.getElementById('export-quality').disabled = e.target.value === 'RGBA';
+        });
+        document.getElementById('export-mips').addEventListener('change', (e) => {
+            document.getElementById('export-alpha-coverage').disabled = !e.target.value;
+        });
+        ['export-filetype', 'export-format', 'export-quality', 'export-mips'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateExportEstimate());
+        });
 
         // Tools
         document.getElementById('tool-move').addEventListener('click', () => this.setTool('move'));
@@ -533,20 +636,18 @@ class LiveryEditor {
 
         // Toggle Lock Button
         document.getElementById('toggle-lock-btn').addEventListener('click', () => this.toggleLockActiveLayer());
+        document.getElementById('new-group-btn').addEventListener('click', () => this.createGroup());
 
         // Brush Controls
         document.getElementById('brush-color').addEventListener('input', (e) => {
             this.brushColor = e.target.value;
             document.getElementById('fg-color-display').style.background = e.target.value;
 
-            // Sync with active layer if selected
-            if (this.activeLayerId) {
-                const layer = this.layers.find(l => l.id === this.activeLayerId);
-                const colorableTypes = ['shape', 'path', 'text', 'paint', 'raster'];
-                if (layer && colorableTypes.includes(layer.type)) {
-                    layer.color = this.brushColor;
-                    this.render();
-                }
+            // Sync with the selected layers
+            const layers = this.selectionLayers().filter(l => COLORABLE_LAYER_TYPES.includes(l.type));
+            if (layers.length) {
+                layers.forEach(layer => { layer.color = this.brushColor; });
+                this.render();
             }
         });
 
@@ -611,6 +712,18 @@ class LiveryEditor {
                 this.updateActiveLayer('blendMode', e.target.value);
             });
         }
+        const finishSelect = document.getElementById('prop-finish');
+        if (finishSelect) {
+            finishSelect.addEventListener('change', (e) => {
+                this.updateActiveLayer('finish', e.target.value);
+            });
+        }
+        const paintSlotSelect = document.getElementById('prop-paint-slot');
+        if (paintSlotSelect) {
+            paintSlotSelect.addEventListener('change', (e) => {
+                this.updateActiveLayer('paintSlot', parseInt(e.target.value));
+            });
+        }
 
         document.getElementById('prop-path-closed').addEventListener('change', (e) => {
             this.updateActiveLayer('closed', e.target.checked);
@@ -664,6 +777,28 @@ class LiveryEditor {
             this.updateActiveLayer('html-rotation', e.target.value);
         });
 
+        // Property inputs apply live while dragged or typed; one history step is recorded when the value is committed
+        const propLabels = {
+            'brush-color': 'Colour', 'prop-opacity': 'Opacity', 'prop-rotation': 'Rotation', 'prop-rotation-slider': 'Rotation',
+            'prop-scale': 'Scale', 'prop-hue': 'Hue', 'prop-saturation': 'Saturation', 'prop-brightness': 'Brightness',
+            'prop-color': 'Colour', 'prop-path-width': 'Stroke Width', 'prop-path-closed': 'Closed Path',
+            'prop-grad-start': 'Gradient', 'prop-grad-end': 'Gradient', 'prop-grad-type': 'Gradient Type',
+            'prop-grad-angle': 'Gradient Angle', 'prop-grad-balance': 'Gradient Balance', 'prop-grad-curve': 'Gradient Curve',
+            'prop-blend-mode': 'Blend Mode', 'prop-finish': 'Finish', 'prop-paint-slot': 'Paint Slot',
+            'prop-text-content': 'Text', 'prop-text-font': 'Font', 'prop-text-size': 'Font Size',
+            'prop-text-curve': 'Text Curve', 'prop-text-curve-num': 'Text Curve'
+        };
+        const batchInputs = ['brush-color', 'prop-color', 'prop-opacity', 'prop-blend-mode'];
+        Object.entries(propLabels).forEach(([id, label]) => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('change', () => {
+                const layer = this.layers.find(l => l.id === this.activeLayerId);
+                const count = this.selectionLayers().length;
+                if (batchInputs.includes(id) && count > 1) this.commit(`Change ${label} of ${count} Layers`);
+                else this.commit(layer ? `Change ${label} of ${layer.name}` : `Change ${label}`);
+            });
+        });
+
         document.getElementById('delete-layer-btn').addEventListener('click', () => this.deleteActiveLayer());
         document.getElementById('rasterize-layer-btn').addEventListener('click', () => this.rasterizeActiveLayer());
 
@@ -671,7 +806,7 @@ class LiveryEditor {
         window.addEventListener('keydown', (e) => this.handleKeyDown(e));
         this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
         window.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        window.addEventListener('mouseup', () => this.handleMouseUp());
+        window.addEventListener('mouseup', (e) => this.handleMouseUp(e));
         this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
 
         // Context Menu
@@ -686,6 +821,8 @@ class LiveryEditor {
         document.getElementById('ctx-flip-h').addEventListener('click', () => this.flipActiveLayer('h'));
         document.getElementById('ctx-flip-v').addEventListener('click', () => this.flipActiveLayer('v'));
         document.getElementById('ctx-lock').addEventListener('click', () => this.toggleLockActiveLayer());
+        document.getElementById('ctx-group').addEventListener('click', () => this.createGroup());
+        document.getElementById('ctx-ungroup').addEventListener('click', () => this.ungroupActiveLayer());
 
         const resetBtn = document.getElementById('reset-view-btn');
         if (resetBtn) resetBtn.addEventListener('click', () => this.resetView());
@@ -706,6 +843,47 @@ class LiveryEditor {
             document.getElementById('help-modal').style.display = 'flex';
         });
 
+        // DDS Inspector: shows the last opened DDS, or any file dropped onto the dialog
+        const inspectBtn = document.getElementById('inspect-dds-btn');
+        if (inspectBtn) inspectBtn.addEventListener('click', () => this.openDDSInspector(this.lastDDSInspection));
+        const inspectInput = document.getElementById('dds-inspector-input');
+        if (inspectInput) inspectInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.inspectDDSFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        const inspectorModal = document.getElementById('dds-inspector-modal');
+        const inspectorDrop = document.getElementById('dds-inspector-drop');
+        if (inspectorModal && inspectorDrop) {
+            inspectorModal.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                inspectorDrop.classList.add('drag-over');
+            });
+            inspectorModal.addEventListener('dragleave', (e) => {
+                if (!inspectorModal.contains(e.relatedTarget)) inspectorDrop.classList.remove('drag-over');
+            });
+            inspectorModal.addEventListener('drop', (e) => {
+                e.preventDefault();
+                inspectorDrop.classList.remove('drag-over');
+                if (e.dataTransfer.files.length > 0) this.inspectDDSFile(e.dataTransfer.files[0]);
+            });
+        }
+
+        // Channel View
+        const channelModeSel = document.getElementById('channel-view-mode');
+        if (channelModeSel) channelModeSel.addEventListener('change', (e) => this.setChannelView(e.target.value));
+        const channelTargetSel = document.getElementById('channel-view-target');
+        if (channelTargetSel) channelTargetSel.addEventListener('change', (e) => this.setChannelView(this.channelView.mode, e.target.value));
+
+        // Paint Preview: shows paint slot layers in the chosen in-game paint colours
+        const paintPreviewInputs = ['paint-preview-enabled', 'paint-preview-1', 'paint-preview-2', 'paint-preview-3']
+            .map(id => document.getElementById(id));
+        if (paintPreviewInputs.every(Boolean)) {
+            const [enabledInput, ...colorInputs] = paintPreviewInputs;
+            paintPreviewInputs.forEach(input => input.addEventListener('input', () => {
+                this.setPaintPreview(enabledInput.checked, colorInputs.map(colorInput => colorInput.value));
+            }));
+        }
+
         // Zoom Slider
         const zoomSlider = document.getElementById('canvas-zoom-slider');
         if (zoomSlider) {
@@ -731,6 +909,10 @@ class LiveryEditor {
             });
         }
 
+        document.getElementById('layers-tab').addEventListener('click', () => this.showListTab('layers'));
+        document.getElementById('history-tab').addEventListener('click', () => this.showListTab('history'));
+        document.getElementById('history-snapshot-btn').addEventListener('click', () => this.takeSnapshot());
+
         document.getElementById('undo-btn').addEventListener('click', () => this.undo());
         document.getElementById('redo-btn').addEventListener('click', () => this.redo());
     }
@@ -768,6 +950,16 @@ class LiveryEditor {
             document.getElementById('redo-btn').click();
         }
 
+        if (e.ctrlKey && e.key.toLowerCase() === 's') {
+            e.preventDefault();
+            this.saveProject(e.shiftKey);
+        }
+
+        if (e.ctrlKey && e.key === 'o') {
+            e.preventDefault();
+            this.openProject();
+        }
+
         if (e.ctrlKey && e.key === 'c') {
             e.preventDefault();
             this.copyActiveLayer();
@@ -778,6 +970,11 @@ class LiveryEditor {
             this.pasteLayer();
         }
 
+        if (e.ctrlKey && e.key.toLowerCase() === 'g') {
+            e.preventDefault();
+            if (e.shiftKey) this.ungroupActiveLayer();
+            else this.createGroup();
+        }
 
     }
 
@@ -823,7 +1020,9 @@ class LiveryEditor {
         let hitLayer = this.hitTest(virtualPt);
 
         if (hitLayer) {
+            if (!this.selectionLayers().includes(hitLayer)) this.selectedLayers = [];
             this.setActiveLayer(hitLayer.id);
+            this.updateSelectionBox();
         } else {
             // Clicked empty space
             // this.activeLayerId = null; // Maybe keep selection?
@@ -838,6 +1037,8 @@ class LiveryEditor {
         // Update Lock Text
         const lockText = (this.activeLayerId && this.layers.find(l => l.id === this.activeLayerId)?.locked) ? 'Unlock' : 'Lock';
         document.getElementById('ctx-lock').innerText = lockText;
+        const activeLayer = this.layers.find(l => l.id === this.activeLayerId);
+        document.getElementById('ctx-ungroup').style.display = activeLayer && activeLayer.type === 'group' ? '' : 'none';
     }
 
     hideContextMenu() {
@@ -848,7 +1049,8 @@ class LiveryEditor {
     hitTest(virtualPt) {
         for (let i = this.layers.length - 1; i >= 0; i--) {
             const layer = this.layers[i];
-            if (layer.hidden || layer.isBase || (layer.locked && this.currentTool !== 'hand')) continue;
+            if (layer.type === 'group' || layer.isBase || this.isLayerHidden(layer)) continue;
+            if (this.isLayerLocked(layer) && this.currentTool !== 'hand') continue;
 
             const local = this.toLocal(virtualPt, layer);
             const w = layer.width * (layer.scaleX || layer.scale || 1);
@@ -930,7 +1132,7 @@ class LiveryEditor {
                     const p0 = activeLayer.points[0];
                     if (Math.hypot(p0.x - pt.x, p0.y - pt.y) < threshold) {
                         activeLayer.closed = true;
-                        this.saveState();
+                        this.commit(`Close ${activeLayer.name}`);
                         this.render();
                         return;
                     }
@@ -972,7 +1174,7 @@ class LiveryEditor {
                         if (activeLayer.points.length === 0) {
                             this.deleteActiveLayer();
                         } else {
-                            this.saveState();
+                            this.commit(`Delete Point on ${activeLayer.name}`);
                             this.render();
                         }
                         return;
@@ -981,7 +1183,7 @@ class LiveryEditor {
                     if (foundIndex === 0 && activeLayer.points.length > 2 && !activeLayer.closed) {
                         // Already handled at the top, but keeping for logic consistency if reached
                         activeLayer.closed = true;
-                        this.saveState();
+                        this.commit(`Close ${activeLayer.name}`);
                         this.render();
                         return;
                     }
@@ -1001,7 +1203,6 @@ class LiveryEditor {
                         activeLayer.points.splice(i + 1, 0, newPt);
                         this.activePointIndex = i + 1;
                         this.isPullingHandles = true;
-                        this.saveState();
                         this.render();
                         return;
                     }
@@ -1015,7 +1216,6 @@ class LiveryEditor {
                 activeLayer.points.push(newPt);
                 this.activePointIndex = activeLayer.points.length - 1;
                 this.isPullingHandles = true;
-                this.saveState();
                 this.render();
             } else {
                 this.createPathLayer(pt);
@@ -1077,23 +1277,49 @@ class LiveryEditor {
             return;
         }
 
-        // Gizmo check
-        if (this.activeLayerId) {
-            const layer = this.layers.find(l => l.id === this.activeLayerId);
-            if (layer && !layer.isBase && !layer.locked) {
-                const local = this.toLocal(virtualPt, layer);
+        // Gizmo check (the shared box when several layers are selected)
+        const target = this.transformTarget();
+        let insideBox = false;
+        if (target) {
+            const isBox = target === this.selectionBox;
+            const emptyGroup = target.type === 'group' && !this.groupChildren(target).length;
+            if (isBox || (!target.isBase && !this.isLayerLocked(target) && !emptyGroup)) {
+                const local = this.toLocal(virtualPt, target);
                 this.dragStart = virtualPt; // Store for resizing/rotating
-                if (this.checkGizmoHit(local, layer)) return;
+                if (this.checkGizmoHit(local, target)) return;
+
+                // Groups and the selection have no pixels of their own; drag them from anywhere inside their box
+                const box = this.layerBox(target);
+                insideBox = (isBox || target.type === 'group') &&
+                    Math.abs(local.x) <= target.width * box.scaleX / 2 && Math.abs(local.y) <= target.height * box.scaleY / 2;
             }
         }
 
+        // Shift-click adds a layer to the selection or takes it out; Shift-drag on empty canvas adds an area
+        if (e.shiftKey) {
+            const hitLayer = this.hitTest(virtualPt);
+            if (hitLayer) this.toggleLayerSelected(hitLayer.id);
+            else this.marquee = { start: virtualPt, end: virtualPt, additive: true };
+            return;
+        }
+
+        if (insideBox) {
+            this.isDragging = true;
+            return;
+        }
+
         // Hit Detect
         let hitLayer = this.hitTest(virtualPt);
 
         if (hitLayer) {
+            if (!this.selectionLayers().includes(hitLayer)) this.selectedLayers = [];
             this.setActiveLayer(hitLayer.id);
+            this.updateSelectionBox();
             this.isDragging = true;
             this.dragStart = virtualPt;
+        } else if (e.ctrlKey || e.metaKey) {
+            // Ctrl-drag on empty canvas selects an area
+            this.marquee = { start: virtualPt, end: virtualPt, additive: false };
         } else {
             // Clicked Empty -> Pan
             this.isPanning = true;
@@ -1255,11 +1481,19 @@ class LiveryEditor {
 
         const virtualPt = this.getCanvasCoordinates(e);
 
+        if (this.marquee) {
+            this.marquee.end = virtualPt;
+            this.render();
+            return;
+        }
+
         if (this.isRotating && this.activeLayerId) {
-            const layer = this.layers.find(l => l.id === this.activeLayerId);
+            const layer = this.transformTarget();
             if (layer) {
+                const from = this.layerBox(layer);
                 const angle = Math.atan2(virtualPt.y - layer.y, virtualPt.x - layer.x);
                 layer.rotation = angle + Math.PI / 2; // Offset for top-handle position
+                this.transformBoxContents(layer, from);
 
                 // Sync mirror rotation
                 if (layer.mirrorLayerId) {
@@ -1276,8 +1510,9 @@ class LiveryEditor {
         }
 
         if (this.isResizing && this.activeLayerId) {
-            const layer = this.layers.find(l => l.id === this.activeLayerId);
+            const layer = this.transformTarget();
             if (layer && this.resizeStartState && this.dragStart) {
+                const from = this.layerBox(layer);
                 const s = this.resizeStartState;
                 const mStart = this.dragStart;
                 const mCurr = virtualPt;
@@ -1353,6 +1588,7 @@ class LiveryEditor {
                 const w_sin = Math.sin(s.rot);
                 layer.x = s.x + (cx_shift * w_cos - cy_shift * w_sin);
                 layer.y = s.y + (cx_shift * w_sin + cy_shift * w_cos);
+                this.transformBoxContents(layer, from);
 
                 // Sync mirror
                 if (layer.mirrorLayerId) {
@@ -1376,10 +1612,12 @@ class LiveryEditor {
         if (this.isDragging && this.activeLayerId) {
             const dx = virtualPt.x - this.dragStart.x;
             const dy = virtualPt.y - this.dragStart.y;
-            const layer = this.layers.find(l => l.id === this.activeLayerId);
+            const layer = this.transformTarget();
             if (layer) {
+                const from = this.layerBox(layer);
                 layer.x += dx;
                 layer.y += dy;
+                this.transformBoxContents(layer, from);
 
                 // Sync mirror
                 if (layer.mirrorLayerId) {
@@ -1418,7 +1656,7 @@ class LiveryEditor {
                 const cy = minY + height / 2;
 
                 const layer = {
-                    id: Date.now(),
+                    id: this.nextLayerId(),
                     type: 'gradient',
                     name: 'Gradient Box',
                     visible: true,
@@ -1447,41 +1685,53 @@ class LiveryEditor {
             return;
         }
 
-        // Complete line drawing
-        if (this.isDrawingLine && this.lineStart) {
-            const layer = this.layers.find(l => l.id === this.activeLayerId);
-            if (layer && layer.type === 'paint' && !layer.locked) {
-                const virtualPt = this.getCanvasCoordinates(e);
-                this.drawLine(layer, this.lineStart, virtualPt);
+        // The drag state is cleared even if finishing the action throws, so nothing stays stuck to the mouse
+        try {
+            // Complete line drawing
+            if (this.isDrawingLine && this.lineStart) {
+                const layer = this.layers.find(l => l.id === this.activeLayerId);
+                if (layer && layer.type === 'paint' && !layer.locked) {
+                    const virtualPt = this.getCanvasCoordinates(e);
+                    this.drawLine(layer, this.lineStart, virtualPt);
+                }
             }
-        }
 
-        // Finalize paint stroke - update image from canvas
-        if (this.isPainting && this.activeLayerId) {
-            const layer = this.layers.find(l => l.id === this.activeLayerId);
-            if (layer && layer.type === 'paint' && layer.canvas) {
-                layer.img.src = layer.canvas.toDataURL();
+            // Finalize paint stroke - update image from canvas
+            const activeLayer = this.layers.find(l => l.id === this.activeLayerId);
+            if (this.isPainting && activeLayer) {
+                if (activeLayer.type === 'paint' && activeLayer.canvas) {
+                    activeLayer.img.src = activeLayer.canvas.toDataURL();
+                }
+                this.commit(`${this.currentTool === 'eraser' ? 'Eraser' : 'Brush'} stroke on ${activeLayer.name}`);
             }
-        }
 
-        if (this.isDraggingPoint || this.isDraggingHandle || this.isPullingHandles) {
-            this.saveState();
-        }
+            // Path edits and transforms become one step each, however long the drag
+            if (activeLayer) {
+                if (this.isPullingHandles || this.isDraggingPoint || this.isDraggingHandle) this.commit(`Edit ${activeLayer.name}`);
+                else if (this.isDragging) this.commit(`Move ${this.selectionName()}`);
+                else if (this.isRotating) this.commit(`Rotate ${this.selectionName()}`);
+                else if (this.isResizing) this.commit(`Resize ${this.selectionName()}`);
+            }
 
-        this.isDragging = false;
-        this.isRotating = false;
-        this.isResizing = false;
-        this.isPanning = false;
-        this.isPainting = false;
-        this.isDraggingPoint = false;
-        this.isDraggingHandle = false;
-        this.isPullingHandles = false;
-        this.isDrawingLine = false;
-        this.lineStart = null;
-        this.lastPaintPoint = null;
-        if (this.currentTool === 'hand') this.canvas.style.cursor = 'grab';
-        else if (this.currentTool === 'move') this.canvas.style.cursor = 'default';
-        else this.canvas.style.cursor = 'crosshair';
+            // handleMouseMove keeps marquee.end up to date
+            if (this.marquee) this.selectInMarquee();
+        } finally {
+            this.isDragging = false;
+            this.isRotating = false;
+            this.isResizing = false;
+            this.isPanning = false;
+            this.isPainting = false;
+            this.isDraggingPoint = false;
+            this.isDraggingHandle = false;
+            this.isPullingHandles = false;
+            this.isDrawingLine = false;
+            this.lineStart = null;
+            this.lastPaintPoint = null;
+            this.marquee = null;
+            if (this.currentTool === 'hand') this.canvas.style.cursor = 'grab';
+            else if (this.currentTool === 'move') this.canvas.style.cursor = 'default';
+            else this.canvas.style.cursor = 'crosshair';
+        }
         this.render();
     }
 
@@ -1506,25 +1756,66 @@ class LiveryEditor {
         this.ctx.scale(this.view.zoom, this.view.zoom);
 
         // Background
-        this.ctx.fillStyle = '#1c1c1c';
-        this.ctx.fillRect(0, 0, this.virtualWidth, this.virtualHeight);
-        this.ctx.strokeStyle = '#333';
-        this.ctx.lineWidth = 10 / this.view.zoom;
-        this.ctx.strokeRect(0, 0, this.virtualWidth, this.virtualHeight);
+        // Channel views skip the fill so alpha stays readable, and draw the border after filtering
+        const channelMode = this.channelView.mode !== 'rgba';
+        const drawBorder = () => {
+            this.ctx.strokeStyle = '#333';
+            this.ctx.lineWidth = 10 / this.view.zoom;
+            this.ctx.strokeRect(0, 0, this.virtualWidth, this.virtualHeight);
+        };
+        if (!channelMode) {
+            this.ctx.fillStyle = '#1c1c1c';
+            this.ctx.fillRect(0, 0, this.virtualWidth, this.virtualHeight);
+            drawBorder();
+        }
 
-        // Layers
-        this.layers.forEach(layer => {
-            if (!layer.hidden) this.drawLayer(this.ctx, layer);
+        // Layers (only the active one when the channel view targets a single layer)
+        const soloLayer = this.channelView.target === 'layer' ? this.layers.find(l => l.id === this.activeLayerId) : null;
+        const soloLayers = soloLayer && (soloLayer.type === 'group' ? [...this.groupChildren(soloLayer), soloLayer] : [soloLayer]);
+        this.drawLayerStack(this.ctx, soloLayers || this.layers, (ctx, layer) => {
+            if (layer.hidden) return;
+            if (layer.paintSlot && this.paintPreview.enabled) {
+                this.drawPaintSlotLayer(ctx, layer, this.paintPreview.colors[layer.paintSlot - 1]);
+            } else {
+                this.drawLayer(ctx, layer);
+            }
         });
 
-        // Gizmos
-        if (this.activeLayerId && this.currentTool === 'move') {
+        if (channelMode) {
+            this.applyChannelView();
+            drawBorder();
+        }
+
+        // Gizmos (one shared box around a multi-selection)
+        if (this.selectionBox && this.currentTool === 'move') {
+            this.ctx.save();
+            this.ctx.strokeStyle = '#f97316';
+            this.ctx.lineWidth = 1 / this.view.zoom;
+            this.ctx.setLineDash([4 / this.view.zoom, 4 / this.view.zoom]);
+            this.selectionMembers().filter(l => l.type !== 'group' && l.type !== 'path').forEach(layer => {
+                this.ctx.beginPath();
+                this.layerCorners(layer).forEach(p => this.ctx.lineTo(p.x, p.y));
+                this.ctx.closePath();
+                this.ctx.stroke();
+            });
+            this.ctx.restore();
+            this.drawGizmos(this.ctx, this.selectionBox);
+        } else if (this.activeLayerId && this.currentTool === 'move') {
             const layer = this.layers.find(l => l.id === this.activeLayerId);
-            if (layer && !layer.isBase && !layer.locked && !layer.hidden) {
+            if (layer && !layer.isBase && !this.isLayerLocked(layer) && !this.isLayerHidden(layer)) {
                 this.drawGizmos(this.ctx, layer);
             }
         }
 
+        if (this.marquee) {
+            const { start, end } = this.marquee;
+            this.ctx.fillStyle = 'rgba(249, 115, 22, 0.1)';
+            this.ctx.fillRect(start.x, start.y, end.x - start.x, end.y - start.y);
+            this.ctx.strokeStyle = '#f97316';
+            this.ctx.lineWidth = 1 / this.view.zoom;
+            this.ctx.strokeRect(start.x, start.y, end.x - start.x, end.y - start.y);
+        }
+
         if (this.isDrawingGradient && this.gradientStart && this.gradientEnd) {
             this.ctx.beginPath();
             this.ctx.moveTo(this.gradientStart.x, this.gradientStart.y);
@@ -1542,7 +1833,122 @@ class LiveryEditor {
         this.ctx.restore();
     }
 
-    drawLayer(ctx, layer, skipUI = false) {
+    // Rewrites the on-screen texture area with the selected channel view (see ChannelView in dds.js)
+    applyChannelView() {
+        const dpr = window.devicePixelRatio || 1;
+        const scale = dpr * this.view.zoom;
+        const x0 = Math.max(0, Math.floor(dpr * this.view.x));
+        const y0 = Math.max(0, Math.floor(dpr * this.view.y));
+        const x1 = Math.min(this.canvas.width, Math.ceil(dpr * this.view.x + scale * this.virtualWidth));
+        const y1 = Math.min(this.canvas.height, Math.ceil(dpr * this.view.y + scale * this.virtualHeight));
+        if (x1 <= x0 || y1 <= y0) return;
+
+        const image = this.ctx.getImageData(x0, y0, x1 - x0, y1 - y0);
+        ChannelView.apply(image.data, this.channelView.mode);
+        this.ctx.putImageData(image, x0, y0);
+    }
+
+    setChannelView(mode, target = this.channelView.target) {
+        this.channelView = { mode, target };
+        const modeSel = document.getElementById('channel-view-mode');
+        const targetSel = document.getElementById('channel-view-target');
+        if (modeSel) modeSel.value = mode;
+        if (targetSel) targetSel.value = target;
+        this.render();
+    }
+
+    // Draws `layers` bottom to top with `draw(ctx, layer)`, skipping hidden groups. A group at full
+    // opacity with normal blending draws its children straight through; otherwise they are composited
+    // on their own first, then drawn with the group's opacity and blend mode.
+    drawLayerStack(ctx, layers, draw) {
+        const groups = new Map(layers.filter(l => l.type === 'group').map(group => [group.id, group]));
+        layers.forEach(layer => {
+            if (groups.has(layer.groupId)) return; // Drawn with its group
+            if (layer.type !== 'group') {
+                draw(ctx, layer);
+                return;
+            }
+            if (layer.hidden) return;
+            const children = layers.filter(l => l.groupId === layer.id);
+            const opacity = layer.opacity ?? 1;
+            const mode = layer.blendMode || 'normal';
+            if (opacity === 1 && mode === 'normal') {
+                children.forEach(child => draw(ctx, child));
+                return;
+            }
+
+            // Reused between renders; a group drawn while another is being composited gets the next one
+            const target = ctx.canvas;
+            const depth = this.groupDepth;
+            if (!this.groupCanvases[depth]) this.groupCanvases[depth] = document.createElement('canvas');
+            const group = this.groupCanvases[depth];
+            if (group.width !== target.width || group.height !== target.height) {
+                group.width = target.width;
+                group.height = target.height;
+            }
+            const groupCtx = group.getContext('2d');
+            groupCtx.setTransform(1, 0, 0, 1, 0, 0);
+            groupCtx.globalAlpha = 1;
+            groupCtx.globalCompositeOperation = 'source-over';
+            groupCtx.clearRect(0, 0, group.width, group.height);
+            groupCtx.imageSmoothingEnabled = ctx.imageSmoothingEnabled;
+            groupCtx.imageSmoothingQuality = ctx.imageSmoothingQuality;
+            groupCtx.setTransform(ctx.getTransform());
+            this.groupDepth = depth + 1;
+            try {
+                children.forEach(child => draw(groupCtx, child));
+            } finally {
+                this.groupDepth = depth;
+            }
+
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.globalAlpha = opacity;
+            ctx.globalCompositeOperation = mode === 'normal' ? 'source-over' : mode;
+            ctx.drawImage(group, 0, 0);
+            ctx.restore();
+        });
+    }
+
+    // Draws a layer's shape in one flat colour: the in-game paint for the preview, or white in
+    // palette exports so the paint colour multiplies through unchanged
+    drawPaintSlotLayer(ctx, layer, color, resample = null) {
+        const target = ctx.canvas;
+        if (!this.tintCanvas) this.tintCanvas = document.createElement('canvas');
+        const tint = this.tintCanvas;
+        if (tint.width !== target.width || tint.height !== target.height) {
+            tint.width = target.width;
+            tint.height = target.height;
+        }
+        const tintCtx = tint.getContext('2d');
+        tintCtx.setTransform(1, 0, 0, 1, 0, 0);
+        tintCtx.globalCompositeOperation = 'source-over';
+        tintCtx.clearRect(0, 0, tint.width, tint.height);
+        tintCtx.imageSmoothingEnabled = ctx.imageSmoothingEnabled;
+        tintCtx.imageSmoothingQuality = ctx.imageSmoothingQuality;
+        tintCtx.setTransform(ctx.getTransform());
+        this.drawLayer(tintCtx, layer, true, resample);
+
+        tintCtx.setTransform(1, 0, 0, 1, 0, 0);
+        tintCtx.globalCompositeOperation = 'source-in';
+        tintCtx.fillStyle = color;
+        tintCtx.fillRect(0, 0, tint.width, tint.height);
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.drawImage(tint, 0, 0);
+        ctx.restore();
+    }
+
+    setPaintPreview(enabled, colors = this.paintPreview.colors) {
+        this.paintPreview = { enabled, colors };
+        this.render();
+    }
+
+    // `resample` names a MIP_FILTERS kernel used to pre-scale raster layers (exports only)
+    drawLayer(ctx, layer, skipUI = false, resample = null) {
         ctx.save();
         ctx.translate(layer.x, layer.y);
         ctx.rotate(layer.rotation);
@@ -2016,6 +2422,7 @@ class LiveryEditor {
         } else {
             // Paint, Image, or Raster (Tattoo) layers
             const source = (layer.canvas) ? layer.canvas : layer.img;
+            const scaled = (img) => resample ? this.resampleRasterSource(ctx, img, layer) : img;
 
             if (layer.color && (layer.type === 'paint' || layer.type === 'raster')) {
                 // Apply color tint for rasterized shapes/text
@@ -2027,9 +2434,9 @@ class LiveryEditor {
                 tempCtx.globalCompositeOperation = 'source-in';
                 tempCtx.fillStyle = layer.color;
                 tempCtx.fillRect(0, 0, layer.width, layer.height);
-                ctx.drawImage(tempCanvas, -layer.width / 2, -layer.height / 2, layer.width, layer.height);
+                ctx.drawImage(scaled(tempCanvas), -layer.width / 2, -layer.height / 2, layer.width, layer.height);
             } else if (source) {
-                ctx.drawImage(source, -layer.width / 2, -layer.height / 2, layer.width, layer.height);
+                ctx.drawImage(scaled(source), -layer.width / 2, -layer.height / 2, layer.width, layer.height);
             }
         }
 
@@ -2141,6 +2548,15 @@ class LiveryEditor {
                 });
             }
         }
+
+        // Variants Export Mod cannot package still load for painting; mark them in the picker
+        Array.from(sel.options).forEach(option => {
+            ModPackager.textureOnlyReason(vehicle, option.value).then(reason => {
+                if (!reason) return;
+                option.innerText += ' (texture only)';
+                option.title = `Export Mod is not available: ${reason}.`;
+            }).catch(e => console.warn("Could not read the mod template index:", e.message));
+        });
     }
 
     async loadBaseSkin(path) {
@@ -2168,20 +2584,11 @@ class LiveryEditor {
 
             // Decode DDS
             try {
-                const ddsData = DDSDecoder.decode(buffer);
-                const imageData = new ImageData(ddsData.data, ddsData.width, ddsData.height);
-
-                const tempCanvas = document.createElement('canvas');
-                tempCanvas.width = ddsData.width;
-                tempCanvas.height = ddsData.height;
-                tempCanvas.getContext('2d').putImageData(imageData, 0, 0);
-
-                const img = new Image();
-                img.src = tempCanvas.toDataURL();
-                img.onload = () => this.setBaseLayer(img);
+                const img = await this.decodeDDSImage(buffer, path.split('/').pop());
+                this.setBaseLayer(img);
             } catch (decodeErr) {
                 console.error("DDS Decode Error:", decodeErr);
-                throw new Error("Unsupported Texture Format.\n\nThe file uses BC7 compression, which browsers cannot read.\n\nPlease convert this skin to DXT5 (BC3) format using Paint.NET or Photoshop and upload it manually.\n\nSee the guide for more information.");
+                this.showDDSError(decodeErr);
             }
 
         } catch (e) {
@@ -2189,16 +2596,198 @@ class LiveryEditor {
         }
     }
 
+    // Decodes a DDS buffer (top mip level) into an Image element. Failures carry the
+    // header inspection as `err.inspection` so showDDSError() can explain them.
+    async decodeDDSImage(buffer, fileName = 'texture.dds') {
+        // Inspect first: the buffer is transferred to the codec worker
+        const inspection = { fileName, report: DDSDecoder.inspect(buffer) };
+        this.lastDDSInspection = inspection;
+
+        let decoded;
+        try {
+            decoded = await DDSCodec.decode(buffer);
+        } catch (err) {
+            err.inspection = inspection;
+            throw err;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = decoded.width;
+        canvas.height = decoded.height;
+        canvas.getContext('2d').putImageData(new ImageData(decoded.data, decoded.width, decoded.height), 0, 0);
+
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.ddsFormat = decoded.format; // Lets setBaseLayer pick a fitting channel view
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error("Could not create image from DDS data"));
+            img.src = canvas.toDataURL();
+        });
+    }
+
+    // Opens the inspector on the failed file; errors without an inspection fall back to an alert
+    showDDSError(err) {
+        if (err.inspection) {
+            this.openDDSInspector(err.inspection, err);
+        } else {
+            alert("Error loading DDS: " + err.message);
+        }
+    }
+
+    // Suggests a fix for a DDSError code
+    ddsErrorHint(err) {
+        const details = err.details || {};
+        switch (err.code) {
+            case 'TOO_SMALL':
+            case 'TRUNCATED':
+                return "The file is incomplete. Re-download it or export it again.";
+            case 'BAD_MAGIC':
+                return "This is not a DDS file, even if it is named .dds. Convert it to DDS, or import it as an image layer with its real extension.";
+            case 'BAD_DIMENSIONS':
+                return "The header has no valid size. The exporter that wrote this file is broken; re-save it with another tool.";
+            case 'UNSUPPORTED_DXGI_FORMAT':
+            case 'UNSUPPORTED_FOURCC':
+                if (details.name && details.name.startsWith('BC6H')) {
+                    return "BC6H is an HDR format used for skies and lighting, not vehicle skins. Re-save the texture as BC7 or BC3/DXT5.";
+                }
+                return "Re-save the texture as BC7, BC3/DXT5, BC1/DXT1 or uncompressed RGBA.";
+            case 'UNSUPPORTED_PIXEL_FORMAT':
+            case 'UNSUPPORTED_BIT_COUNT':
+                return "Re-save the texture as uncompressed 32-bit RGBA or a BC format.";
+            default:
+                return "";
+        }
+    }
+
+    inspectDDSFile(file) {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            this.openDDSInspector({ fileName: file.name, report: DDSDecoder.inspect(event.target.result) });
+        };
+        reader.readAsArrayBuffer(file);
+    }
+
+    openDDSInspector(inspection, err = null) {
+        this.renderDDSInspection(inspection, err);
+        document.getElementById('dds-inspector-modal').style.display = 'flex';
+    }
+
+    renderDDSInspection(inspection, err = null) {
+        const container = document.getElementById('dds-inspector-report');
+        container.innerHTML = '';
+        if (!inspection) {
+            container.textContent = "No DDS file opened yet.";
+            return;
+        }
+
+        const { fileName, report } = inspection;
+        const hex = (v) => '0x' + v.toString(16).toUpperCase().padStart(8, '0');
+        const withNames = (v, names) => hex(v) + (names.length ? ` (${names.join(' | ')})` : '');
+        const addSection = (title, rows) => {
+            const heading = document.createElement('h3');
+            heading.textContent = title;
+            const table = document.createElement('div');
+            table.className = 'dds-report-table';
+            rows.forEach(([label, value]) => {
+                const labelEl = document.createElement('div');
+                labelEl.textContent = label;
+                const valueEl = document.createElement('div');
+                valueEl.className = 'value';
+                valueEl.textContent = value;
+                table.append(labelEl, valueEl);
+            });
+            container.append(heading, table);
+        };
+        const addNote = (className, text) => {
+            const note = document.createElement('div');
+            note.className = className;
+            note.textContent = text;
+            container.appendChild(note);
+        };
+
+        // Diagnostics first: they are why the inspector is usually open
+        const heading = document.createElement('h3');
+        heading.textContent = "Diagnostics";
+        container.appendChild(heading);
+        const error = err || report.error;
+        if (error) {
+            const hint = this.ddsErrorHint(error);
+            addNote('dds-report-error', `${error.message}${error.code ? ` [${error.code}]` : ''}${hint ? `\n${hint}` : ''}`);
+        }
+        report.warnings.forEach(warning => addNote('dds-report-warning', warning));
+        if (!error && report.warnings.length === 0) addNote('', "No problems found.");
+
+        const d = report.derived;
+        addSection("File", [
+            ["Name", fileName],
+            ["Size", `${report.fileSize.toLocaleString()} bytes`],
+            ...(d ? [
+                ["Format", d.format + (report.dx10 ? ` (${report.dx10.dxgiName})` : '')],
+                ["Color Space", d.colorSpace],
+                ["Mip Levels", `${d.completeLevels} of ${d.mipmapCount} present`],
+                ["Pixel Data", `${d.actualDataSize.toLocaleString()} of ${d.expectedDataSize.toLocaleString()} bytes at offset ${d.dataOffset}`]
+            ] : [])
+        ]);
+
+        const h = report.header;
+        if (h) {
+            addSection("Header", [
+                ["Magic", JSON.stringify(h.magic)],
+                ["Header Size", h.size],
+                ["Flags", withNames(h.flags, h.flagNames)],
+                ["Width x Height", `${h.width} x ${h.height}`],
+                ["Pitch / Linear Size", h.pitchOrLinearSize],
+                ["Depth", h.depth],
+                ["Mip Count", h.mipmapCount],
+                ["Caps", withNames(h.caps, h.capsNames)],
+                ["Caps2", hex(h.caps2)]
+            ]);
+            const pf = report.pixelFormat;
+            addSection("Pixel Format", [
+                ["Flags", withNames(pf.flags, pf.flagNames)],
+                ["FourCC", pf.fourCC === null ? '(none)' : JSON.stringify(pf.fourCC)],
+                ["Bit Count", pf.bitCount],
+                ["Masks (R G B A)", [pf.rMask, pf.gMask, pf.bMask, pf.aMask].map(hex).join(' ')]
+            ]);
+        }
+
+        const dx10 = report.dx10;
+        if (dx10) {
+            addSection("DX10 Header", [
+                ["DXGI Format", `${dx10.dxgiFormat} (${dx10.dxgiName})`],
+                ["Resource Dimension", dx10.resourceDimension],
+                ["Misc Flag", hex(dx10.miscFlag)],
+                ["Array Size", dx10.arraySize],
+                ["Alpha Mode", dx10.alphaMode]
+            ]);
+        }
+    }
+
     handleBaseUpload(e) {
         const file = e.target.files[0];
         if (!file) return;
+        const isDDS = file.name.toLowerCase().endsWith('.dds');
         const reader = new FileReader();
         reader.onload = (event) => {
+            if (isDDS) {
+                this.decodeDDSImage(event.target.result, file.name)
+                    .then(img => {
+                        this.setBaseLayer(img, file.name);
+                        this.render();
+                    })
+                    .catch(err => this.showDDSError(err));
+                return;
+            }
             const img = new Image();
             img.onload = () => this.setBaseLayer(img);
             img.src = event.target.result;
         };
-        reader.readAsDataURL(file);
+        if (isDDS) {
+            reader.readAsArrayBuffer(file);
+        } else {
+            reader.readAsDataURL(file);
+        }
+        e.target.value = ''; // Allow re-uploading same file
     }
 
     setBaseLayer(img, name = 'Base Texture') {
@@ -2225,6 +2814,10 @@ class LiveryEditor {
                 isBase: true, locked: true
             });
         }
+        this.commit('Load Base Texture');
+        // BC5 textures are two-channel normal maps; preview them with Z rebuilt unless a view was chosen
+        if (img.ddsFormat === 'BC5' && this.channelView.mode === 'rgba') this.setChannelView('normal');
+        this.updateExportSizeLabel();
         this.updateLayerList();
         this.resetView();
     }
@@ -2235,51 +2828,53 @@ class LiveryEditor {
         e.target.value = ''; // Allow re-importing same file
     }
 
+    addImageLayer(img, name) {
+        const layer = {
+            id: this.nextLayerId(),
+            name: name, type: 'image', img: img,
+            x: this.virtualWidth / 2, y: this.virtualHeight / 2,
+            width: img.width, height: img.height,
+            rotation: 0, opacity: 1, scale: 1,
+            flipX: false, flipY: false,
+            hue: 0, saturation: 100, brightness: 100,
+            isBase: false, locked: false
+        };
+        this.layers.push(layer);
+        this.commit(`Add ${name}`);
+        this.setActiveLayer(layer.id);
+        this.setTool('move');
+    }
+
     addLayersFromFiles(fileList) {
         Array.from(fileList).forEach(file => {
+            if (file.name.toLowerCase().endsWith('.zip')) {
+                this.importMod(() => ZipReader.open(file));
+                return;
+            }
+            if (file.name.toLowerCase().endsWith(PROJECT_EXTENSION)) {
+                this.openProjectFile(file);
+                return;
+            }
             const isDDS = file.name.toLowerCase().endsWith('.dds');
             const reader = new FileReader();
 
             reader.onload = (event) => {
                 if (isDDS) {
-                    try {
-                        const buffer = event.target.result;
-                        const decoded = DDSDecoder.decode(buffer);
-
-                        const canvas = document.createElement('canvas');
-                        canvas.width = decoded.width;
-                        canvas.height = decoded.height;
-                        const ctx = canvas.getContext('2d');
-
-                        const imageData = new ImageData(decoded.data, decoded.width, decoded.height);
-                        ctx.putImageData(imageData, 0, 0);
-
-                        const img = new Image();
-                        img.onload = () => {
-                            this.setBaseLayer(img, file.name); // Usually DDS is base, but we might want to support DDS layers too? Assumed base for now if DDS? Code assumed base.
-                            this.render();
-                        };
-                        img.src = canvas.toDataURL();
-                    } catch (err) {
-                        alert("Error loading DDS: " + err.message);
-                    }
+                    // Without a template the DDS becomes the base; otherwise it is imported as a layer
+                    // (e.g. re-opening an exported livery on top of the vehicle template)
+                    this.decodeDDSImage(event.target.result, file.name)
+                        .then(img => {
+                            if (this.layers.some(l => l.isBase)) {
+                                this.addImageLayer(img, file.name);
+                            } else {
+                                this.setBaseLayer(img, file.name);
+                                this.render();
+                            }
+                        })
+                        .catch(err => this.showDDSError(err));
                 } else {
                     const img = new Image();
-                    img.onload = () => {
-                        const layer = {
-                            id: Date.now() + Math.random(), // Ensure unique ID for batch imports
-                            name: file.name, type: 'image', img: img,
-                            x: this.virtualWidth / 2, y: this.virtualHeight / 2,
-                            width: img.width, height: img.height,
-                            rotation: 0, opacity: 1, scale: 1,
-                            flipX: false, flipY: false,
-                            hue: 0, saturation: 100, brightness: 100,
-                            isBase: false, locked: false
-                        };
-                        this.layers.push(layer);
-                        this.setActiveLayer(layer.id);
-                        this.setTool('move');
-                    };
+                    img.onload = () => this.addImageLayer(img, file.name);
                     img.src = event.target.result;
                 }
             };
@@ -2294,11 +2889,118 @@ class LiveryEditor {
 
     handleDrop(e) {
         e.preventDefault();
+        // A dropped folder is an unpacked mod; entries must be taken before the event ends
+        const entries = Array.from(e.dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(Boolean);
+        if (entries.some(entry => entry.isDirectory)) {
+            this.importMod(() => this.readDroppedEntries(entries));
+            return;
+        }
         if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
             this.addLayersFromFiles(e.dataTransfer.files);
         }
     }
 
+    // Map(path -> async () => Uint8Array) of every file below the dropped entries, as ZipReader.open() returns
+    async readDroppedEntries(entries) {
+        const files = new Map();
+        const visit = async (entry) => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                files.set(entry.fullPath.replace(/^\//, ''), async () => new Uint8Array(await file.arrayBuffer()));
+                return;
+            }
+            // readEntries() returns directory contents in batches until it comes back empty
+            const reader = entry.createReader();
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) await visit(child);
+            } while (batch.length);
+        };
+        for (const entry of entries) await visit(entry);
+        return files;
+    }
+
+    readFolderInput(e) {
+        const files = Array.from(e.target.files || []);
+        e.target.value = '';
+        if (!files.length) return;
+        this.importMod(async () => new Map(files.map(file =>
+            [file.webkitRelativePath || file.name, async () => new Uint8Array(await file.arrayBuffer())])));
+    }
+
+    // Opens a published skin mod (zip or unpacked folder) for editing: its texture becomes the base
+    // layer, the vehicle and variant are selected and the Export Mod details are pre-filled
+    async importMod(getEntries) {
+        try {
+            const entries = await getEntries();
+            const mod = await ModReader.analyze(entries);
+            const notes = [];
+            let skinId = mod.skin.globalSkin;
+            let name = mod.skin.name;
+
+            const vehicleData = this.manifest && this.manifest.vehicles &&
+                this.manifest.vehicles.find(v => v.id.toLowerCase() === mod.vehicle.toLowerCase());
+            if (vehicleData) {
+                document.getElementById('vehicle-select').value = vehicleData.id;
+                this.populateSkins(vehicleData.id, await this.detectBestSkinPath(vehicleData.id));
+
+                // Variant skins are named '<id><suffix>' (e.g. 'myliveryBOX' for SKINNAMEBOX); use the longest match
+                const skinSelect = document.getElementById('skin-select');
+                let variant = null;
+                Array.from(skinSelect.options).forEach(opt => {
+                    const suffix = ModPackager.variantOf(opt.value).replace(/^skinname/, '');
+                    if (suffix && skinId.length > suffix.length && skinId.toLowerCase().endsWith(suffix) &&
+                        (!variant || suffix.length > variant.suffix.length)) variant = { value: opt.value, suffix };
+                });
+                if (variant) {
+                    skinSelect.value = variant.value;
+                    skinId = skinId.slice(0, -variant.suffix.length);
+                    name = name.replace(/\s*\([^)]*\)$/, ''); // "My Livery (Box)" -> "My Livery"
+                }
+            } else {
+                notes.push(`The vehicle "${mod.vehicle}" is not in the vehicle list; the texture was loaded, but Export Mod cannot rebuild this mod.`);
+            }
+
+            // Copy the bytes: a zip entry may be a view of the whole archive, and DDS decoding transfers its buffer
+            const fileName = mod.primary.split('/').pop();
+            const bytes = (await mod.read(mod.primary)).slice();
+            let img;
+            if (fileName.toLowerCase().endsWith('.dds')) {
+                img = await this.decodeDDSImage(bytes.buffer, fileName);
+            } else {
+                const url = URL.createObjectURL(new Blob([bytes]));
+                img = await new Promise((resolve, reject) => {
+                    const image = new Image();
+                    image.onload = () => resolve(image);
+                    image.onerror = () => reject(new Error(`Could not decode ${fileName}`));
+                    image.src = url;
+                });
+            }
+            this.setBaseLayer(img, fileName);
+            this.render();
+
+            document.getElementById('export-name').value = fileName.replace(/\.[^.]+$/, '');
+            document.getElementById('mod-skin-id').value = skinId;
+            document.getElementById('mod-display-name').value = name;
+            document.getElementById('mod-author').value = mod.skin.author;
+            document.getElementById('mod-description').value = mod.skin.description === name ? '' : mod.skin.description;
+
+            const others = mod.textures.filter(path => path !== mod.primary);
+            if (others.length) {
+                notes.push(`Opened ${fileName}. The mod also contains ${others.map(path => path.split('/').pop()).join(', ')}, which were not loaded.`);
+            }
+            const issues = await ModValidator.validate(entries);
+            if (issues.length || notes.length) this.showModValidation(issues, { notes });
+        } catch (e) {
+            console.error("Mod import failed:", e);
+            if (e.inspection) this.showDDSError(e);
+            else alert("Error: Could not open the mod: " + e.message);
+        }
+    }
+
     handlePaste(e) {
         if (e.clipboardData && e.clipboardData.items) {
             const items = e.clipboardData.items;
@@ -2321,6 +3023,13 @@ class LiveryEditor {
         const layer = this.layers.find(l => l.id === this.activeLayerId);
         if (!layer || layer.isBase) return;
 
+        this.clipboard = this.toClipboard(layer);
+        if (layer.type === 'group') {
+            this.clipboard.children = this.groupChildren(layer).map(child => this.toClipboard(child));
+        }
+    }
+
+    toClipboard(layer) {
         // Create deep copy for clipboard
         const clone = { ...layer };
 
@@ -2344,17 +3053,48 @@ class LiveryEditor {
         // Remove runtime unique props
         delete clone.id;
         delete clone.mirrorLayerId;
+        delete clone.groupId;
 
-        this.clipboard = clone;
+        return clone;
     }
 
     pasteLayer() {
         if (!this.clipboard) return;
         const source = this.clipboard;
+        const layer = this.fromClipboard(source);
+        layer.name = source.name + ' (Copy)';
+        const children = (source.children || []).map(child => {
+            const copy = this.fromClipboard(child);
+            copy.groupId = layer.id;
+            return copy;
+        });
+        delete layer.children;
+
+        // Insert above active or at top. A pasted group goes above the active layer's group; any
+        // other layer joins the active layer's group.
+        const active = this.layers.find(l => l.id === this.activeLayerId);
+        let anchor = active;
+        if (active && layer.type === 'group') {
+            anchor = this.groupOf(active) || active;
+        } else if (active && (active.type === 'group' || active.groupId !== undefined)) {
+            layer.groupId = active.type === 'group' ? active.id : active.groupId;
+        }
+        const activeIndex = this.layers.indexOf(anchor);
+        if (activeIndex !== -1) {
+            this.layers.splice(activeIndex + 1, 0, ...children, layer);
+        } else {
+            this.layers.push(...children, layer);
+        }
+        this.normalizeGroups();
 
+        this.setActiveLayer(layer.id);
+        this.render();
+        this.commit(`Paste ${layer.name}`);
+    }
+
+    fromClipboard(source) {
         const layer = { ...source };
-        layer.id = Date.now();
-        layer.name = source.name + ' (Copy)';
+        layer.id = this.nextLayerId();
         layer.x += 20;
         layer.y += 20;
 
@@ -2375,186 +3115,1425 @@ class LiveryEditor {
 
             delete layer.cachedCanvasStart;
         }
-
-        // Insert above active or at top
-        const activeIndex = this.layers.findIndex(l => l.id === this.activeLayerId);
-        if (activeIndex !== -1) {
-            this.layers.splice(activeIndex + 1, 0, layer);
-        } else {
-            this.layers.push(layer);
-        }
-
-        this.setActiveLayer(layer.id);
-        this.render();
-        this.saveState();
+        return layer;
     }
 
-    exportImage() {
-        try {
-            const expCanvas = document.createElement('canvas');
-            expCanvas.width = this.virtualWidth;
-            expCanvas.height = this.virtualHeight;
-            const expCtx = expCanvas.getContext('2d');
+    setExportProgress(progress, label) {
+        const percent = Math.round(progress * 100);
+        document.getElementById('export-progress-bar').style.width = percent + '%';
+        if (label) this.exportProgressLabel = label;
+        document.getElementById('export-progress-label').textContent = `${this.exportProgressLabel} ${percent}%`;
+    }
 
-            this.layers.forEach(layer => this.drawLayer(expCtx, layer));
+    // Shows the options that apply to the chosen export file type
+    updateExportFileType(fileType) {
+        const isDDS = fileType === 'DDS';
+        const extension = EXPORT_FILE_TYPES[fileType].extension;
+        document.getElementById('export-dds-options').style.display = isDDS ? 'flex' : 'none';
+        document.getElementById('export-image-options').style.display = isDDS ? 'none' : 'flex';
+        document.getElementById('export-rle-option').style.display = fileType === 'TGA' ? 'flex' : 'none';
+        document.getElementById('export-ext').textContent = extension;
+        document.getElementById('export-btn-label').textContent = 'Export ' + extension.toUpperCase();
+    }
 
-            const imageData = expCtx.getImageData(0, 0, expCanvas.width, expCanvas.height);
-            const ddsBuffer = DDSEncoder.encode(imageData);
-            const blob = new Blob([ddsBuffer], { type: 'application/octet-stream' });
+    // Output size from the Export Size controls: a fixed longest side or a percentage, optionally
+    // snapped to powers of two, and never over EXPORT_MAX_SIZE
+    getExportSize() {
+        const mode = document.getElementById('export-size-mode').value;
+        let scale = 1;
+        if (mode === 'percent') {
+            const percent = Math.min(400, Math.max(1, parseFloat(document.getElementById('export-size-percent').value) || 100));
+            scale = percent / 100;
+        } else if (mode !== 'original') {
+            scale = parseInt(mode) / Math.max(this.virtualWidth, this.virtualHeight);
+        }
+        scale = Math.min(scale, EXPORT_MAX_SIZE / Math.max(this.virtualWidth, this.virtualHeight));
 
-            const link = document.createElement('a');
-            const filenameObj = document.getElementById('export-name');
-            const filename = (filenameObj && filenameObj.value) ? filenameObj.value : 'livery-skin';
-            link.download = filename + '.dds';
-            link.href = URL.createObjectURL(blob);
-            link.click();
-        } catch (e) {
-            console.error(e);
-            alert("Export failed: " + e.message);
+        let width = Math.max(1, Math.round(this.virtualWidth * scale));
+        let height = Math.max(1, Math.round(this.virtualHeight * scale));
+        if (document.getElementById('export-size-pot').checked) {
+            width = Math.min(EXPORT_MAX_SIZE, 2 ** Math.round(Math.log2(width)));
+            height = Math.min(EXPORT_MAX_SIZE, 2 ** Math.round(Math.log2(height)));
         }
+        return { width, height };
+    }
+
+    updateExportSizeLabel() {
+        const mode = document.getElementById('export-size-mode').value;
+        document.getElementById('export-size-percent').style.display = mode === 'percent' ? 'block' : 'none';
+        const { width, height } = this.getExportSize();
+        document.getElementById('export-size-result').textContent = `${width} × ${height}`;
+        this.updateExportEstimate();
+    }
+
+    updateExportEstimate() {
+        const label = document.getElementById('export-time-estimate');
+        const isBC7 = document.getElementById('export-filetype').value === 'DDS'
+            && document.getElementById('export-format').value === 'BC7';
+        if (!isBC7) {
+            label.textContent = '';
+            return;
+        }
+        const { width, height } = this.getExportSize();
+        const seconds = DDSEncoder.estimateBC7Seconds(width, height,
+            document.getElementById('export-quality').value, !!document.getElementById('export-mips').value);
+        label.textContent = seconds < 60 ? `est. ~${Math.max(1, Math.round(seconds))} s` : `est. ~${Math.round(seconds / 60)} min`;
+    }
+
+    // A raster source pre-scaled to the pixel size it covers on ctx, so the export's resampling
+    // filter is used instead of the browser's. renderExport() first draws with this.resampled empty,
+    // which queues each layer's source and size, resamples them in the codec worker, then draws again.
+    resampleRasterSource(ctx, source, layer) {
+        const m = ctx.getTransform();
+        const width = Math.max(1, Math.round(layer.width * Math.hypot(m.a, m.b)));
+        const height = Math.max(1, Math.round(layer.height * Math.hypot(m.c, m.d)));
+        const srcWidth = source.naturalWidth || source.width;
+        const srcHeight = source.naturalHeight || source.height;
+        if (!this.resampled || !srcWidth || !srcHeight || (width === srcWidth && height === srcHeight)) return source;
+
+        const entry = this.resampled.get(layer);
+        if (!entry) this.resampled.set(layer, { source, width, height, canvas: null });
+        return entry && entry.canvas && entry.width === width && entry.height === height ? entry.canvas : source;
+    }
+
+    // Resamples the sources queued by resampleRasterSource() in the codec worker
+    async resampleQueuedSources(filter) {
+        const entries = [...this.resampled.values()];
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            this.setExportProgress(i / entries.length, "Resampling layers...");
+            const srcCanvas = document.createElement('canvas');
+            srcCanvas.width = entry.source.naturalWidth || entry.source.width;
+            srcCanvas.height = entry.source.naturalHeight || entry.source.height;
+            const srcCtx = srcCanvas.getContext('2d');
+            srcCtx.drawImage(entry.source, 0, 0);
+            const resized = await DDSCodec.resize(srcCtx.getImageData(0, 0, srcCanvas.width, srcCanvas.height),
+                entry.width, entry.height, filter, { signal: this.exportController && this.exportController.signal });
+
+            entry.canvas = document.createElement('canvas');
+            entry.canvas.width = entry.width;
+            entry.canvas.height = entry.height;
+            entry.canvas.getContext('2d').putImageData(new ImageData(resized.data, entry.width, entry.height), 0, 0);
+            entry.source = null;
+        }
+    }
+
+    // Renders every layer at the export size: vector layers redraw natively, raster layers are resampled.
+    // For palette skins, paint slot layers are drawn white so the in-game paint colour tints them.
+    async renderExport({ paintSlotsAsWhite = false } = {}) {
+        const { width, height } = this.getExportSize();
+        const resample = document.getElementById('export-resample').value;
+        const expCanvas = document.createElement('canvas');
+        expCanvas.width = width;
+        expCanvas.height = height;
+        const expCtx = expCanvas.getContext('2d');
+        expCtx.imageSmoothingEnabled = resample !== 'nearest';
+        expCtx.imageSmoothingQuality = 'high';
+        expCtx.scale(width / this.virtualWidth, height / this.virtualHeight);
+
+        const filter = resample in MIP_FILTERS ? resample : null;
+        const drawLayers = (ctx) => this.drawLayerStack(ctx, this.layers, (ctx, layer) => {
+            if (paintSlotsAsWhite && layer.paintSlot) this.drawPaintSlotLayer(ctx, layer, '#ffffff', filter);
+            else this.drawLayer(ctx, layer, true, filter);
+        });
+
+        if (!filter) {
+            drawLayers(expCtx);
+            return expCanvas;
+        }
+        this.resampled = new Map(); // layer -> { source, width, height, canvas }
+        try {
+            // The queuing pass only needs the transforms, so it draws into a 1×1 canvas
+            const probe = document.createElement('canvas');
+            probe.width = probe.height = 1;
+            const probeCtx = probe.getContext('2d');
+            probeCtx.scale(width / this.virtualWidth, height / this.virtualHeight);
+            drawLayers(probeCtx);
+
+            // Let the modal paint first; without workers the resampling blocks the main thread
+            this.setExportProgress(0, "Resampling layers...");
+            document.getElementById('export-progress-modal').style.display = 'flex';
+            await new Promise(resolve => setTimeout(resolve, 0));
+            await this.resampleQueuedSources(filter);
+            drawLayers(expCtx);
+        } finally {
+            this.resampled = null;
+        }
+        return expCanvas;
+    }
+
+    // Encodes a rendered export canvas as a Blob of the given file type, using the export panel's options
+    async encodeExport(canvas, fileType, alpha) {
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const { mimeType } = EXPORT_FILE_TYPES[fileType];
+
+        if (fileType === 'PNG') {
+            // The browser's PNG writer is lossless; only an opaque export needs the pixels touched
+            if (!alpha) {
+                for (let i = 3; i < imageData.data.length; i += 4) imageData.data[i] = 255;
+                ctx.putImageData(imageData, 0, 0);
+            }
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, mimeType));
+            if (!blob) throw new Error("The browser could not encode the PNG");
+            return blob;
+        }
+
+        const options = fileType === 'DDS' ? {
+            format: document.getElementById('export-format').value,
+            quality: document.getElementById('export-quality').value,
+            mipFilter: document.getElementById('export-mips').value,
+            preserveAlphaCoverage: document.getElementById('export-alpha-coverage').checked
+        } : {
+            format: fileType,
+            alpha,
+            rle: document.getElementById('export-tga-rle').checked
+        };
+
+        this.setExportProgress(0, `Encoding ${options.format}...`);
+        document.getElementById('export-progress-modal').style.display = 'flex';
+        const buffer = await DDSCodec.encode(imageData, options, {
+            onProgress: (progress) => this.setExportProgress(progress),
+            signal: this.exportController.signal
+        });
+        return new Blob([buffer], { type: mimeType });
+    }
+
+    downloadBlob(blob, fileName) {
+        const link = document.createElement('a');
+        link.download = fileName;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+    }
+
+    async exportImage() {
+        if (this.exportController) return; // Export already running
+
+        this.exportController = new AbortController();
+        try {
+            const canvas = await this.renderExport();
+            const fileType = document.getElementById('export-filetype').value;
+            const blob = await this.encodeExport(canvas, fileType, document.getElementById('export-alpha').checked);
+
+            const filenameObj = document.getElementById('export-name');
+            const filename = (filenameObj && filenameObj.value) ? filenameObj.value : 'livery-skin';
+            this.downloadBlob(blob, filename + EXPORT_FILE_TYPES[fileType].extension);
+        } catch (e) {
+            if (e.name === 'AbortError') return;
+            console.error(e);
+            alert("Export failed: " + e.message);
+        } finally {
+            this.exportController = null;
+            document.getElementById('export-progress-modal').style.display = 'none';
+        }
+    }
+
+    async openModExport() {
+        const vehicle = document.getElementById('vehicle-select').value;
+        if (!vehicle) {
+            alert("Select a vehicle first: the mod is built from that vehicle's template.");
+            return;
+        }
+        const vehicleSelect = document.getElementById('vehicle-select');
+        const skinSelect = document.getElementById('skin-select');
+        const target = `${vehicleSelect.options[vehicleSelect.selectedIndex].text} · ${skinSelect.options[skinSelect.selectedIndex].text}`;
+        const textureOnly = await ModPackager.textureOnlyReason(vehicle, skinSelect.value).catch(() => null);
+        if (textureOnly) {
+            alert(`Export Mod is not available for ${target}: ${textureOnly}. Use Export to save the texture and add it to a mod by hand.`);
+            return;
+        }
+
+        // Suggest the skin ID from an export name like 'pickup.skin.myskin'
+        const skinIdInput = document.getElementById('mod-skin-id');
+        const nameMatch = document.getElementById('export-name').value.match(/\.skin\.([A-Za-z0-9_]+)$/);
+        if (!skinIdInput.value && nameMatch && nameMatch[1] !== 'SKINNAME') skinIdInput.value = nameMatch[1];
+
+        document.getElementById('mod-export-target').textContent = target;
+        document.getElementById('mod-export-modal').style.display = 'flex';
+        this.updateOpacityPreview();
+        this.updateThumbnailPreview();
+        skinIdInput.focus();
+
+        // Show the template's own values as placeholders; empty fields keep them
+        ModPackager.loadConfigDefaults(vehicle).then(({ population, years }) => {
+            document.getElementById('mod-config-population').placeholder = population === null ? 'Population' : `Population (${population})`;
+            document.getElementById('mod-config-year-min').placeholder = years ? `From (${years.min})` : 'From year';
+            document.getElementById('mod-config-year-max').placeholder = years ? `To (${years.max})` : 'To year';
+        }).catch(e => console.warn("Could not read the template's vehicle info:", e.message));
+    }
+
+    confirmModExport() {
+        const details = {
+            skinId: document.getElementById('mod-skin-id').value.trim(),
+            name: document.getElementById('mod-display-name').value.trim(),
+            author: document.getElementById('mod-author').value.trim(),
+            description: document.getElementById('mod-description').value.trim(),
+            baseFinish: document.getElementById('mod-base-finish').value,
+            opacity: document.getElementById('mod-opacity-enabled').checked ? this.getOpacityOptions() : null,
+            config: this.getConfigDetails(),
+            thumbnail: document.getElementById('mod-thumbnail-enabled').checked
+        };
+        if (!SKIN_ID_PATTERN.test(details.skinId)) {
+            alert("Error: The skin ID may only contain letters, numbers and underscores (no spaces).");
+            return;
+        }
+        const { years } = details.config;
+        if (years && (!Number.isFinite(years.max) || years.max < years.min)) {
+            alert("Error: Enter both years, with the first no later than the second.");
+            return;
+        }
+        if (!details.name) details.name = details.skinId;
+        if (!details.author) details.author = 'Unknown';
+
+        document.getElementById('mod-export-modal').style.display = 'none';
+        this.exportMod(details);
+    }
+
+    // Vehicle selector fields from the Export Mod dialog, in the form ModPackager.applyConfig() takes
+    getConfigDetails() {
+        const number = (id) => parseInt(document.getElementById(id).value);
+        const yearMin = number('mod-config-year-min');
+        const yearMax = number('mod-config-year-max');
+        return {
+            configuration: document.getElementById('mod-config-name').value.trim(),
+            description: document.getElementById('mod-description').value.trim(),
+            population: number('mod-config-population'),
+            years: Number.isFinite(yearMin) || Number.isFinite(yearMax)
+                ? { min: Number.isFinite(yearMin) ? yearMin : yearMax, max: Number.isFinite(yearMax) ? yearMax : yearMin }
+                : null
+        };
+    }
+
+    // The design fitted into a vehicle selector thumbnail. Paint slot layers use the Paint Preview colours.
+    renderThumbnail(width = CONFIG_THUMBNAIL_SIZE.width, height = CONFIG_THUMBNAIL_SIZE.height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#1e1e1e';
+        ctx.fillRect(0, 0, width, height);
+
+        const scale = Math.min(width / this.virtualWidth, height / this.virtualHeight);
+        ctx.translate((width - this.virtualWidth * scale) / 2, (height - this.virtualHeight * scale) / 2);
+        ctx.scale(scale, scale);
+        ctx.imageSmoothingQuality = 'high';
+        this.drawLayerStack(ctx, this.layers, (ctx, layer) => {
+            if (layer.hidden) return;
+            if (layer.paintSlot) this.drawPaintSlotLayer(ctx, layer, this.paintPreview.colors[layer.paintSlot - 1]);
+            else this.drawLayer(ctx, layer, true);
+        });
+        return canvas;
+    }
+
+    updateThumbnailPreview() {
+        const preview = document.getElementById('mod-thumbnail-preview');
+        const ctx = preview.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(this.renderThumbnail(), 0, 0, preview.width, preview.height);
+    }
+
+    // Renders each finish layer's coverage at the export size and adds the resulting _m / _r / _cc
+    // data maps to the mod, pointing the skin's material stage at them
+    async addFinishMaps(mod, width, height, baseFinish, layers) {
+        const paths = ModPackager.finishMapPaths(mod.texturePath);
+        const factors = { metallicFactor: 1, roughnessFactor: 1, clearCoatFactor: 1, clearCoatRoughnessFactor: 1 };
+        if (!ModPackager.applyStageMaps(mod.files, mod.texturePath, paths, factors)) {
+            throw new Error("No material stage in the template uses the skin texture, so finish maps cannot be applied");
+        }
+
+        const maps = new FinishMaps(width, height, baseFinish);
+        await this.forEachLayerCoverage(layers, width, height, "Building finish maps...",
+            (layer, pixels) => maps.add(layer.finish, pixels));
+
+        const pixels = maps.toMaps();
+        mod.files.set(paths.metallicMap, await this.dataMapBlob(pixels.metallic, width, height));
+        mod.files.set(paths.roughnessMap, await this.dataMapBlob(pixels.roughness, width, height));
+        mod.files.set(paths.clearCoatMap, await this.dataMapBlob(pixels.clearCoat, width, height));
+    }
+
+    // Renders each layer alone at the given size and passes its pixels to `callback`, with progress
+    async forEachLayerCoverage(layers, width, height, label, callback) {
+        this.setExportProgress(0, label);
+        document.getElementById('export-progress-modal').style.display = 'flex';
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        for (let i = 0; i < layers.length; i++) {
+            await new Promise(resolve => setTimeout(resolve, 0)); // Let the progress bar paint
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.clearRect(0, 0, width, height);
+            ctx.scale(width / this.virtualWidth, height / this.virtualHeight);
+            this.drawLayer(ctx, layers[i], true);
+            callback(layers[i], ctx.getImageData(0, 0, width, height).data);
+            this.setExportProgress((i + 1) / layers.length);
+        }
+    }
+
+    // Writes the colour palette map (paint slots 1-3 in R/G/B) and points the skin's stage at it, so
+    // the skin follows whatever paint colours the player picks
+    async addPaletteMap(mod, width, height) {
+        const path = ModPackager.dataMapPath(mod.texturePath, 'palette');
+        const applied = ModPackager.applyStageMaps(mod.files, mod.texturePath, { colorPaletteMap: path },
+            stage => ({ colorPaletteMapUseUV: stage.diffuseMapUseUV ?? 0 }));
+        if (!applied) {
+            throw new Error("No material stage in the template uses the skin texture, so the palette map cannot be applied");
+        }
+
+        const mask = new PaletteMask(width, height);
+        await this.forEachLayerCoverage(this.layers.filter(layer => layer.type !== 'group' && !this.isLayerHidden(layer)), width, height,
+            "Building palette map...", (layer, pixels) => mask.add(layer.paintSlot || 0, pixels));
+        mod.files.set(path, await this.dataMapBlob(mask.toPixels(), width, height));
+    }
+
+    // Encodes RGBA pixels as a lossless PNG data map
+    async dataMapBlob(pixels, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) throw new Error("The browser could not encode a data map");
+        return blob;
+    }
+
+    // Every visible layer except the base, composited at the given size (RGBA pixels)
+    renderCoverage(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(width / this.virtualWidth, height / this.virtualHeight);
+        this.drawLayerStack(ctx, this.layers, (ctx, layer) => {
+            if (!layer.isBase && !layer.hidden) this.drawLayer(ctx, layer, true);
+        });
+        return ctx.getImageData(0, 0, width, height).data;
+    }
+
+    getOpacityOptions() {
+        return {
+            threshold: parseInt(document.getElementById('mod-opacity-threshold').value) / 100,
+            feather: parseInt(document.getElementById('mod-opacity-feather').value)
+        };
+    }
+
+    // Small preview of the opacity map in the Export Mod dialog; feather is scaled to match the export
+    updateOpacityPreview() {
+        const enabled = document.getElementById('mod-opacity-enabled').checked;
+        document.getElementById('mod-opacity-options').style.display = enabled ? 'block' : 'none';
+        const { threshold, feather } = this.getOpacityOptions();
+        document.getElementById('mod-opacity-threshold-value').textContent = threshold ? `${Math.round(threshold * 100)}%` : 'Off';
+        document.getElementById('mod-opacity-feather-value').textContent = `${feather}px`;
+        if (!enabled) return;
+
+        const preview = document.getElementById('mod-opacity-preview');
+        const scale = 256 / Math.max(this.virtualWidth, this.virtualHeight);
+        preview.width = Math.max(1, Math.round(this.virtualWidth * scale));
+        preview.height = Math.max(1, Math.round(this.virtualHeight * scale));
+        const exportScale = preview.width / this.getExportSize().width;
+        const pixels = OpacityMap.build(this.renderCoverage(preview.width, preview.height), preview.width, preview.height,
+            { threshold, feather: feather * exportScale });
+        preview.getContext('2d').putImageData(new ImageData(pixels, preview.width, preview.height), 0, 0);
+    }
+
+    // Limits the skin to where the design has layers, so the player's paint shows through elsewhere
+    async addOpacityMap(mod, width, height, options) {
+        const path = ModPackager.dataMapPath(mod.texturePath, 'o');
+        if (!ModPackager.applyStageMaps(mod.files, mod.texturePath, { opacityMap: path })) {
+            throw new Error("No material stage in the template uses the skin texture, so the opacity map cannot be applied");
+        }
+
+        this.setExportProgress(0, "Building opacity map...");
+        document.getElementById('export-progress-modal').style.display = 'flex';
+        await new Promise(resolve => setTimeout(resolve, 0)); // Let the progress bar paint
+        const pixels = OpacityMap.build(this.renderCoverage(width, height), width, height, options);
+        mod.files.set(path, await this.dataMapBlob(pixels, width, height));
+        this.setExportProgress(1);
+    }
+
+    // Lists ModValidator issues (plus any notes) in the Mod Check dialog. With allowExport the user
+    // can export anyway; resolves to true if they do.
+    showModValidation(issues, { notes = [], allowExport = false } = {}) {
+        const modal = document.getElementById('mod-validation-modal');
+        const container = document.getElementById('mod-validation-report');
+        container.innerHTML = '';
+        const addNote = (className, text) => {
+            const note = document.createElement('div');
+            note.className = className;
+            note.textContent = text;
+            container.appendChild(note);
+        };
+
+        const errors = issues.filter(issue => issue.level === 'error').length;
+        addNote('', errors ? `${errors} problem${errors === 1 ? '' : 's'} will stop this skin from working in game.`
+            : (issues.length ? "No blocking problems, but check these warnings." : "No problems found."));
+        issues.forEach(issue => addNote(issue.level === 'error' ? 'dds-report-error' : 'dds-report-warning',
+            issue.file ? `${issue.file}\n${issue.message}` : issue.message));
+        notes.forEach(note => addNote('', note));
+
+        const exportBtn = document.getElementById('mod-validation-export');
+        const closeBtn = document.getElementById('mod-validation-close');
+        exportBtn.style.display = allowExport ? '' : 'none';
+        closeBtn.textContent = allowExport ? 'Cancel' : 'Close';
+        modal.style.display = 'flex';
+
+        return new Promise(resolve => {
+            const finish = (result) => {
+                modal.style.display = 'none';
+                exportBtn.onclick = null;
+                closeBtn.onclick = null;
+                resolve(result);
+            };
+            exportBtn.onclick = () => finish(true);
+            closeBtn.onclick = () => finish(false);
+        });
+    }
+
+    // Builds a mods/ zip from the selected vehicle's template with the livery as its skin texture
+    async exportMod(details) {
+        if (this.exportController) return; // Export already running
+
+        this.exportController = new AbortController();
+        try {
+            const mod = await ModPackager.prepare({
+                ...details,
+                vehicle: document.getElementById('vehicle-select').value,
+                skinPath: document.getElementById('skin-select').value
+            });
+            ModPackager.applyConfig(mod.files, details.skinId, details.config);
+            const { thumbnail } = ModPackager.configPaths(mod.files);
+            if (details.thumbnail && thumbnail) {
+                mod.files.set(thumbnail, await this.encodeExport(this.renderThumbnail(), 'PNG', false));
+            }
+
+            const paletteSkin = this.layers.some(layer => layer.paintSlot && !this.isLayerHidden(layer));
+            const canvas = await this.renderExport({ paintSlotsAsWhite: paletteSkin });
+            mod.files.set(mod.texturePath, await this.encodeExport(canvas, mod.textureType, true));
+            if (paletteSkin) await this.addPaletteMap(mod, canvas.width, canvas.height);
+
+            // Finishes replace the stock metallic / roughness / clear coat maps for this skin
+            const finishLayers = this.layers.filter(layer => layer.finish && !this.isLayerHidden(layer));
+            if (finishLayers.length || details.baseFinish) {
+                await this.addFinishMaps(mod, canvas.width, canvas.height, details.baseFinish || 'gloss', finishLayers);
+            }
+            if (details.opacity) await this.addOpacityMap(mod, canvas.width, canvas.height, details.opacity);
+
+            // Problems found here would only show up in game as the default paint
+            const issues = await ModValidator.validate(ModPackager.toEntries(mod.files));
+            if (issues.length) {
+                document.getElementById('export-progress-modal').style.display = 'none';
+                if (!(await this.showModValidation(issues, { allowExport: true }))) return;
+            }
+
+            this.setExportProgress(1, "Packaging mod...");
+            document.getElementById('export-progress-modal').style.display = 'flex';
+            const zip = await ModPackager.build(mod.files);
+            this.downloadBlob(zip, details.skinId + '.zip');
+        } catch (e) {
+            if (e.name === 'AbortError') return;
+            console.error(e);
+            alert("Mod export failed: " + e.message);
+        } finally {
+            this.exportController = null;
+            document.getElementById('export-progress-modal').style.display = 'none';
+        }
+    }
+
+    // Layer ids are Date.now()-based, but counted up past the last one handed out so layers made in the
+    // same millisecond (group children, batch duplicates and imports) never share an id
+    nextLayerId() {
+        this.lastLayerId = Math.max(Date.now(), this.lastLayerId + 1);
+        return this.lastLayerId;
     }
 
     addLayer(layer) {
         if (!layer) return;
         const activeIndex = this.layers.findIndex(l => l.id === this.activeLayerId);
         if (activeIndex !== -1) {
+            // New layers join the group of the layer they're added above
+            const active = this.layers[activeIndex];
+            if (active.type === 'group') layer.groupId = active.id;
+            else if (active.groupId !== undefined) layer.groupId = active.groupId;
             this.layers.splice(activeIndex + 1, 0, layer);
+            this.normalizeGroups();
         } else {
             this.layers.push(layer);
         }
         this.setActiveLayer(layer.id);
         this.render();
-        this.saveState();
+        this.commit(`Add ${layer.name}`);
+    }
+
+    // Records everything changed since the last step as one undoable action named `label`
+    commit(label) {
+        // Group boxes follow their children; a child edited on its own is folded into this step
+        this.layers.filter(l => l.type === 'group').forEach(group => this.fitGroupBounds(group));
+        if (this.history.record(label)) {
+            this.autosave.dirty = true;
+            this.updateHistoryList();
+        }
+        this.updateSelectionBox(); // Layers may have moved or changed, and a transform of the selection is over
+    }
+
+    async undo() {
+        this.commit('Edit'); // Changes not yet recorded (e.g. a field still being edited) undo first
+        try {
+            if (await this.history.undo()) this.afterHistoryChange();
+        } catch (e) {
+            console.error(e);
+            alert("Error: Could not undo. " + e.message);
+        }
+    }
+
+    async redo() {
+        this.commit('Edit');
+        try {
+            if (await this.history.redo()) this.afterHistoryChange();
+        } catch (e) {
+            console.error(e);
+            alert("Error: Could not redo. " + e.message);
+        }
+    }
+
+    afterHistoryChange() {
+        this.autosave.dirty = true;
+        if (!this.layers.some(l => l.id === this.activeLayerId)) this.activeLayerId = null;
+        this.selectedLayers = this.selectedLayers.filter(id => this.layers.some(l => l.id === id));
+        this.updateSelectionBox();
+        this.updateExportSizeLabel();
+        this.updateLayerList();
+        this.updateHistoryList();
+        this.updateControls();
+        this.render();
     }
 
-    saveState() {
-        // Remove any states after current index (when making new changes after undo)
-        this.history = this.history.slice(0, this.historyIndex + 1);
+    // Undoes or redoes until `count` steps are applied (0 is the start)
+    async jumpToStep(count) {
+        this.commit('Edit');
+        try {
+            await this.history.goTo(count);
+        } catch (e) {
+            console.error(e);
+            alert("Error: Could not jump to that step. " + e.message);
+        }
+        this.afterHistoryChange();
+    }
 
-        // Create a serializable clone of the layers
-        const serializedLayers = this.layers.map(layer => {
-            const clone = { ...layer };
-            if (layer.type === 'image' && layer.img) {
-                clone.imgSrc = layer.img.src;
-                delete clone.img;
-            }
-            if (layer.type === 'paint' && layer.canvas) {
-                clone.canvasData = layer.canvas.toDataURL();
-                delete clone.canvas;
-                delete clone.img; // Paint layers also have a preview img, remove it
+    takeSnapshot() {
+        this.commit('Edit');
+        const name = prompt("Snapshot name", `Snapshot ${this.history.snapshots.length + 1}`);
+        if (!name || !name.trim()) return;
+        this.history.takeSnapshot(name.trim());
+        this.showListTab('history');
+    }
+
+    // Restores a snapshot as a new step, so the steps after it can be redone differently
+    async restoreSnapshot(snapshot) {
+        this.commit('Edit');
+        try {
+            if (await this.history.restoreSnapshot(snapshot)) this.afterHistoryChange();
+        } catch (e) {
+            console.error(e);
+            alert("Error: Could not restore the snapshot. " + e.message);
+        }
+    }
+
+    showListTab(tab) {
+        document.getElementById('layers-tab').classList.toggle('active', tab === 'layers');
+        document.getElementById('history-tab').classList.toggle('active', tab === 'history');
+        document.getElementById('layer-list').style.display = tab === 'layers' ? '' : 'none';
+        document.getElementById('history-panel').style.display = tab === 'history' ? 'flex' : 'none';
+        if (tab === 'history') this.updateHistoryList();
+    }
+
+    // Snapshots first, then every step oldest to newest; undone steps stay listed until a new edit replaces them
+    updateHistoryList() {
+        const list = document.getElementById('history-list');
+        if (!list || list.offsetParent === null) return; // Rebuilt when the History tab is shown
+        list.innerHTML = '';
+
+        const addItem = (label, time, className, onclick) => {
+            const el = document.createElement('div');
+            el.className = `layer-item history-item ${className}`;
+            const name = document.createElement('div');
+            name.className = 'layer-name';
+            name.textContent = label;
+            name.title = label;
+            const when = document.createElement('div');
+            when.className = 'layer-actions';
+            when.textContent = time ? new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+            el.append(name, when);
+            el.onclick = onclick;
+            list.appendChild(el);
+            return el;
+        };
+
+        this.history.snapshots.forEach(snapshot => {
+            const el = addItem(`📷 ${snapshot.name}`, snapshot.time, 'history-snapshot', () => this.restoreSnapshot(snapshot));
+            el.title = 'Restore this snapshot';
+            const remove = document.createElement('div');
+            remove.className = 'layer-visibility';
+            remove.style.margin = '0 0 0 8px';
+            remove.textContent = '✕';
+            remove.title = 'Delete snapshot';
+            remove.onclick = (e) => {
+                e.stopPropagation();
+                this.history.deleteSnapshot(snapshot);
+                this.updateHistoryList();
+            };
+            el.appendChild(remove);
+        });
+
+        const current = this.history.undoStack.length;
+        const steps = [...this.history.undoStack, ...[...this.history.redoStack].reverse()];
+        addItem('Start', null, current === 0 ? 'active' : '', () => this.jumpToStep(0));
+        steps.forEach((command, i) => {
+            const className = `${i + 1 === current ? 'active' : ''} ${i >= current ? 'undone' : ''}`;
+            addItem(command.label, command.time, className, () => this.jumpToStep(i + 1));
+        });
+
+        const active = list.querySelector('.active');
+        if (active) active.scrollIntoView({ block: 'nearest' });
+    }
+
+    // --- Project Files ---
+    // The design as { doc, assets }: the project document and Map(path -> PNG Blob) of raster layer pixels
+    async serializeProject() {
+        const assets = new Map();
+        const layers = [];
+        for (const layer of this.layers) {
+            const data = { ...layer };
+            ['img', 'canvas', 'ctx'].forEach(key => delete data[key]);
+            const source = layer.canvas || layer.img;
+            if (source) {
+                data.asset = ProjectFile.layerAssetPath(layers.length);
+                assets.set(data.asset, await this.sourceToPNG(source));
+                if (source.ddsFormat) data.ddsFormat = source.ddsFormat;
             }
-            return clone;
+            layers.push(data);
+        }
+
+        const exportSettings = {};
+        PROJECT_EXPORT_FIELDS.forEach(id => {
+            const input = document.getElementById(id);
+            exportSettings[id] = input.type === 'checkbox' ? input.checked : input.value;
         });
 
-        const state = {
-            layers: serializedLayers,
-            width: this.virtualWidth,
-            height: this.virtualHeight
+        const doc = {
+            canvas: { width: this.virtualWidth, height: this.virtualHeight },
+            vehicle: {
+                id: document.getElementById('vehicle-select').value,
+                skin: document.getElementById('skin-select').value
+            },
+            export: exportSettings,
+            view: { ...this.view, channelView: this.channelView, paintPreview: this.paintPreview },
+            activeLayerId: this.activeLayerId,
+            layers
         };
-        this.history.push(state);
+        return { doc, assets };
+    }
 
-        // Limit history size
-        if (this.history.length > this.maxHistory) {
-            this.history.shift();
-        } else {
-            this.historyIndex++;
+    // Images never change once loaded, so their PNG is cached; canvases are painted on and re-encoded
+    async sourceToPNG(source) {
+        if (this.pngCache.has(source)) return this.pngCache.get(source);
+        const canvas = document.createElement('canvas');
+        canvas.width = source.naturalWidth || source.width;
+        canvas.height = source.naturalHeight || source.height;
+        canvas.getContext('2d').drawImage(source, 0, 0);
+        const png = await new Promise((resolve, reject) => canvas.toBlob(blob => {
+            if (blob) resolve(blob);
+            else reject(new Error("The browser could not encode a layer as PNG"));
+        }, 'image/png'));
+        if (source instanceof HTMLImageElement) this.pngCache.set(source, png);
+        return png;
+    }
+
+    // Loads as a data URL rather than an object URL, which would have to be revoked once no layer
+    // or undo step still uses the image
+    blobToImage(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error("A layer image in the project could not be decoded"));
+                img.src = reader.result;
+            };
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // Replaces the design with a project from ProjectFile.read(); history starts over
+    async loadProject({ doc, readAsset }) {
+        const layers = [];
+        for (const data of doc.layers || []) {
+            const layer = { ...data };
+            delete layer.asset;
+            delete layer.ddsFormat;
+            if (data.asset) {
+                const img = await this.blobToImage(await readAsset(data.asset));
+                if (data.ddsFormat) img.ddsFormat = data.ddsFormat;
+                if (layer.type === 'paint' || layer.type === 'raster') {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = img.width;
+                    canvas.height = img.height;
+                    const ctx = canvas.getContext('2d');
+                    ctx.drawImage(img, 0, 0);
+                    layer.canvas = canvas;
+                    layer.ctx = ctx;
+                }
+                layer.img = img;
+            }
+            layers.push(layer);
+        }
+
+        // The template selection is restored without reloading it: the base layer comes from the project
+        await this.manifestReady;
+        const vehicleSelect = document.getElementById('vehicle-select');
+        const { id: vehicle, skin } = doc.vehicle || {};
+        if (vehicle && [...vehicleSelect.options].some(option => option.value === vehicle)) {
+            vehicleSelect.value = vehicle;
+            this.populateSkins(vehicle, await this.detectBestSkinPath(vehicle));
+            const skinSelect = document.getElementById('skin-select');
+            if ([...skinSelect.options].some(option => option.value === skin)) skinSelect.value = skin;
+        }
+
+        Object.entries(doc.export || {}).forEach(([id, value]) => {
+            const input = PROJECT_EXPORT_FIELDS.includes(id) && document.getElementById(id);
+            if (!input) return;
+            if (input.type === 'checkbox') input.checked = !!value;
+            else input.value = value;
+            input.dispatchEvent(new Event('input'));
+            input.dispatchEvent(new Event('change'));
+        });
+
+        this.layers = layers;
+        this.virtualWidth = (doc.canvas && doc.canvas.width) || 2048;
+        this.virtualHeight = (doc.canvas && doc.canvas.height) || 2048;
+        this.activeLayerId = layers.some(layer => layer.id === doc.activeLayerId) ? doc.activeLayerId : null;
+        this.selectedLayers = [];
+        this.lastLayerId = Math.max(this.lastLayerId, ...layers.map(layer => layer.id).filter(Number.isFinite));
+        this.updateSelectionBox();
+        this.history.reset();
+
+        const { channelView, paintPreview, ...view } = doc.view || {};
+        if (Number.isFinite(view.zoom)) this.view = { x: view.x, y: view.y, zoom: view.zoom };
+        if (paintPreview) {
+            document.getElementById('paint-preview-enabled').checked = paintPreview.enabled;
+            paintPreview.colors.forEach((color, i) => {
+                document.getElementById(`paint-preview-${i + 1}`).value = color;
+            });
+            this.paintPreview = { enabled: paintPreview.enabled, colors: [...paintPreview.colors] };
+        }
+        this.setChannelView(channelView ? channelView.mode : 'rgba', channelView ? channelView.target : 'composite');
+
+        this.updateExportSizeLabel();
+        this.updateLayerList();
+        this.updateHistoryList();
+        this.updateControls();
+        this.updateZoomDisplay();
+        this.render();
+    }
+
+    setProject(name, handle, libraryId = null) {
+        this.project = { name, handle, libraryId };
+        document.title = `${name} - BeamNG Livery Studio`;
+    }
+
+    // Records the open project in Recent Projects, replacing its entry (or one with the same name).
+    // The file itself is already safe, so failures are only logged.
+    async addToLibrary(blob, doc) {
+        try {
+            let id = this.project.libraryId;
+            if (id === null) {
+                const existing = (await ProjectLibrary.list()).find(entry => entry.name === this.project.name);
+                if (existing) id = existing.id;
+            }
+            const thumbnail = await new Promise(resolve => this.renderThumbnail(PROJECT_THUMBNAIL_SIZE.width,
+                PROJECT_THUMBNAIL_SIZE.height).toBlob(resolve, 'image/png'));
+            this.project.libraryId = await ProjectLibrary.save({
+                id,
+                name: this.project.name,
+                vehicle: doc.vehicle.id,
+                width: doc.canvas.width,
+                height: doc.canvas.height,
+                thumbnail
+            }, blob);
+        } catch (e) {
+            console.warn("Recent projects:", e.message);
         }
     }
 
-    undo() {
-        if (this.historyIndex > 0) {
-            this.historyIndex--;
-            this.restoreState(this.history[this.historyIndex]);
+    async openProjectFile(file, handle = null) {
+        if (this.layers.length && !confirm("Opening a project replaces the current design. Continue?")) return;
+        try {
+            const project = await ProjectFile.read(file);
+            await this.loadProject(project);
+            this.setProject(file.name.replace(/\.livery$/i, ''), handle);
+            this.autosave.dirty = false;
+            this.addToLibrary(file, project.doc);
+        } catch (e) {
+            console.error(e);
+            alert("Error: Could not open the project. " + e.message);
         }
     }
 
-    redo() {
-        if (this.historyIndex < this.history.length - 1) {
-            this.historyIndex++;
-            this.restoreState(this.history[this.historyIndex]);
+    async openProject() {
+        if (!window.showOpenFilePicker) {
+            document.getElementById('project-open').click();
+            return;
+        }
+        let handle;
+        try {
+            [handle] = await window.showOpenFilePicker({
+                types: [{ description: 'Livery Project', accept: { 'application/zip': [PROJECT_EXTENSION] } }]
+            });
+        } catch (e) {
+            return; // Picker dismissed
         }
+        this.openProjectFile(await handle.getFile(), handle);
     }
 
-    restoreState(state) {
-        // Restore layers and dimensions from history
-        this.layers = state.layers.map(layerData => {
-            const layer = { ...layerData };
+    // Save writes back to the opened file where the browser allows it; otherwise it downloads the project
+    async saveProject(saveAs = false) {
+        if (!this.layers.length) {
+            alert("Nothing to save yet: load a template or add a layer first.");
+            return;
+        }
 
-            if (layer.type === 'image' && layer.imgSrc) {
-                const img = new Image();
-                img.src = layer.imgSrc;
-                layer.img = img;
+        let { name, handle } = this.project;
+        if (saveAs || (!handle && (!name || window.showSaveFilePicker))) {
+            const suggested = (name || document.getElementById('export-name').value || 'livery') + PROJECT_EXTENSION;
+            if (window.showSaveFilePicker) {
+                try {
+                    handle = await window.showSaveFilePicker({
+                        suggestedName: suggested,
+                        types: [{ description: 'Livery Project', accept: { 'application/zip': [PROJECT_EXTENSION] } }]
+                    });
+                } catch (e) {
+                    return; // Picker dismissed
+                }
+                name = handle.name.replace(/\.livery$/i, '');
+            } else {
+                const entered = prompt("Project name", suggested.replace(/\.livery$/i, ''));
+                if (!entered) return;
+                name = entered.trim().replace(/\.livery$/i, '');
+                handle = null;
             }
+        }
 
-            if (layer.type === 'paint' && layer.canvasData) {
-                const canvas = document.createElement('canvas');
-                canvas.width = layer.width;
-                canvas.height = layer.height;
-                const ctx = canvas.getContext('2d');
+        this.setExportProgress(0, "Saving project...");
+        document.getElementById('export-progress-modal').style.display = 'flex';
+        try {
+            const { doc, assets } = await this.serializeProject();
+            const blob = await ProjectFile.write(doc, assets);
+            this.setExportProgress(1);
+            if (handle) {
+                const writable = await handle.createWritable();
+                await writable.write(blob);
+                await writable.close();
+            } else {
+                this.downloadBlob(blob, name + PROJECT_EXTENSION);
+            }
+            this.setProject(name, handle, saveAs ? null : this.project.libraryId);
+            this.autosave.dirty = false;
+            this.addToLibrary(blob, doc);
+            AutosaveStore.markSaved(this.autosave.session).catch(e => console.warn("Autosave:", e.message));
+        } catch (e) {
+            console.error(e);
+            alert("Error: Could not save the project. " + e.message);
+        } finally {
+            document.getElementById('export-progress-modal').style.display = 'none';
+        }
+    }
 
-                const img = new Image();
-                img.onload = () => {
-                    ctx.drawImage(img, 0, 0);
-                    this.render();
-                };
-                img.src = layer.canvasData;
+    // Stores a recovery snapshot when the design changed since the last one. Runs when the browser
+    // is idle and never during an export; failures are retried on the next interval.
+    async runAutosave() {
+        if (!this.autosave.dirty || this.autosave.running || this.exportController || !this.layers.length) return;
+        this.autosave.running = true;
+        this.autosave.dirty = false;
+        try {
+            await new Promise(resolve => (window.requestIdleCallback || setTimeout)(resolve));
+            const { doc, assets } = await this.serializeProject();
+            await AutosaveStore.save({
+                session: this.autosave.session,
+                time: Date.now(),
+                name: this.project.name,
+                layerCount: doc.layers.length,
+                saved: false
+            }, await ProjectFile.write(doc, assets));
+        } catch (e) {
+            console.warn("Autosave failed:", e.message);
+            this.autosave.dirty = true;
+        } finally {
+            this.autosave.running = false;
+        }
+    }
+
+    // On startup, offers the snapshots of a session that ended without saving
+    async offerRecovery() {
+        let snapshots;
+        try {
+            snapshots = await AutosaveStore.list();
+        } catch (e) {
+            console.warn("Autosave unavailable:", e.message);
+            return false;
+        }
+        if (!snapshots.length || snapshots[0].saved) return false;
+
+        const list = document.getElementById('recovery-list');
+        list.innerHTML = '';
+        snapshots.forEach((snapshot, i) => {
+            const label = document.createElement('label');
+            label.className = 'recovery-option';
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'recovery-snapshot';
+            radio.value = i;
+            radio.checked = i === 0;
+            const text = document.createElement('span');
+            text.textContent = `${new Date(snapshot.time).toLocaleString()} · ${snapshot.name || 'Untitled'} · ` +
+                `${snapshot.layerCount} layer${snapshot.layerCount === 1 ? '' : 's'}${snapshot.saved ? ' (saved)' : ''}`;
+            label.append(radio, text);
+            list.appendChild(label);
+        });
 
-                layer.canvas = canvas;
-                layer.ctx = ctx;
-                layer.img = img; // Preview image for the layer list
+        const modal = document.getElementById('recovery-modal');
+        modal.style.display = 'flex';
+        document.getElementById('recovery-discard').onclick = () => {
+            modal.style.display = 'none';
+            AutosaveStore.clear().catch(e => console.warn("Autosave:", e.message));
+        };
+        document.getElementById('recovery-restore').onclick = async () => {
+            modal.style.display = 'none';
+            const snapshot = snapshots[parseInt(list.querySelector('input:checked').value)];
+            try {
+                await this.loadProject(await ProjectFile.read(await AutosaveStore.read(snapshot.id)));
+                if (snapshot.name) this.setProject(snapshot.name, null);
+            } catch (e) {
+                console.error(e);
+                alert("Error: Could not restore the session. " + e.message);
             }
+        };
+        return true;
+    }
 
-            return layer;
+    // --- Recent Projects ---
+    // On startup the home screen only appears when there is something to list
+    async showHome({ startup = false } = {}) {
+        let entries;
+        try {
+            entries = await ProjectLibrary.list();
+        } catch (e) {
+            console.warn("Recent projects unavailable:", e.message);
+            if (!startup) alert("Error: Recent projects are not available in this browser. " + e.message);
+            return;
+        }
+        if (startup && !entries.length) return;
+        await this.manifestReady;
+
+        this.homeThumbnailURLs.forEach(url => URL.revokeObjectURL(url));
+        this.homeThumbnailURLs = [];
+        const list = document.getElementById('home-project-list');
+        list.innerHTML = '';
+        document.getElementById('home-empty').style.display = entries.length ? 'none' : 'block';
+
+        const vehicles = (this.manifest && this.manifest.vehicles) || [];
+        entries.forEach(entry => {
+            const vehicle = vehicles.find(v => v.id === entry.vehicle);
+            const card = document.createElement('div');
+            card.className = 'project-card';
+
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'project-card-thumbnail';
+            if (entry.thumbnail) {
+                thumbnail.src = URL.createObjectURL(entry.thumbnail);
+                this.homeThumbnailURLs.push(thumbnail.src);
+            }
+            thumbnail.title = 'Open';
+            thumbnail.onclick = () => this.openFromLibrary(entry);
+
+            const info = document.createElement('div');
+            info.className = 'project-card-info';
+            const name = document.createElement('div');
+            name.className = 'project-card-name';
+            name.textContent = entry.name;
+            const details = document.createElement('div');
+            details.textContent = `${vehicle ? vehicle.name : (entry.vehicle || 'No vehicle')} · ${entry.width}×${entry.height}`;
+            const modified = document.createElement('div');
+            modified.textContent = new Date(entry.modified).toLocaleString();
+            info.append(name, details, modified);
+
+            const actions = document.createElement('div');
+            actions.className = 'project-card-actions';
+            [
+                ['Open', () => this.openFromLibrary(entry)],
+                ['Duplicate', () => this.libraryAction(() => ProjectLibrary.duplicate(entry.id))],
+                ['Rename', () => {
+                    const newName = prompt("Project name", entry.name);
+                    if (newName && newName.trim()) this.libraryAction(() => ProjectLibrary.rename(entry.id, newName.trim()));
+                }],
+                ['Delete', () => {
+                    if (confirm(`Remove "${entry.name}" from Recent Projects? Project files saved elsewhere are kept.`)) {
+                        this.libraryAction(() => ProjectLibrary.delete(entry.id));
+                    }
+                }]
+            ].forEach(([label, action]) => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.onclick = action;
+                actions.appendChild(button);
+            });
+
+            card.append(thumbnail, info, actions);
+            list.appendChild(card);
         });
+        document.getElementById('home-modal').style.display = 'flex';
+    }
 
-        this.virtualWidth = state.width || 2048;
-        this.virtualHeight = state.height || 2048;
+    hideHome() {
+        document.getElementById('home-modal').style.display = 'none';
+        this.homeThumbnailURLs.forEach(url => URL.revokeObjectURL(url));
+        this.homeThumbnailURLs = [];
+    }
 
-        this.updateLayerList();
-        this.render();
+    // Runs a library change, then refreshes the list
+    async libraryAction(action) {
+        try {
+            await action();
+        } catch (e) {
+            console.error(e);
+            alert("Error: " + e.message);
+        }
+        this.showHome();
+    }
+
+    async openFromLibrary(entry) {
+        if (this.layers.length && !confirm("Opening a project replaces the current design. Continue?")) return;
+        this.hideHome();
+        try {
+            await this.loadProject(await ProjectFile.read(await ProjectLibrary.read(entry.id)));
+            this.setProject(entry.name, null, entry.id);
+            this.autosave.dirty = false;
+        } catch (e) {
+            console.error(e);
+            alert("Error: Could not open the project. " + e.message);
+        }
     }
 
     // --- Layer Mgmt ---
     setActiveLayer(id) {
         if (this.activeLayerId === id) return;
         this.activeLayerId = id;
+        this.updateSelectionBox();
+        this.updateLayerList();
+        this.updateControls();
+        this.render();
+    }
+
+    // --- Groups ---
+    // A group is a layer of type 'group' placed directly above its children, which carry its id in
+    // `groupId`. Groups hold no pixels: they composite their children with the group's opacity, blend
+    // mode and visibility, and their box (x, y, width, height, rotation, scale) transforms them together.
+
+    groupOf(layer) {
+        return layer.groupId === undefined ? null : this.layers.find(l => l.id === layer.groupId) || null;
+    }
+
+    groupChildren(group) {
+        return this.layers.filter(l => l.groupId === group.id);
+    }
+
+    isLayerHidden(layer) {
+        const group = this.groupOf(layer);
+        return !!(layer.hidden || (group && group.hidden));
+    }
+
+    isLayerLocked(layer) {
+        const group = this.groupOf(layer);
+        return !!(layer.locked || (group && group.locked));
+    }
+
+    createGroup() {
+        const ids = new Set([...this.selectedLayers, this.activeLayerId]);
+        const members = this.layers.filter(l => ids.has(l.id) && !l.isBase && l.type !== 'group');
+        const group = {
+            id: this.nextLayerId(),
+            name: `Group ${this.layers.filter(l => l.type === 'group').length + 1}`,
+            type: 'group',
+            collapsed: false,
+            x: this.virtualWidth / 2,
+            y: this.virtualHeight / 2,
+            width: 0,
+            height: 0,
+            rotation: 0,
+            scale: 1,
+            scaleX: 1,
+            scaleY: 1,
+            opacity: 1,
+            blendMode: 'normal',
+            isBase: false,
+            locked: false
+        };
+
+        // The group takes the place of its topmost member
+        members.forEach(l => { l.groupId = group.id; });
+        const index = members.length ? this.layers.indexOf(members[members.length - 1]) + 1 : this.layers.length;
+        this.layers.splice(index, 0, group);
+        this.normalizeGroups();
+        this.selectedLayers = [];
+        this.commit(members.length ? `Group ${members.length} Layer${members.length === 1 ? '' : 's'}` : `Add ${group.name}`);
+        this.setActiveLayer(group.id);
+    }
+
+    ungroupActiveLayer() {
+        const group = this.layers.find(l => l.id === this.activeLayerId);
+        if (!group || group.type !== 'group') return;
+        this.groupChildren(group).forEach(child => { delete child.groupId; });
+        this.layers = this.layers.filter(l => l !== group);
+        this.commit(`Ungroup ${group.name}`);
+        this.activeLayerId = null;
         this.updateLayerList();
         this.updateControls();
         this.render();
     }
 
+    toggleGroupCollapsed(id) {
+        const group = this.layers.find(l => l.id === id);
+        if (!group) return;
+        group.collapsed = !group.collapsed;
+        this.updateLayerList();
+    }
+
+    // Keeps every group's children directly below it (in their current order), drops references to
+    // groups that no longer exist and refits the group boxes
+    normalizeGroups() {
+        const children = new Map(this.layers.filter(l => l.type === 'group').map(group => [group.id, []]));
+        this.layers.forEach(layer => {
+            if (layer.groupId === undefined) return;
+            if (children.has(layer.groupId) && layer.type !== 'group') children.get(layer.groupId).push(layer);
+            else delete layer.groupId;
+        });
+        const ordered = [];
+        this.layers.forEach(layer => {
+            if (layer.groupId !== undefined) return;
+            if (layer.type === 'group') ordered.push(...children.get(layer.id));
+            ordered.push(layer);
+        });
+        this.layers = ordered;
+        this.layers.filter(l => l.type === 'group').forEach(group => this.fitGroupBounds(group));
+    }
+
+    // Corners of a layer's box (or a path's points) in texture space
+    layerCorners(layer) {
+        const sx = (layer.flipX ? -1 : 1) * (layer.scaleX || layer.scale || 1);
+        const sy = (layer.flipY ? -1 : 1) * (layer.scaleY || layer.scale || 1);
+        const cos = Math.cos(layer.rotation || 0);
+        const sin = Math.sin(layer.rotation || 0);
+        const hw = (layer.width || 0) / 2;
+        const hh = (layer.height || 0) / 2;
+        const local = layer.type === 'path' ? layer.points :
+            [{ x: -hw, y: -hh }, { x: hw, y: -hh }, { x: hw, y: hh }, { x: -hw, y: hh }];
+        return local.map(p => ({
+            x: layer.x + p.x * sx * cos - p.y * sy * sin,
+            y: layer.y + p.x * sx * sin + p.y * sy * cos
+        }));
+    }
+
+    // Fits the group's box to its children (see fitBox)
+    fitGroupBounds(group) {
+        this.fitBox(group, this.groupChildren(group));
+    }
+
+    // Fits `box` to the bounds of `layers`, keeping its rotation. It is left untouched when it already
+    // fits, so refitting an unchanged group never shows up as a change in the history.
+    fitBox(box, layers) {
+        const corners = layers.flatMap(layer => this.layerCorners(layer));
+        if (!corners.length) {
+            if (box.width || box.height) Object.assign(box, { width: 0, height: 0 });
+            return;
+        }
+        const rotation = box.rotation || 0;
+        const cos = Math.cos(rotation), sin = Math.sin(rotation);
+        const xs = corners.map(p => p.x * cos + p.y * sin);
+        const ys = corners.map(p => -p.x * sin + p.y * cos);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+        const cx = (minX + maxX) / 2, cy = (minY + maxY) / 2;
+        const fit = { x: cx * cos - cy * sin, y: cx * sin + cy * cos, width: maxX - minX, height: maxY - minY };
+
+        const close = (a, b) => Math.abs(a - b) < 1e-6;
+        const { scaleX, scaleY } = this.layerBox(box);
+        if (close(box.x, fit.x) && close(box.y, fit.y) && close(box.width * scaleX, fit.width) && close(box.height * scaleY, fit.height)) return;
+        Object.assign(box, fit, { scale: 1, scaleX: 1, scaleY: 1 });
+    }
+
+    layerBox(layer) {
+        return {
+            x: layer.x, y: layer.y, rotation: layer.rotation || 0,
+            scaleX: layer.scaleX || layer.scale || 1, scaleY: layer.scaleY || layer.scale || 1
+        };
+    }
+
+    // Carries what a box holds along after it changed from `from` (see layerBox): a group's children,
+    // or the selected layers for the selection box. Layers rotated within the box take its scale on
+    // their own axes, so a non-uniform scale is approximate for them.
+    transformBoxContents(box, from) {
+        let layers;
+        if (box === this.selectionBox) layers = this.selectionMembers();
+        else if (box.type === 'group') layers = this.groupChildren(box);
+        else return;
+
+        const to = this.layerBox(box);
+        const sx = to.scaleX / from.scaleX;
+        const sy = to.scaleY / from.scaleY;
+        const cosFrom = Math.cos(-from.rotation), sinFrom = Math.sin(-from.rotation);
+        const cosTo = Math.cos(to.rotation), sinTo = Math.sin(to.rotation);
+        layers.forEach(child => {
+            const dx = child.x - from.x;
+            const dy = child.y - from.y;
+            const lx = (dx * cosFrom - dy * sinFrom) * sx;
+            const ly = (dx * sinFrom + dy * cosFrom) * sy;
+            child.x = to.x + lx * cosTo - ly * sinTo;
+            child.y = to.y + lx * sinTo + ly * cosTo;
+            child.rotation = (child.rotation || 0) + to.rotation - from.rotation;
+            if (sx !== 1 || sy !== 1) {
+                child.scaleX = (child.scaleX || child.scale || 1) * sx;
+                child.scaleY = (child.scaleY || child.scale || 1) * sy;
+                child.scale = (child.scaleX + child.scaleY) / 2;
+            }
+            if (box === this.selectionBox) this.syncMirror(child);
+        });
+    }
+
+    // Moves a layer's linked mirror copy to match it, unless the mirror is selected and moving too
+    syncMirror(layer) {
+        const mirror = layer.mirrorLayerId && this.layers.find(l => l.id === layer.mirrorLayerId);
+        if (!mirror || this.selectionLayers().includes(mirror)) return;
+        mirror.x = mirror.mirrorAxis === 'h' ? this.virtualWidth - layer.x : layer.x;
+        mirror.y = mirror.mirrorAxis === 'v' ? this.virtualHeight - layer.y : layer.y;
+        mirror.rotation = -layer.rotation;
+        mirror.scaleX = layer.scaleX;
+        mirror.scaleY = layer.scaleY;
+        mirror.scale = layer.scale;
+    }
+
+    // --- Multi-selection ---
+    // The selection is the active layer plus `selectedLayers` (Ctrl-click in the list, Shift-click or
+    // marquee on the canvas). With several layers selected, move/rotate/scale act on `selectionBox`,
+    // which is refit to their bounds when the selection changes and after every commit.
+
+    selectionLayers() {
+        return this.layers.filter(l => !l.isBase && (l.id === this.activeLayerId || this.selectedLayers.includes(l.id)));
+    }
+
+    // The layers a shared transform moves: the unlocked selected layers and the children of selected groups
+    selectionMembers() {
+        const layers = this.selectionLayers().filter(l => !this.isLayerLocked(l));
+        return this.layers.filter(l => layers.includes(l) || layers.some(group => group.id === l.groupId));
+    }
+
+    // `${n} Layers` for a multi-selection, otherwise the active layer's name
+    selectionName() {
+        const layers = this.selectionLayers();
+        if (layers.length > 1) return `${layers.length} Layers`;
+        return layers.length ? layers[0].name : '';
+    }
+
+    updateSelectionBox() {
+        const members = this.selectionLayers().length > 1 ? this.selectionMembers().filter(l => l.type !== 'group') : [];
+        if (!members.length) {
+            this.selectionBox = null;
+            return;
+        }
+        this.selectionBox = { rotation: 0 };
+        this.fitBox(this.selectionBox, members);
+    }
+
+    // The box the move tool's gizmo works on
+    transformTarget() {
+        return this.selectionBox || this.layers.find(l => l.id === this.activeLayerId);
+    }
+
+    setSelection(ids, activeId = ids.length ? ids[ids.length - 1] : null) {
+        this.selectedLayers = ids.filter(id => id !== activeId);
+        if (this.activeLayerId !== activeId) {
+            this.setActiveLayer(activeId);
+        } else {
+            this.updateSelectionBox();
+            this.updateLayerList();
+            this.render();
+        }
+    }
+
+    toggleLayerSelected(id) {
+        const ids = this.selectionLayers().map(l => l.id);
+        if (!ids.includes(id)) {
+            this.setSelection([...ids, id], id);
+            return;
+        }
+        const rest = ids.filter(i => i !== id);
+        this.setSelection(rest, id === this.activeLayerId ? (rest.length ? rest[rest.length - 1] : null) : this.activeLayerId);
+    }
+
+    // Selects the visible, unlocked layers the marquee touches, adding to the selection with Shift.
+    // A click without a drag clears the selection.
+    selectInMarquee() {
+        const { start, end, additive } = this.marquee;
+        if (start.x === end.x && start.y === end.y) {
+            this.setSelection([]);
+            return;
+        }
+        const minX = Math.min(start.x, end.x), maxX = Math.max(start.x, end.x);
+        const minY = Math.min(start.y, end.y), maxY = Math.max(start.y, end.y);
+        const hits = this.layers.filter(layer => {
+            if (layer.isBase || layer.type === 'group' || this.isLayerHidden(layer) || this.isLayerLocked(layer)) return false;
+            const corners = this.layerCorners(layer);
+            const xs = corners.map(p => p.x);
+            const ys = corners.map(p => p.y);
+            return Math.min(...xs) <= maxX && Math.max(...xs) >= minX && Math.min(...ys) <= maxY && Math.max(...ys) >= minY;
+        }).map(l => l.id);
+
+        if (!additive) {
+            this.setSelection(hits);
+            return;
+        }
+        const ids = this.selectionLayers().map(l => l.id);
+        const added = hits.filter(id => !ids.includes(id));
+        this.setSelection([...ids, ...added], this.activeLayerId || (added.length ? added[added.length - 1] : null));
+    }
+
     updateLayerList() {
         const list = document.getElementById('layer-list');
         list.innerHTML = '';
         [...this.layers].reverse().forEach((layer, index) => {
+            const group = this.groupOf(layer);
+            if (group && group.collapsed) return;
+
             const el = document.createElement('div');
             const isSelected = this.selectedLayers.includes(layer.id);
-            el.className = `layer-item ${layer.id === this.activeLayerId ? 'active' : ''} ${isSelected ? 'multi-selected' : ''} ${layer.hidden ? 'hidden' : ''}`;
+            el.className = `layer-item ${layer.id === this.activeLayerId ? 'active' : ''} ${isSelected ? 'multi-selected' : ''} ${this.isLayerHidden(layer) ? 'hidden' : ''} ${group ? 'grouped' : ''}`;
 
             const visibilityIcon = layer.hidden ? '○' : '👁️';
             const visibilityBtn = `<div class="layer-visibility" onclick="event.stopPropagation(); window.app.toggleLayerVisibility(${layer.id})">${visibilityIcon}</div>`;
+            const groupToggle = layer.type === 'group'
+                ? `<div class="layer-group-toggle" onclick="event.stopPropagation(); window.app.toggleGroupCollapsed(${layer.id})">${layer.collapsed ? '▸' : '▾'} 📁</div>`
+                : '';
 
             el.innerHTML = `
                 ${visibilityBtn}
+                ${groupToggle}
                 <div class="layer-name" ondblclick="event.stopPropagation(); window.app.startRenaming(${layer.id}, this)">${layer.name}</div>
                 <div class="layer-actions">${layer.locked ? '🔒' : ''}${layer.mirrorOf ? '🔗' : ''}</div>
             `;
             el.onclick = (e) => {
-                const isAlreadyActive = (this.activeLayerId === layer.id);
-
-                if (e.ctrlKey || e.metaKey) {
-                    const index = this.selectedLayers.indexOf(layer.id);
-                    if (index > -1) {
-                        this.selectedLayers.splice(index, 1);
-                    } else {
-                        this.selectedLayers.push(layer.id);
-                    }
-                    this.updateLayerList();
-                } else {
-                    if (!isAlreadyActive) {
-                        this.selectedLayers = [];
-                        this.setActiveLayer(layer.id);
-                    }
+                if ((e.ctrlKey || e.metaKey || e.shiftKey) && !layer.isBase) {
+                    this.toggleLayerSelected(layer.id);
+                } else if (this.activeLayerId !== layer.id || this.selectedLayers.length) {
+                    // Left alone otherwise, so the row survives for double-click renaming
+                    this.setSelection([layer.id]);
                 }
             };
 
@@ -2615,14 +4594,34 @@ class LiveryEditor {
         const targetIndex = this.layers.findIndex(l => l.id == targetId);
 
         if (draggedIndex === -1 || targetIndex === -1) return;
+        const draggedLayer = this.layers[draggedIndex];
+        let target = this.layers[targetIndex];
+        const fromGroup = this.groupOf(draggedLayer);
+
+        // Dropping onto a group puts the layer in it; onto a grouped layer, next to it in the same group.
+        // Groups don't nest, so a group dropped among another group's layers goes below that group.
+        if (draggedLayer.type === 'group') {
+            if (target.groupId === draggedLayer.id) return;
+            target = this.groupOf(target) || target;
+        } else {
+            const groupId = target.type === 'group' ? target.id : target.groupId;
+            if (groupId === undefined) delete draggedLayer.groupId;
+            else draggedLayer.groupId = groupId;
+        }
 
         // Remove dragged layer
-        const [draggedLayer] = this.layers.splice(draggedIndex, 1);
+        this.layers.splice(draggedIndex, 1);
 
         // Insert at target position
         // If dragging down, insert after target; if dragging up, insert before
-        const newTargetIndex = this.layers.findIndex(l => l.id == targetId);
+        const newTargetIndex = this.layers.indexOf(target);
         this.layers.splice(newTargetIndex, 0, draggedLayer);
+        this.normalizeGroups();
+
+        const toGroup = this.groupOf(draggedLayer);
+        if (toGroup && toGroup !== fromGroup) this.commit(`Move ${draggedLayer.name} into ${toGroup.name}`);
+        else if (fromGroup && !toGroup) this.commit(`Move ${draggedLayer.name} out of ${fromGroup.name}`);
+        else this.commit(`Reorder ${draggedLayer.name}`);
 
         this.updateLayerList();
         this.render();
@@ -2633,6 +4632,10 @@ class LiveryEditor {
         if (layer) {
             const blendSelect = document.getElementById('prop-blend-mode');
             if (blendSelect) blendSelect.value = layer.blendMode || 'normal';
+            const finishSelect = document.getElementById('prop-finish');
+            if (finishSelect) finishSelect.value = layer.finish || '';
+            const paintSlotSelect = document.getElementById('prop-paint-slot');
+            if (paintSlotSelect) paintSlotSelect.value = layer.paintSlot || 0;
 
             document.getElementById('prop-opacity').value = (layer.opacity ?? 1) * 100;
             const deg = Math.round((layer.rotation || 0) * (180 / Math.PI));
@@ -2710,6 +4713,7 @@ class LiveryEditor {
         if (!this.activeLayerId) return;
         const layer = this.layers.find(l => l.id === this.activeLayerId);
         if (!layer) return;
+        const from = this.layerBox(layer);
         if (prop === 'html-rotation') {
             layer.rotation = value * (Math.PI / 180);
         } else if (prop === 'scale') {
@@ -2720,6 +4724,17 @@ class LiveryEditor {
         } else {
             layer[prop] = value;
         }
+        this.transformBoxContents(layer, from);
+
+        // Colour, opacity and blend mode apply to the whole selection
+        if (BATCH_LAYER_PROPS.includes(prop)) {
+            this.selectionLayers().forEach(other => {
+                if (other === layer || (prop === 'color' && !COLORABLE_LAYER_TYPES.includes(other.type))) return;
+                other[prop] = value;
+                const mirror = other.mirrorLayerId && this.layers.find(l => l.id === other.mirrorLayerId);
+                if (mirror) mirror[prop] = value;
+            });
+        }
 
         // Update linked mirror if exists
         if (layer.mirrorLayerId) {
@@ -2745,20 +4760,35 @@ class LiveryEditor {
         if (!this.activeLayerId) return;
         const layer = this.layers.find(l => l.id === this.activeLayerId);
         if (!layer) return;
-        if (axis === 'h') layer.flipX = !layer.flipX;
-        if (axis === 'v') layer.flipY = !layer.flipY;
+        if (layer.type === 'group') {
+            // Mirror the children across the group's centre
+            this.groupChildren(layer).forEach(child => {
+                if (axis === 'h') {
+                    child.x = 2 * layer.x - child.x;
+                    child.flipX = !child.flipX;
+                } else {
+                    child.y = 2 * layer.y - child.y;
+                    child.flipY = !child.flipY;
+                }
+                child.rotation = -(child.rotation || 0);
+            });
+        } else {
+            if (axis === 'h') layer.flipX = !layer.flipX;
+            if (axis === 'v') layer.flipY = !layer.flipY;
+        }
+        this.commit(`Flip ${layer.name}`);
         this.render();
     }
 
     createMirrorLayer(axis) {
         if (!this.activeLayerId) return;
         const sourceLayer = this.layers.find(l => l.id === this.activeLayerId);
-        if (!sourceLayer || sourceLayer.isBase) return;
+        if (!sourceLayer || sourceLayer.isBase || sourceLayer.type === 'group') return;
 
         // Create mirrored copy
         const mirrorLayer = {
             ...sourceLayer,
-            id: Date.now(),
+            id: this.nextLayerId(),
             name: `${sourceLayer.name} (Mirror ${axis.toUpperCase()})`,
             mirrorOf: sourceLayer.id,
             mirrorAxis: axis,
@@ -2773,6 +4803,7 @@ class LiveryEditor {
         sourceLayer.mirrorLayerId = mirrorLayer.id;
 
         this.layers.push(mirrorLayer);
+        this.commit(`Mirror ${sourceLayer.name}`);
         this.updateLayerList();
         this.render();
     }
@@ -2782,30 +4813,73 @@ class LiveryEditor {
         const layer = this.layers.find(l => l.id === this.activeLayerId);
         if (!layer || layer.isBase) return;
         layer.locked = !layer.locked;
+        this.commit(`${layer.locked ? 'Lock' : 'Unlock'} ${layer.name}`);
         this.updateLayerList();
         this.updateControls();
     }
 
     duplicateActiveLayer() {
         if (!this.activeLayerId) return;
-        const originalIndex = this.layers.findIndex(l => l.id === this.activeLayerId);
-        if (originalIndex === -1) return;
-        const original = this.layers[originalIndex];
-        if (original.isBase) return;
+        const selection = this.selectionLayers();
+        if (selection.length > 1) {
+            // Layers inside a selected group are copied with it
+            const originals = selection.filter(l => !selection.some(group => group.id === l.groupId));
+            const clones = originals.map(original => this.duplicateLayer(original));
+            this.commit(`Duplicate ${selection.length} Layers`);
+            this.setSelection(clones.map(clone => clone.id));
+            return;
+        }
+
+        const original = this.layers.find(l => l.id === this.activeLayerId);
+        if (!original || original.isBase) return;
+        const clone = this.duplicateLayer(original);
+        this.commit(`Duplicate ${original.name}`);
+
+        this.setActiveLayer(clone.id);
+    }
+
+    // Inserts a copy of `original` (with its children, for a group) above it and returns the copy
+    duplicateLayer(original) {
+        const originalIndex = this.layers.indexOf(original);
 
         // Deep copy
-        const clone = { ...original };
-        clone.id = Date.now();
+        const clone = this.copyLayer(original);
         clone.name = original.name + ' (Copy)';
         clone.x += 20; // Offset slightly
         clone.y += 20;
 
+        // A group is duplicated with its children, which go below the copy
+        const children = original.type === 'group' ? this.groupChildren(original).map(child => {
+            const copy = this.copyLayer(child);
+            copy.groupId = clone.id;
+            copy.x += 20;
+            copy.y += 20;
+            return copy;
+        }) : [];
+
         // Push to top or above original?
         // Layers array: index 0 is BACKGROUND (Base), last index is TOP
         // To put it above original, splice it at originalIndex + 1
-        this.layers.splice(originalIndex + 1, 0, clone);
+        this.layers.splice(originalIndex + 1, 0, ...children, clone);
+        this.normalizeGroups();
+        return clone;
+    }
 
-        this.setActiveLayer(clone.id);
+    // A new layer with its own id, pixels and path points, so editing it leaves `layer` alone
+    copyLayer(layer) {
+        const copy = { ...layer, id: this.nextLayerId() };
+        delete copy.mirrorLayerId;
+        if (layer.points) copy.points = JSON.parse(JSON.stringify(layer.points));
+        if (layer.canvas) {
+            copy.canvas = document.createElement('canvas');
+            copy.canvas.width = layer.canvas.width;
+            copy.canvas.height = layer.canvas.height;
+            copy.ctx = copy.canvas.getContext('2d');
+            copy.ctx.drawImage(layer.canvas, 0, 0);
+            copy.img = new Image();
+            copy.img.src = copy.canvas.toDataURL();
+        }
+        return copy;
     }
 
     reorderActiveLayer(dir) {
@@ -2828,15 +4902,33 @@ class LiveryEditor {
             // Insert after base
             this.layers.splice(baseIndex + 1, 0, item);
         }
+        this.normalizeGroups();
+        this.commit(`${dir === 'front' ? 'Bring' : 'Send'} ${item.name} to ${dir === 'front' ? 'Front' : 'Back'}`);
         this.render();
         this.updateLayerList();
     }
 
     deleteActiveLayer() {
         if (!this.activeLayerId) return;
+        const selection = this.selectionLayers();
+        if (selection.length > 1) {
+            this.layers = this.layers.filter(l => !selection.includes(l) && !selection.some(group => group.id === l.groupId));
+            this.normalizeGroups();
+            this.commit(`Delete ${selection.length} Layers`);
+            this.selectedLayers = [];
+            this.activeLayerId = null;
+            this.render();
+            this.updateLayerList();
+            this.updateControls();
+            return;
+        }
         const index = this.layers.findIndex(l => l.id === this.activeLayerId);
         if (index !== -1 && !this.layers[index].isBase) {
-            this.layers.splice(index, 1);
+            // Deleting a group deletes its children with it
+            const layer = this.layers[index];
+            this.layers = this.layers.filter(l => l !== layer && l.groupId !== layer.id);
+            this.normalizeGroups();
+            this.commit(`Delete ${layer.name}`);
             this.activeLayerId = null;
             this.render();
             this.updateLayerList();
@@ -2848,6 +4940,7 @@ class LiveryEditor {
         const layer = this.layers.find(l => l.id === id);
         if (layer) {
             layer.hidden = !layer.hidden;
+            this.commit(`${layer.hidden ? 'Hide' : 'Show'} ${layer.name}`);
             this.render();
             this.updateLayerList();
         }
@@ -2869,6 +4962,7 @@ class LiveryEditor {
         const finish = () => {
             const newName = input.value.trim() || originalName;
             layer.name = newName;
+            this.commit(`Rename ${originalName}`);
             this.updateLayerList();
         };
 
@@ -2886,7 +4980,7 @@ class LiveryEditor {
         if (!this.activeLayerId) return;
         const index = this.layers.findIndex(l => l.id === this.activeLayerId);
         const layer = this.layers[index];
-        if (!layer || layer.isBase || layer.type === 'paint' || layer.type === 'raster') {
+        if (!layer || layer.isBase || layer.type === 'paint' || layer.type === 'raster' || layer.type === 'group') {
             alert("This layer cannot be rasterized (or is already a raster layer).");
             return;
         }
@@ -2946,7 +5040,7 @@ class LiveryEditor {
 
         // Convert to a raster layer (Tattoo)
         const rasterLayer = {
-            id: Date.now(),
+            id: this.nextLayerId(),
             name: `${layer.name} (Tattoo)`,
             type: 'raster',
             x: minX + cropW / 2,
@@ -2971,7 +5065,7 @@ class LiveryEditor {
 
         // Replace original layer
         this.layers.splice(index, 1, rasterLayer);
-        this.saveState();
+        this.commit(`Rasterize ${layer.name}`);
         this.setActiveLayer(rasterLayer.id);
         this.render();
     }
@@ -2979,4 +5073,7 @@ class LiveryEditor {
 
 window.addEventListener('DOMContentLoaded', () => {
     window.app = new LiveryEditor();
+    window.app.offerRecovery().then(offered => {
+        if (!offered) window.app.showHome({ startup: true });
+    });
 });
@@ -0,0 +1,117 @@
+// Regenerates Assets/SkinHelper1/templates.json from the template folders, since the browser
+// cannot list them. Every variant in Assets/manifest.json is also packaged with a stand-in
+// texture and run through ModValidator; variants whose mod would be rejected (a skin spread over
+// textures the studio does not paint, or no template folder) are listed under "textureOnly" so
+// Export Mod can refuse them up front.
+//
+//   node scripts/build-mod-templates.js          rewrite templates.json
+//   node scripts/build-mod-templates.js --check  exit 1 if templates.json is out of date
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const TEMPLATE_ROOT = path.join(ROOT, 'Assets', 'SkinHelper1');
+const VEHICLES_DIR = path.join(TEMPLATE_ROOT, 'vehicles');
+const INDEX_PATH = path.join(TEMPLATE_ROOT, 'templates.json');
+// Stand-in skin ID, so missing textures are reported under their template names
+const SKIN_ID = 'skinname';
+
+vm.runInThisContext(fs.readFileSync(path.join(ROOT, 'mod-package.js'), 'utf8'), { filename: 'mod-package.js' });
+const ModPackager = vm.runInThisContext('ModPackager');
+const ModValidator = vm.runInThisContext('ModValidator');
+
+// Case-insensitive, otherwise by character code (so 'covet.jbeam' sorts before 'covet_skin_...')
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+const byName = (a, b) => compare(a.toLowerCase(), b.toLowerCase()) || compare(a, b);
+
+function listFiles(dir, prefix) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const rel = prefix + '/' + entry.name;
+        return entry.isDirectory() ? listFiles(path.join(dir, entry.name), rel) : [rel];
+    });
+}
+
+// Each vehicle's files, plus those it keeps under common/<vehicle>/ (e.g. the shipping container)
+function buildVehicles() {
+    const vehicles = {};
+    const folders = fs.readdirSync(VEHICLES_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name !== 'common')
+        .map(entry => entry.name)
+        .sort(byName);
+    folders.forEach(vehicle => {
+        const files = listFiles(path.join(VEHICLES_DIR, vehicle), vehicle);
+        const common = path.join(VEHICLES_DIR, 'common', vehicle);
+        if (fs.existsSync(common)) files.push(...listFiles(common, 'common/' + vehicle));
+        vehicles[vehicle] = files.sort(byName);
+    });
+    return vehicles;
+}
+
+// Serves template files to ModPackager from disk
+global.fetch = async (url) => {
+    const file = path.join(ROOT, decodeURI(url));
+    if (!fs.existsSync(file)) return { ok: false, status: 404 };
+    const data = fs.readFileSync(file);
+    return {
+        ok: true,
+        text: async () => data.toString('utf8'),
+        arrayBuffer: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.length)
+    };
+};
+
+// Why each manifest variant cannot be exported as a mod, keyed '<vehicle>/<variant>'
+async function findTextureOnly(vehicles) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'Assets', 'manifest.json'), 'utf8'));
+    ModPackager.index = { vehicles };
+    const textureOnly = {};
+    for (const { id, skins } of manifest.vehicles) {
+        if (!vehicles[id]) continue;
+        for (const file of ['skinname.dds', ...(skins || []).map(skin => skin.file)]) {
+            const skinPath = `Assets/vehicles/${id}/${file}`;
+            const key = `${id}/${ModPackager.variantOf(skinPath)}`;
+            try {
+                const mod = await ModPackager.prepare({ vehicle: id, skinPath, skinId: SKIN_ID, name: 'Skin', author: 'Author' });
+                mod.files.set(mod.texturePath, new ArrayBuffer(0));
+                const missing = [];
+                (await ModValidator.validate(ModPackager.toEntries(mod.files))).forEach(issue => {
+                    if (issue.level !== 'error') return;
+                    const ref = (issue.message.match(/^Texture "([^"]+)".*is not in the mod/) || [])[1];
+                    const name = ref ? ref.split('/').pop().toLowerCase() : null;
+                    if (!name) throw new Error(`${issue.file || id}: ${issue.message}`);
+                    if (!missing.includes(name)) missing.push(name);
+                });
+                if (missing.length) {
+                    textureOnly[key] = `the skin also needs ${missing.join(' and ')}, which this template does not cover`;
+                }
+            } catch (e) {
+                if (!/^No mod template for the/.test(e.message)) throw e;
+                textureOnly[key] = 'there is no mod template for this variant';
+            }
+        }
+    }
+    return textureOnly;
+}
+
+(async () => {
+    const vehicles = buildVehicles();
+    const textureOnly = await findTextureOnly(vehicles);
+    const text = JSON.stringify({ vehicles, textureOnly }, null, 2) + '\n';
+
+    if (process.argv.includes('--check')) {
+        const current = fs.existsSync(INDEX_PATH) ? fs.readFileSync(INDEX_PATH, 'utf8') : '';
+        if (current !== text) {
+            console.error('templates.json is out of date; run: node scripts/build-mod-templates.js');
+            process.exit(1);
+        }
+        console.log('templates.json is up to date');
+        return;
+    }
+    fs.writeFileSync(INDEX_PATH, text);
+    console.log(`Wrote ${path.relative(ROOT, INDEX_PATH)}: ${Object.keys(vehicles).length} vehicles, ` +
+        `${Object.keys(textureOnly).length} texture-only variants`);
+})().catch(e => {
+    console.error(e.message);
+    process.exit(1);
+});
@@ -0,0 +1,185 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, gradientImage, psnr } = require('./helpers');
+
+const { DDSEncoder, DDSDecoder, DDSError } = loadScripts(['dds.js'], ['DDSEncoder', 'DDSDecoder', 'DDSError']);
+
+function roundTrip(image, options) {
+    return DDSDecoder.decode(DDSEncoder.encode(image, options));
+}
+
+describe('DDS RGBA', () => {
+    test('round-trips pixels exactly', () => {
+        const image = gradientImage(37, 19, true);
+        const out = roundTrip(image, { format: 'RGBA' });
+        assert.strictEqual(out.width, 37);
+        assert.strictEqual(out.height, 19);
+        assert.deepStrictEqual(Array.from(out.data), Array.from(image.data));
+    });
+});
+
+// A legacy DDS file with the given pixel format and raw pixel bytes, or a DX10 file when `dxgiFormat` is set
+function rawDDS({ width, height, pfFlags = 0, bitCount = 0, masks = [0, 0, 0, 0], dxgiFormat = null }, pixels) {
+    const headerSize = dxgiFormat === null ? 128 : 148;
+    const buffer = new ArrayBuffer(headerSize + pixels.length);
+    const view = new DataView(buffer);
+    view.setUint32(0, 0x20534444, true); // 'DDS '
+    view.setUint32(4, 124, true);
+    view.setUint32(8, 0x1 | 0x2 | 0x4 | 0x1000, true);
+    view.setUint32(12, height, true);
+    view.setUint32(16, width, true);
+    view.setUint32(76, 32, true);
+    if (dxgiFormat === null) {
+        view.setUint32(80, pfFlags, true);
+        view.setUint32(88, bitCount, true);
+        masks.forEach((mask, i) => view.setUint32(92 + i * 4, mask, true));
+    } else {
+        view.setUint32(80, 0x4, true); // DDPF_FOURCC
+        view.setUint32(84, 0x30315844, true); // 'DX10'
+        view.setUint32(128, dxgiFormat, true);
+        view.setUint32(132, 3, true);
+        view.setUint32(140, 1, true);
+    }
+    new Uint8Array(buffer, headerSize).set(pixels);
+    return buffer;
+}
+
+const DDPF_ALPHAPIXELS = 0x1, DDPF_ALPHA = 0x2, DDPF_RGB = 0x40, DDPF_LUMINANCE = 0x20000;
+const pixelsOf = (out) => Array.from({ length: out.data.length / 4 }, (_, i) => Array.from(out.data.subarray(i * 4, i * 4 + 4)));
+
+describe('DDS uncompressed formats', () => {
+    test('R5G6B5 expands each channel to 8 bits', () => {
+        const masks = [0xF800, 0x07E0, 0x001F, 0];
+        const out = DDSDecoder.decode(rawDDS({ width: 4, height: 1, pfFlags: DDPF_RGB, bitCount: 16, masks },
+            [0x00, 0xF8, 0xE0, 0x07, 0x1F, 0x00, 0x10, 0x84]));
+        assert.strictEqual(out.format, 'RGB');
+        assert.deepStrictEqual(pixelsOf(out), [[255, 0, 0, 255], [0, 255, 0, 255], [0, 0, 255, 255], [132, 130, 132, 255]]);
+    });
+
+    test('A4R4G4B4 scales the alpha nibble', () => {
+        const masks = [0x0F00, 0x00F0, 0x000F, 0xF000];
+        const out = DDSDecoder.decode(rawDDS({ width: 2, height: 1, pfFlags: DDPF_RGB | DDPF_ALPHAPIXELS, bitCount: 16, masks },
+            [0x00, 0xFF, 0x5A, 0x83]));
+        assert.deepStrictEqual(pixelsOf(out), [[255, 0, 0, 255], [51, 85, 170, 136]]);
+    });
+
+    test('24-bit BGR and 32-bit X8R8G8B8 decode as opaque', () => {
+        const masks = [0xFF0000, 0x00FF00, 0x0000FF, 0];
+        const bgr = DDSDecoder.decode(rawDDS({ width: 2, height: 1, pfFlags: DDPF_RGB, bitCount: 24, masks },
+            [10, 20, 30, 40, 50, 60]));
+        assert.deepStrictEqual(pixelsOf(bgr), [[30, 20, 10, 255], [60, 50, 40, 255]]);
+        // The unused X byte is ignored without an alpha flag, even when a mask is present
+        const xrgb = DDSDecoder.decode(rawDDS({ width: 1, height: 1, pfFlags: DDPF_RGB, bitCount: 32, masks: [...masks.slice(0, 3), 0xFF000000] },
+            [10, 20, 30, 7]));
+        assert.deepStrictEqual(pixelsOf(xrgb), [[30, 20, 10, 255]]);
+    });
+
+    test('L8, A8L8 and A8', () => {
+        const l8 = DDSDecoder.decode(rawDDS({ width: 2, height: 1, pfFlags: DDPF_LUMINANCE, bitCount: 8, masks: [0xFF, 0, 0, 0] }, [0, 200]));
+        assert.deepStrictEqual(pixelsOf(l8), [[0, 0, 0, 255], [200, 200, 200, 255]]);
+
+        const a8l8 = DDSDecoder.decode(rawDDS({ width: 1, height: 1, pfFlags: DDPF_LUMINANCE | DDPF_ALPHAPIXELS, bitCount: 16, masks: [0xFF, 0, 0, 0xFF00] },
+            [90, 128]));
+        assert.deepStrictEqual(pixelsOf(a8l8), [[90, 90, 90, 128]]);
+
+        const a8 = DDSDecoder.decode(rawDDS({ width: 1, height: 1, pfFlags: DDPF_ALPHA, bitCount: 8, masks: [0, 0, 0, 0xFF] }, [77]));
+        assert.deepStrictEqual(pixelsOf(a8), [[0, 0, 0, 77]]);
+    });
+
+    test('luminance masks wider than the pixel fall back to the usual layout', () => {
+        const out = DDSDecoder.decode(rawDDS({ width: 1, height: 1, pfFlags: DDPF_LUMINANCE | DDPF_ALPHAPIXELS, bitCount: 16, masks: [0xFFFF0000, 0, 0, 0xFFFF0000] },
+            [60, 250]));
+        assert.deepStrictEqual(pixelsOf(out), [[60, 60, 60, 250]]);
+    });
+
+    test('DX10 R8G8B8A8 and B8G8R8A8', () => {
+        const rgba = rawDDS({ width: 1, height: 1, dxgiFormat: 29 }, [1, 2, 3, 4]); // R8G8B8A8_UNORM_SRGB
+        assert.deepStrictEqual(pixelsOf(DDSDecoder.decode(rgba)), [[1, 2, 3, 4]]);
+        assert.strictEqual(DDSDecoder.parseHeader(rgba).srgb, true);
+
+        const bgra = rawDDS({ width: 1, height: 1, dxgiFormat: 87 }, [1, 2, 3, 4]); // B8G8R8A8_UNORM
+        assert.deepStrictEqual(pixelsOf(DDSDecoder.decode(bgra)), [[3, 2, 1, 4]]);
+        assert.strictEqual(DDSDecoder.parseHeader(bgra).srgb, false);
+    });
+
+    test('unsupported bit counts and flags are reported by code', () => {
+        assert.throws(() => DDSDecoder.decode(rawDDS({ width: 1, height: 1, pfFlags: DDPF_RGB, bitCount: 12 }, [0, 0])),
+            (e) => e instanceof DDSError && e.code === 'UNSUPPORTED_BIT_COUNT');
+        assert.throws(() => DDSDecoder.decode(rawDDS({ width: 1, height: 1, pfFlags: 0x200, bitCount: 32 }, [0, 0, 0, 0])),
+            (e) => e instanceof DDSError && e.code === 'UNSUPPORTED_PIXEL_FORMAT');
+    });
+});
+
+describe('DDS BC1 / BC3', () => {
+    for (const quality of ['fast', 'balanced', 'high']) {
+        test(`BC1 ${quality} keeps an opaque gradient close`, () => {
+            const image = gradientImage(64, 32);
+            const out = roundTrip(image, { format: 'BC1', quality });
+            assert.strictEqual(out.format, 'DXT1');
+            for (let c = 0; c < 3; c++) assert.ok(psnr(image.data, out.data, c) > 30, `channel ${c}`);
+            for (let i = 3; i < out.data.length; i += 4) assert.strictEqual(out.data[i], 255);
+        });
+
+        test(`BC3 ${quality} keeps colour and alpha close`, () => {
+            const image = gradientImage(64, 32, true);
+            const out = roundTrip(image, { format: 'BC3', quality });
+            assert.strictEqual(out.format, 'DXT5');
+            for (let c = 0; c < 3; c++) assert.ok(psnr(image.data, out.data, c) > 30, `channel ${c}`);
+            assert.ok(psnr(image.data, out.data, 3) > 45, 'alpha');
+        });
+    }
+
+    test('sizes that are not multiples of 4 decode to the original size', () => {
+        const out = roundTrip(gradientImage(13, 7), { format: 'BC1' });
+        assert.strictEqual(out.width, 13);
+        assert.strictEqual(out.height, 7);
+        assert.strictEqual(out.data.length, 13 * 7 * 4);
+    });
+
+    test('a truncated file is reported as TRUNCATED', () => {
+        const buffer = DDSEncoder.encode(gradientImage(16, 16), { format: 'BC3' });
+        assert.throws(() => DDSDecoder.decode(buffer.slice(0, 160)),
+            (e) => e instanceof DDSError && e.code === 'TRUNCATED');
+    });
+});
+
+describe('DDS BC7', () => {
+    // Deterministic noise: no mode fits it well, so the effort levels differ
+    function noiseImage(width, height) {
+        const data = new Uint8ClampedArray(width * height * 4);
+        let seed = 1;
+        for (let i = 0; i < data.length; i++) {
+            seed = (seed * 1103515245 + 12345) >>> 0;
+            data[i] = seed >>> 24;
+        }
+        return { width, height, data };
+    }
+
+    const meanPSNR = (a, b) => [0, 1, 2, 3].reduce((sum, c) => sum + psnr(a, b, c), 0) / 4;
+
+    for (const quality of ['fast', 'balanced', 'high']) {
+        test(`${quality} keeps colour and alpha close`, () => {
+            const image = gradientImage(64, 32, true);
+            const out = roundTrip(image, { format: 'BC7', quality });
+            assert.strictEqual(out.format, 'BC7');
+            const floor = quality === 'fast' ? 33 : 38;
+            for (let c = 0; c < 4; c++) assert.ok(psnr(image.data, out.data, c) > floor, `channel ${c}`);
+        });
+    }
+
+    test('higher effort does no worse on hard blocks', () => {
+        const image = noiseImage(32, 32);
+        const fast = meanPSNR(image.data, roundTrip(image, { format: 'BC7', quality: 'fast' }).data);
+        const balanced = meanPSNR(image.data, roundTrip(image, { format: 'BC7', quality: 'balanced' }).data);
+        const high = meanPSNR(image.data, roundTrip(image, { format: 'BC7', quality: 'high' }).data);
+        assert.ok(balanced > fast + 1);
+        assert.ok(high >= balanced - 0.1);
+    });
+
+    test('time estimates grow with effort and mips', () => {
+        const seconds = (quality, mipmaps) => DDSEncoder.estimateBC7Seconds(2048, 2048, quality, mipmaps);
+        assert.ok(seconds('fast', false) < seconds('balanced', false));
+        assert.ok(seconds('balanced', false) < seconds('high', false));
+        assert.ok(Math.abs(seconds('high', true) / seconds('high', false) - 4 / 3) < 1e-9);
+    });
+});
@@ -0,0 +1,99 @@
+// Loads the studio's browser scripts into the test process the way index.html does, as classic
+// scripts sharing one global scope, and provides the few browser classes they use.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+if (typeof globalThis.ImageData === 'undefined') {
+    globalThis.ImageData = class ImageData {
+        constructor(data, width, height) {
+            this.data = data;
+            this.width = width;
+            this.height = height;
+        }
+    };
+}
+
+// Enough of a 2D canvas for History: getImageData / putImageData over an RGBA buffer. Classes,
+// not object literals, since History copies plain objects and compares live ones by identity.
+class TestContext {
+    constructor(canvas) {
+        this.canvas = canvas;
+    }
+
+    getImageData(x, y, width, height) {
+        const { pixels } = this.canvas;
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let row = 0; row < height; row++) {
+            const start = ((y + row) * this.canvas.width + x) * 4;
+            data.set(pixels.subarray(start, start + width * 4), row * width * 4);
+        }
+        return new ImageData(data, width, height);
+    }
+
+    putImageData(image, x, y) {
+        for (let row = 0; row < image.height; row++) {
+            const line = image.data.subarray(row * image.width * 4, (row + 1) * image.width * 4);
+            this.canvas.pixels.set(line, ((y + row) * this.canvas.width + x) * 4);
+        }
+    }
+
+    // Fills a rect with one RGBA colour
+    fill(x, y, width, height, rgba) {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < data.length; i += 4) data.set(rgba, i);
+        this.putImageData(new ImageData(data, width, height), x, y);
+    }
+}
+
+class TestCanvas {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.pixels = new Uint8ClampedArray(width * height * 4);
+        this.ctx = new TestContext(this);
+    }
+
+    getContext() {
+        return this.ctx;
+    }
+}
+
+const createCanvas = (width, height) => new TestCanvas(width, height);
+
+// Runs `files` (paths from the repository root) and returns the named globals they declare
+function loadScripts(files, names) {
+    files.forEach(file => vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }));
+    return Object.fromEntries(names.map(name => [name, vm.runInThisContext(name)]));
+}
+
+// A width × height RGBA test image: smooth gradients in every channel, opaque unless `alpha`
+function gradientImage(width, height, alpha = false) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            data[i] = Math.round(x * 255 / Math.max(1, width - 1));
+            data[i + 1] = Math.round(y * 255 / Math.max(1, height - 1));
+            data[i + 2] = 128 + ((x + y) & 63);
+            data[i + 3] = alpha ? Math.round((x + y) * 255 / Math.max(1, width + height - 2)) : 255;
+        }
+    }
+    return { width, height, data };
+}
+
+// Peak signal-to-noise ratio in dB of channel `channel` (0-3) between two RGBA arrays
+function psnr(a, b, channel) {
+    let sum = 0;
+    let count = 0;
+    for (let i = channel; i < a.length; i += 4) {
+        sum += (a[i] - b[i]) ** 2;
+        count++;
+    }
+    return sum ? 10 * Math.log10(255 * 255 / (sum / count)) : Infinity;
+}
+
+module.exports = { ROOT, loadScripts, createCanvas, gradientImage, psnr };
@@ -0,0 +1,215 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createCanvas } = require('./helpers');
+
+const { History, HISTORY_TILE_SIZE } = loadScripts(['local-store.js', 'history.js'], ['History', 'HISTORY_TILE_SIZE']);
+
+function setup(layers = [{ id: 1, name: 'Base', x: 0 }]) {
+    const editor = { layers, virtualWidth: 1024, virtualHeight: 1024 };
+    return { editor, history: new History(editor) };
+}
+
+describe('History commands', () => {
+    test('records property changes and undoes and redoes them', async () => {
+        const { editor, history } = setup();
+        const layer = editor.layers[0];
+        layer.x = 10;
+        layer.color = '#ff0000';
+        const command = history.record('Move');
+        assert.deepStrictEqual(command.changes, [{ type: 'props', layer, before: { x: 0, color: undefined }, after: { x: 10, color: '#ff0000' } }]);
+
+        await history.undo();
+        assert.strictEqual(layer.x, 0);
+        assert.ok(!('color' in layer));
+        await history.redo();
+        assert.strictEqual(layer.x, 10);
+        assert.strictEqual(layer.color, '#ff0000');
+    });
+
+    test('records nothing when nothing changed', () => {
+        const { history } = setup();
+        assert.strictEqual(history.record('Nothing'), null);
+        assert.strictEqual(history.canUndo, false);
+    });
+
+    test('undoes added, removed and reordered layers', async () => {
+        const { editor, history } = setup([{ id: 1 }, { id: 2 }]);
+        const [a, b] = editor.layers;
+        const c = { id: 3 };
+        editor.layers = [b, a, c];
+        history.record('Reorder and add');
+        editor.layers = [b, c];
+        history.record('Delete');
+
+        await history.undo();
+        assert.deepStrictEqual(editor.layers, [b, a, c]);
+        await history.undo();
+        assert.deepStrictEqual(editor.layers, [a, b]);
+        await history.redo();
+        await history.redo();
+        assert.deepStrictEqual(editor.layers, [b, c]);
+    });
+
+    test('undoing a delete restores the values the layer was edited to', async () => {
+        const { editor, history } = setup([{ id: 1 }, { id: 2, opacity: 1 }]);
+        const layer = editor.layers[1];
+        layer.opacity = 0.5;
+        editor.layers = [editor.layers[0]];
+        history.record('Edit then delete');
+        await history.undo();
+        assert.strictEqual(editor.layers[1], layer);
+        assert.strictEqual(layer.opacity, 1);
+    });
+
+    test('copies plain data so later edits do not change recorded steps', async () => {
+        const { editor, history } = setup([{ id: 1, points: [{ x: 0, y: 0 }] }]);
+        const layer = editor.layers[0];
+        layer.points[0].x = 5;
+        history.record('Move point');
+        layer.points[0].x = 9; // Mutated in place without a record
+        await history.undo();
+        assert.deepStrictEqual(layer.points, [{ x: 0, y: 0 }]);
+        assert.notStrictEqual(layer.points, history.redoStack[0].changes[0].before.points);
+    });
+
+    test('records canvas size changes', async () => {
+        const { editor, history } = setup();
+        editor.virtualWidth = 2048;
+        history.record('Resize');
+        await history.undo();
+        assert.strictEqual(editor.virtualWidth, 1024);
+    });
+
+    test('keeps at most `limit` steps and clears redo on a new step', async () => {
+        const { editor, history } = setup();
+        history.limit = 3;
+        for (let i = 1; i <= 5; i++) {
+            editor.layers[0].x = i;
+            history.record(`Step ${i}`);
+        }
+        assert.deepStrictEqual(history.undoStack.map(command => command.label), ['Step 3', 'Step 4', 'Step 5']);
+        await history.undo();
+        assert.strictEqual(history.canRedo, true);
+        editor.layers[0].x = 42;
+        history.record('Branch');
+        assert.strictEqual(history.canRedo, false);
+    });
+
+    test('a step recorded while an undo is loading supersedes the undo', async () => {
+        const { editor, history } = setup();
+        const layer = editor.layers[0];
+        layer.x = 1;
+        history.record('Move');
+        const pending = history.undo();
+        layer.x = 2;
+        const stroke = history.record('Move again');
+
+        assert.strictEqual(await pending, null);
+        assert.strictEqual(layer.x, 2);
+        assert.deepStrictEqual(history.undoStack.map(command => command.label), ['Move', 'Move again']);
+        assert.strictEqual(history.canRedo, false);
+        await history.undo();
+        assert.strictEqual(layer.x, 1);
+        assert.strictEqual(history.redoStack[0], stroke);
+    });
+
+    test('goTo walks to any step', async () => {
+        const { editor, history } = setup();
+        for (let i = 1; i <= 4; i++) {
+            editor.layers[0].x = i;
+            history.record(`Step ${i}`);
+        }
+        await history.goTo(1);
+        assert.strictEqual(editor.layers[0].x, 1);
+        await history.goTo(4);
+        assert.strictEqual(editor.layers[0].x, 4);
+    });
+});
+
+describe('History pixel tiles', () => {
+    function paintSetup() {
+        const canvas = createCanvas(512, 512);
+        const layer = { id: 1, type: 'paint', canvas, ctx: canvas.getContext('2d') };
+        return { layer, ...setup([layer]) };
+    }
+
+    // Paints a rect the way the editor does: beginPixels, draw, record
+    function paint(history, layer, rect, rgba, label = 'Paint') {
+        history.beginPixels(layer, rect);
+        layer.ctx.fill(rect.x, rect.y, rect.width, rect.height, rgba);
+        return history.record(label);
+    }
+
+    const pixel = (layer, x, y) => Array.from(layer.ctx.getImageData(x, y, 1, 1).data);
+
+    // Tiles are deflated after recording; undo must work from the compressed copies too
+    async function compressed(history) {
+        for (let i = 0; i < 100; i++) {
+            const pending = history.undoStack.some(command => command.changes.some(change =>
+                change.type === 'pixels' && change.tiles.some(tile => tile.after.data || tile.before.data)));
+            if (!pending) return;
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        throw new Error('Tiles were not compressed');
+    }
+
+    test('stores only the tiles a stroke touches', () => {
+        const { layer, history } = paintSetup();
+        const command = paint(history, layer, { x: 10, y: 10, width: 20, height: 20 }, [255, 0, 0, 255]);
+        const [change] = command.changes;
+        assert.strictEqual(change.type, 'pixels');
+        assert.deepStrictEqual(change.tiles.map(tile => tile.key), ['0,0']);
+        assert.strictEqual(change.tiles[0].width, HISTORY_TILE_SIZE);
+        assert.strictEqual(change.tiles[0].before.empty, true);
+        assert.strictEqual(change.tiles[0].before.data, null);
+    });
+
+    test('a rect across a tile edge touches both tiles', () => {
+        const { layer, history } = paintSetup();
+        const command = paint(history, layer, { x: 250, y: 10, width: 12, height: 4 }, [0, 255, 0, 255]);
+        assert.deepStrictEqual(command.changes[0].tiles.map(tile => tile.key), ['0,0', '1,0']);
+    });
+
+    test('touched tiles that end up unchanged are not recorded', () => {
+        const { layer, history } = paintSetup();
+        history.beginPixels(layer, { x: 0, y: 0, width: 512, height: 512 });
+        assert.strictEqual(history.record('Nothing drawn'), null);
+    });
+
+    test('undo and redo restore pixels from compressed tiles', async () => {
+        const { layer, history } = paintSetup();
+        paint(history, layer, { x: 0, y: 0, width: 300, height: 300 }, [255, 0, 0, 255], 'Red');
+        paint(history, layer, { x: 100, y: 100, width: 50, height: 50 }, [0, 0, 255, 255], 'Blue');
+        await compressed(history);
+
+        await history.undo();
+        assert.deepStrictEqual(pixel(layer, 120, 120), [255, 0, 0, 255]);
+        await history.undo();
+        assert.deepStrictEqual(pixel(layer, 120, 120), [0, 0, 0, 0]);
+        assert.deepStrictEqual(pixel(layer, 290, 290), [0, 0, 0, 0]);
+        await history.redo();
+        await history.redo();
+        assert.deepStrictEqual(pixel(layer, 120, 120), [0, 0, 255, 255]);
+        assert.deepStrictEqual(pixel(layer, 290, 290), [255, 0, 0, 255]);
+    });
+
+    test('the state after one step is shared as the state before the next', () => {
+        const { layer, history } = paintSetup();
+        const first = paint(history, layer, { x: 0, y: 0, width: 10, height: 10 }, [255, 0, 0, 255]);
+        const second = paint(history, layer, { x: 5, y: 5, width: 10, height: 10 }, [0, 255, 0, 255]);
+        assert.strictEqual(second.changes[0].tiles[0].before, first.changes[0].tiles[0].after);
+    });
+
+    test('snapshots restore pixels as a new undoable step', async () => {
+        const { layer, history } = paintSetup();
+        paint(history, layer, { x: 0, y: 0, width: 10, height: 10 }, [255, 0, 0, 255]);
+        const snapshot = history.takeSnapshot('Red');
+        paint(history, layer, { x: 0, y: 0, width: 10, height: 10 }, [0, 255, 0, 255]);
+
+        const command = await history.restoreSnapshot(snapshot);
+        assert.strictEqual(command.label, 'Restore Red');
+        assert.deepStrictEqual(pixel(layer, 5, 5), [255, 0, 0, 255]);
+        await history.undo();
+        assert.deepStrictEqual(pixel(layer, 5, 5), [0, 255, 0, 255]);
+    });
+});
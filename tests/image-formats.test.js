@@ -0,0 +1,236 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, gradientImage } = require('./helpers');
+
+const { ImageEncoder } = loadScripts(['dds.js', 'image-formats.js'], ['ImageEncoder']);
+
+// An image with long runs and repeated rows as well as gradients, so RLE and LZ77 copies are used
+function patternImage(width, height) {
+    const image = gradientImage(width, height, true);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            if (x < 200) image.data.set([20, 40, 60, 255], i);
+            if (y % 4 === 3) image.data.copyWithin(i, i - width * 4, i - width * 4 + 4);
+        }
+    }
+    return image;
+}
+
+// Reads a top-left, 24/32-bit TGA (raw or RLE) back to RGBA; RLE packets must not cross rows
+function decodeTGA(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const width = view.getUint16(12, true);
+    const height = view.getUint16(14, true);
+    const bpp = bytes[16] / 8;
+    const rle = bytes[2] === 10;
+    const data = new Uint8ClampedArray(width * height * 4);
+    let pos = 18 + bytes[0];
+    const readPixel = (i) => {
+        data[i * 4] = bytes[pos + 2];
+        data[i * 4 + 1] = bytes[pos + 1];
+        data[i * 4 + 2] = bytes[pos];
+        data[i * 4 + 3] = bpp === 4 ? bytes[pos + 3] : 255;
+        pos += bpp;
+    };
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width;) {
+            const i = y * width + x;
+            if (!rle) {
+                readPixel(i);
+                x++;
+                continue;
+            }
+            const header = bytes[pos++];
+            const count = (header & 0x7F) + 1;
+            assert.ok(x + count <= width, `packet crosses row ${y}`);
+            if (header & 0x80) {
+                readPixel(i);
+                for (let k = 1; k < count; k++) data.copyWithin((i + k) * 4, i * 4, i * 4 + 4);
+            } else {
+                for (let k = 0; k < count; k++) readPixel(i + k);
+            }
+            x += count;
+        }
+    }
+    return { width, height, data, end: pos };
+}
+
+// Decoder for the subset of lossless WebP (VP8L) that encodeWebP writes: subtract-green only, no
+// color cache or meta codes, and copies from the pixel above or to the left
+function decodeWebP(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let bitPos = 20 * 8;
+    const read = (count) => {
+        let value = 0;
+        for (let b = 0; b < count; b++, bitPos++) value |= ((bytes[bitPos >> 3] >> (bitPos & 7)) & 1) << b;
+        return value >>> 0;
+    };
+
+    assert.strictEqual(read(8), 0x2f);
+    const width = read(14) + 1;
+    const height = read(14) + 1;
+    const alphaUsed = read(1);
+    assert.strictEqual(read(3), 0, 'version');
+    assert.strictEqual(read(1), 1, 'transform present');
+    assert.strictEqual(read(2), 2, 'subtract-green');
+    assert.strictEqual(read(1), 0, 'one transform');
+    assert.strictEqual(read(1), 0, 'color cache');
+    assert.strictEqual(read(1), 0, 'meta prefix codes');
+
+    // Canonical prefix code from code lengths; a lone symbol is read with zero bits
+    const buildCode = (lengths) => {
+        const used = lengths.filter(length => length > 0).length;
+        if (used === 1) {
+            const symbol = lengths.findIndex(length => length > 0);
+            return () => symbol;
+        }
+        const table = new Map();
+        const counts = new Array(16).fill(0);
+        lengths.forEach(length => { if (length) counts[length]++; });
+        const next = [];
+        for (let length = 1, code = 0; length <= 15; length++) {
+            code = (code + counts[length - 1]) << 1;
+            next[length] = code;
+        }
+        lengths.forEach((length, symbol) => { if (length) table.set(`${length}:${next[length]++}`, symbol); });
+        return () => {
+            for (let length = 1, code = 0; length <= 15; length++) {
+                code = (code << 1) | read(1);
+                const symbol = table.get(`${length}:${code}`);
+                if (symbol !== undefined) return symbol;
+            }
+            throw new Error('invalid prefix code');
+        };
+    };
+    const readCode = (size) => {
+        const lengths = new Array(size).fill(0);
+        if (read(1)) {
+            const count = read(1) + 1;
+            lengths[read(read(1) ? 8 : 1)] = 1;
+            if (count === 2) lengths[read(8)] = 1;
+            return buildCode(lengths);
+        }
+        const order = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+        const lengthLengths = new Array(19).fill(0);
+        const codeCount = read(4) + 4;
+        for (let i = 0; i < codeCount; i++) lengthLengths[order[i]] = read(3);
+        const lengthCode = buildCode(lengthLengths);
+        assert.strictEqual(read(1), 0, 'every symbol has a length');
+        let previous = 8;
+        for (let s = 0; s < size;) {
+            const symbol = lengthCode();
+            if (symbol < 16) {
+                lengths[s++] = symbol;
+                if (symbol) previous = symbol;
+            } else {
+                const [extraBits, base, value] = { 16: [2, 3, previous], 17: [3, 3, 0], 18: [7, 11, 0] }[symbol];
+                const run = base + read(extraBits);
+                for (let k = 0; k < run; k++) lengths[s++] = value;
+            }
+        }
+        return buildCode(lengths);
+    };
+    const [green, red, blue, alpha, distance] = [280, 256, 256, 256, 40].map(readCode);
+    const prefixValue = (symbol) => {
+        if (symbol < 4) return symbol + 1;
+        const extraBits = (symbol - 2) >> 1;
+        return ((2 + (symbol & 1)) << extraBits) + read(extraBits) + 1;
+    };
+
+    const argb = new Uint32Array(width * height);
+    for (let i = 0; i < argb.length;) {
+        const g = green();
+        if (g < 256) {
+            const r = red();
+            const b = blue();
+            argb[i++] = ((alpha() << 24) | (r << 16) | (g << 8) | b) >>> 0;
+            continue;
+        }
+        const length = prefixValue(g - 256);
+        const code = prefixValue(distance());
+        const offset = code === 1 ? width : code === 2 ? 1 : code > 120 ? code - 120 : null;
+        assert.ok(offset !== null, `distance code ${code}`);
+        for (let k = 0; k < length; k++, i++) argb[i] = argb[i - offset];
+    }
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    argb.forEach((pixel, i) => {
+        const g = (pixel >>> 8) & 0xFF;
+        data.set([((pixel >>> 16) + g) & 0xFF, g, (pixel + g) & 0xFF, pixel >>> 24], i * 4);
+    });
+    return { width, height, alphaUsed, data, bits: bitPos };
+}
+
+describe('TGA', () => {
+    test('writes a 32-bit top-left header and TGA 2.0 footer', () => {
+        const buffer = ImageEncoder.encode(gradientImage(5, 3, true), { format: 'TGA' });
+        const bytes = new Uint8Array(buffer);
+        assert.strictEqual(bytes[2], 2);
+        assert.strictEqual(bytes[16], 32);
+        assert.strictEqual(bytes[17], 0x28);
+        assert.strictEqual(Buffer.from(bytes.subarray(bytes.length - 18)).toString('latin1'), 'TRUEVISION-XFILE.\0');
+    });
+
+    for (const rle of [false, true]) {
+        test(`${rle ? 'RLE' : 'raw'} pixels decode back exactly`, () => {
+            for (const image of [patternImage(300, 9), { width: 130, height: 3, data: new Uint8ClampedArray(130 * 3 * 4).fill(90) }]) {
+                const buffer = ImageEncoder.encode(image, { format: 'TGA', rle });
+                const out = decodeTGA(buffer);
+                assert.strictEqual(new Uint8Array(buffer)[2], rle ? 10 : 2);
+                assert.deepStrictEqual([out.width, out.height], [image.width, image.height]);
+                assert.deepStrictEqual(Array.from(out.data), Array.from(image.data));
+                assert.strictEqual(out.end, buffer.byteLength - 26, 'pixel data ends at the footer');
+            }
+        });
+    }
+
+    test('RLE packs runs and drops alpha without an alpha channel', () => {
+        const image = patternImage(300, 9);
+        const raw = ImageEncoder.encode(image, { format: 'TGA', alpha: false });
+        const packed = ImageEncoder.encode(image, { format: 'TGA', rle: true, alpha: false });
+        assert.ok(packed.byteLength < raw.byteLength * 0.6);
+
+        const out = decodeTGA(packed);
+        assert.strictEqual(new Uint8Array(packed)[16], 24);
+        for (let i = 0; i < out.data.length; i += 4) {
+            assert.deepStrictEqual(Array.from(out.data.subarray(i, i + 3)), Array.from(image.data.subarray(i, i + 3)));
+            assert.strictEqual(out.data[i + 3], 255);
+        }
+    });
+});
+
+describe('WebP', () => {
+    test('writes a RIFF container whose sizes match the VP8L bitstream', () => {
+        const buffer = ImageEncoder.encode(gradientImage(37, 21, true), { format: 'WEBP' });
+        const bytes = Buffer.from(buffer);
+        assert.strictEqual(bytes.toString('latin1', 0, 4), 'RIFF');
+        assert.strictEqual(bytes.readUInt32LE(4), bytes.length - 8);
+        assert.strictEqual(bytes.toString('latin1', 8, 16), 'WEBPVP8L');
+        const chunkLength = bytes.readUInt32LE(16);
+        assert.strictEqual(bytes.length, 20 + chunkLength + (chunkLength & 1));
+
+        const out = decodeWebP(buffer);
+        assert.deepStrictEqual([out.width, out.height, out.alphaUsed], [37, 21, 1]);
+        assert.strictEqual(Math.ceil(out.bits / 8), 20 + chunkLength, 'the bitstream fills the chunk');
+    });
+
+    for (const [name, image] of [
+        ['a gradient', gradientImage(37, 21, true)],
+        ['runs and repeated rows', patternImage(260, 12)],
+        ['a flat colour', { width: 8, height: 8, data: new Uint8ClampedArray(8 * 8 * 4).fill(90) }]
+    ]) {
+        test(`round-trips ${name} losslessly`, () => {
+            const out = decodeWebP(ImageEncoder.encode(image, { format: 'WEBP' }));
+            assert.deepStrictEqual(Array.from(out.data), Array.from(image.data));
+        });
+    }
+
+    test('without alpha the image is written opaque', () => {
+        const image = gradientImage(16, 16, true);
+        const out = decodeWebP(ImageEncoder.encode(image, { format: 'WEBP', alpha: false }));
+        assert.strictEqual(out.alphaUsed, 0);
+        for (let i = 3; i < out.data.length; i += 4) assert.strictEqual(out.data[i], 255);
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, gradientImage } = require('./helpers');
+
+const { MipmapGenerator, MIP_FILTERS, DDSEncoder, DDSDecoder } =
+    loadScripts(['dds.js'], ['MipmapGenerator', 'MIP_FILTERS', 'DDSEncoder', 'DDSDecoder']);
+
+function solidImage(width, height, rgba) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) data.set(rgba, i);
+    return { width, height, data };
+}
+
+describe('MipmapGenerator', () => {
+    test('halves each side down to 1×1', () => {
+        const levels = MipmapGenerator.generate(gradientImage(64, 16), 'box', false);
+        assert.deepStrictEqual(levels.map(level => [level.width, level.height]),
+            [[64, 16], [32, 8], [16, 4], [8, 2], [4, 1], [2, 1], [1, 1]]);
+    });
+
+    for (const filter of Object.keys(MIP_FILTERS)) {
+        test(`${filter} keeps a flat colour flat`, () => {
+            const levels = MipmapGenerator.generate(solidImage(16, 16, [200, 90, 30, 160]), filter, false);
+            levels.slice(1).forEach(level => {
+                for (let i = 0; i < level.data.length; i += 4) {
+                    const pixel = Array.from(level.data.subarray(i, i + 4));
+                    pixel.forEach((value, c) => assert.ok(Math.abs(value - [200, 90, 30, 160][c]) <= 1, `${level.width}: ${pixel}`));
+                }
+            });
+        });
+    }
+
+    test('box averages in linear light', () => {
+        const image = solidImage(2, 1, [0, 0, 0, 255]);
+        image.data.set([255, 255, 255, 255], 4);
+        const [, level] = MipmapGenerator.generate(image, 'box', false);
+        assert.deepStrictEqual(Array.from(level.data), [188, 188, 188, 255]);
+    });
+
+    test('transparent texels do not bleed their colour', () => {
+        const image = solidImage(2, 1, [255, 0, 0, 255]);
+        image.data.set([0, 255, 0, 0], 4);
+        const [, level] = MipmapGenerator.generate(image, 'box', false);
+        assert.deepStrictEqual(Array.from(level.data.subarray(0, 3)), [255, 0, 0]);
+    });
+
+    test('alpha coverage is kept when asked', () => {
+        // Thin opaque lines on transparency fade below the alpha test without coverage scaling
+        const image = solidImage(32, 32, [255, 255, 255, 0]);
+        for (let y = 0; y < 32; y += 4) for (let x = 0; x < 32; x++) image.data[(y * 32 + x) * 4 + 3] = 255;
+        const target = MipmapGenerator.alphaCoverage(image.data, 1);
+        const plain = MipmapGenerator.generate(image, 'kaiser', false);
+        const kept = MipmapGenerator.generate(image, 'kaiser', true);
+        assert.ok(MipmapGenerator.alphaCoverage(plain[2].data, 1) < target / 2);
+        assert.ok(Math.abs(MipmapGenerator.alphaCoverage(kept[2].data, 1) - target) < 0.05);
+    });
+
+    test('resize rejects unknown filters', () => {
+        assert.throws(() => MipmapGenerator.resize(gradientImage(4, 4), 2, 2, 'bicubic'), /Unknown resampling filter/);
+    });
+
+    test('resize scales up and down with any filter', () => {
+        const image = solidImage(10, 6, [40, 160, 220, 255]);
+        for (const filter of Object.keys(MIP_FILTERS)) {
+            for (const [width, height] of [[3, 2], [25, 13]]) {
+                const out = MipmapGenerator.resize(image, width, height, filter);
+                assert.strictEqual(out.data.length, width * height * 4);
+                for (let i = 0; i < out.data.length; i += 4) {
+                    assert.ok(Math.abs(out.data[i + 1] - 160) <= 1, `${filter} ${width}×${height}`);
+                }
+            }
+        }
+    });
+
+    test('reports progress as the chain is built', () => {
+        const progress = [];
+        MipmapGenerator.generate(gradientImage(64, 200), 'kaiser', false, value => progress.push(value));
+        assert.ok(progress.length > 1);
+        assert.ok(progress.every((value, i) => i === 0 || value > progress[i - 1]));
+        assert.strictEqual(progress[progress.length - 1], 1);
+
+        const encoded = [];
+        DDSEncoder.encode(gradientImage(64, 200), { format: 'BC1', mipFilter: 'box', onProgress: value => encoded.push(value) });
+        assert.ok(encoded.every((value, i) => i === 0 || value >= encoded[i - 1]));
+        assert.ok(Math.abs(encoded[encoded.length - 1] - 1) < 1e-9);
+    });
+
+    test('DDS files carry and decode every level', () => {
+        const image = gradientImage(32, 8, true);
+        const levels = MipmapGenerator.generate(image, 'lanczos', false);
+        const out = DDSDecoder.decode(DDSEncoder.encode(image, { format: 'RGBA', mipFilter: 'lanczos' }));
+        assert.strictEqual(out.mipmaps.length, levels.length);
+        out.mipmaps.forEach((level, i) => {
+            assert.strictEqual(level.width, levels[i].width);
+            assert.strictEqual(level.height, levels[i].height);
+            assert.deepStrictEqual(Array.from(level.data), Array.from(levels[i].data));
+        });
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { ModReader, ModPackager } = loadScripts(['mod-package.js'], ['ModReader', 'ModPackager']);
+
+describe('ModReader.parseLenientJSON', () => {
+    test('reads plain JSON unchanged', () => {
+        const value = { a: [1, -2.5e3, true, null], b: { c: 'd' } };
+        assert.deepStrictEqual(ModReader.parseLenientJSON(JSON.stringify(value, null, 2)), value);
+    });
+
+    test('drops line and block comments, but not // inside strings', () => {
+        const text = `{
+            // a comment
+            "url": "http://example.com/a", /* block
+            comment */ "n": 1
+        }`;
+        assert.deepStrictEqual(ModReader.parseLenientJSON(text), { url: 'http://example.com/a', n: 1 });
+    });
+
+    test('accepts trailing and doubled commas', () => {
+        assert.deepStrictEqual(ModReader.parseLenientJSON('{"a": [1, 2,], "b": 3,, }'), { a: [1, 2], b: 3 });
+    });
+
+    test('inserts missing commas between entries, as jbeam files omit them', () => {
+        const text = `{
+            "part": {
+                "information": {"authors": "A" "name": "Skin"}
+                "slotType": "paint_design"
+                "nodes": [["id" "posX"] ["n1" 0.5] ["n2" -1]]
+            }
+        }`;
+        assert.deepStrictEqual(ModReader.parseLenientJSON(text), {
+            part: {
+                information: { authors: 'A', name: 'Skin' },
+                slotType: 'paint_design',
+                nodes: [['id', 'posX'], ['n1', 0.5], ['n2', -1]]
+            }
+        });
+    });
+
+    test('escapes raw tabs and newlines inside strings and keeps escaped quotes', () => {
+        assert.deepStrictEqual(ModReader.parseLenientJSON('{"d": "line 1\nline\t2 \\"q\\""}'), { d: 'line 1\nline\t2 "q"' });
+    });
+
+    test('still rejects broken JSON', () => {
+        assert.throws(() => ModReader.parseLenientJSON('{"a": }'));
+    });
+});
+
+describe('ModReader.analyze', () => {
+    const mod = (files) => ModPackager.toEntries(new Map(Object.entries(files)));
+
+    test('finds the vehicle, texture and skin details of a zipped mod', async () => {
+        const result = await ModReader.analyze(mod({
+            'my_mod/vehicles/pickup/MySkin/materials.json': JSON.stringify({
+                'pickup_main.skin.MySkin': { mapTo: 'pickup_main.skin.MySkin', Stages: [{}, { baseColorMap: '/vehicles/pickup/MySkin/pickup_skin_MySkin' }] }
+            }),
+            'my_mod/vehicles/pickup/MySkin/pickup_skin_MySkin.dds': new ArrayBuffer(4),
+            'my_mod/vehicles/pickup/MySkin/pickup.jbeam': `{"pickup_skin_MySkin": {
+                "information": {"authors": "Me", "name": "My Skin"}
+                "globalSkin": "MySkin"}}`,
+            'my_mod/vehicles/pickup/info_MySkin.json': '{"Description": "Blue"}'
+        }));
+        assert.strictEqual(result.vehicle, 'pickup');
+        assert.deepStrictEqual(result.textures, ['vehicles/pickup/MySkin/pickup_skin_MySkin.dds']);
+        assert.strictEqual(result.primary, 'vehicles/pickup/MySkin/pickup_skin_MySkin.dds');
+        assert.deepStrictEqual(result.skin, { globalSkin: 'MySkin', name: 'My Skin', author: 'Me', description: 'Blue' });
+        assert.strictEqual((await result.read(result.primary)).length, 4);
+    });
+
+    test('takes the vehicle from common/ paths', async () => {
+        const result = await ModReader.analyze(mod({
+            'vehicles/common/shipping_container/box/skin.materials.json': JSON.stringify({
+                'container.skin.box': { Stages: [{ baseColorMap: 'vehicles/common/shipping_container/box/container_skin.png' }] }
+            }),
+            'vehicles/common/shipping_container/box/container_skin.png': new ArrayBuffer(1)
+        }));
+        assert.strictEqual(result.vehicle, 'shipping_container');
+    });
+
+    test('explains mods without a vehicles folder or skin texture', async () => {
+        await assert.rejects(ModReader.analyze(mod({ 'readme.txt': 'hi' })), /No vehicles\/ folder/);
+        await assert.rejects(ModReader.analyze(mod({ 'vehicles/pickup/a/materials.json': '{}' })), /No skin texture found/);
+    });
+});
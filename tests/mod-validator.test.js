@@ -0,0 +1,118 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, gradientImage } = require('./helpers');
+
+const { ModValidator, ModPackager, DDSEncoder } =
+    loadScripts(['dds.js', 'mod-package.js'], ['ModValidator', 'ModPackager', 'DDSEncoder']);
+
+const texture = DDSEncoder.encode(gradientImage(16, 16), { format: 'BC3' });
+
+// A minimal working skin package; `changes` replaces or (with null) removes files
+function skinPackage(changes = {}) {
+    const files = {
+        'vehicles/pickup/myskin/pickup.jbeam': JSON.stringify({
+            pickup_skin_myskin: { information: { authors: 'Me', name: 'My Skin' }, slotType: 'paint_design', globalSkin: 'myskin' }
+        }),
+        'vehicles/pickup/myskin/materials.json': JSON.stringify({
+            'pickup_main.skin.myskin': {
+                name: 'pickup_main.skin.myskin',
+                mapTo: 'pickup_main.skin.myskin',
+                Stages: [{}, { baseColorMap: '/vehicles/pickup/myskin/pickup_skin_myskin.dds' }]
+            }
+        }),
+        'vehicles/pickup/myskin/pickup_skin_myskin.dds': texture,
+        ...changes
+    };
+    Object.keys(files).forEach(path => { if (files[path] === null) delete files[path]; });
+    return ModPackager.toEntries(new Map(Object.entries(files)));
+}
+
+const materials = (name, material) => JSON.stringify({ [name]: material });
+const errors = (issues) => issues.filter(issue => issue.level === 'error').map(issue => issue.message);
+
+describe('ModValidator', () => {
+    test('passes a working package', async () => {
+        assert.deepStrictEqual(await ModValidator.validate(skinPackage()), []);
+    });
+
+    test('flags skin IDs and folders with spaces', async () => {
+        const issues = await ModValidator.validate(skinPackage({
+            'vehicles/pickup/my skin/readme.txt': 'x'
+        }));
+        assert.ok(issues.some(issue => issue.level === 'error' && issue.file === 'vehicles/pickup/my skin' && /contains spaces/.test(issue.message)));
+    });
+
+    test('flags mapTo that differs from the material name', async () => {
+        const issues = await ModValidator.validate(skinPackage({
+            'vehicles/pickup/myskin/materials.json': materials('pickup_main.skin.myskin', {
+                mapTo: 'pickup_main.skin.myskn', Stages: [{ baseColorMap: '/vehicles/pickup/myskin/pickup_skin_myskin.dds' }]
+            })
+        }));
+        assert.match(errors(issues).join('\n'), /has mapTo "pickup_main\.skin\.myskn"/);
+    });
+
+    test('flags missing textures and textures that differ in case', async () => {
+        const missing = await ModValidator.validate(skinPackage({ 'vehicles/pickup/myskin/pickup_skin_myskin.dds': null }));
+        assert.match(errors(missing).join('\n'), /is not in the mod/);
+
+        const renamed = await ModValidator.validate(skinPackage({
+            'vehicles/pickup/myskin/pickup_skin_myskin.dds': null,
+            'vehicles/pickup/myskin/Pickup_Skin_MySkin.dds': texture
+        }));
+        assert.match(errors(renamed).join('\n'), /differs in case/);
+    });
+
+    test('warns about texture paths without an extension', async () => {
+        const issues = await ModValidator.validate(skinPackage({
+            'vehicles/pickup/myskin/materials.json': materials('pickup_main.skin.myskin', {
+                Stages: [{ baseColorMap: 'vehicles/pickup/myskin/pickup_skin_myskin' }]
+            })
+        }));
+        assert.deepStrictEqual(errors(issues), []);
+        assert.ok(issues.some(issue => /has no file extension/.test(issue.message)));
+    });
+
+    test('flags skin IDs whose case differs between jbeam and materials', async () => {
+        const issues = await ModValidator.validate(skinPackage({
+            'vehicles/pickup/myskin/materials.json': materials('pickup_main.skin.MySkin', {
+                Stages: [{ baseColorMap: '/vehicles/pickup/myskin/pickup_skin_myskin.dds' }]
+            })
+        }));
+        assert.match(errors(issues).join('\n'), /the case must match/);
+    });
+
+    test('flags packages without materials or a skin part', async () => {
+        const noMaterials = await ModValidator.validate(skinPackage({ 'vehicles/pickup/myskin/materials.json': null }));
+        assert.match(errors(noMaterials).join('\n'), /no materials\.json/);
+
+        const noSkin = await ModValidator.validate(skinPackage({ 'vehicles/pickup/myskin/pickup.jbeam': '{"part": {}}' }));
+        assert.match(errors(noSkin).join('\n'), /No jbeam part sets globalSkin or skinName/);
+    });
+
+    test('reports unparsable files and unfilled placeholders', async () => {
+        const issues = await ModValidator.validate(skinPackage({
+            'vehicles/pickup/myskin/extra.jbeam': '{"a": {"globalSkin": "SKINNAME"}',
+            'vehicles/pickup/myskin/other.jbeam': '{"a": {"authors": "YOU"}}'
+        }));
+        assert.match(errors(issues).join('\n'), /Could not be parsed/);
+        assert.ok(issues.some(issue => issue.level === 'warning' && /placeholder/.test(issue.message)));
+    });
+
+    test('checks the DDS header of shipped textures', async () => {
+        const issues = await ModValidator.validate(skinPackage({
+            'vehicles/pickup/myskin/pickup_skin_myskin.dds': new Uint8Array(200).buffer
+        }));
+        assert.match(errors(issues).join('\n'), /Not a usable DDS/);
+    });
+
+    test('lists errors before warnings', async () => {
+        const issues = await ModValidator.validate(skinPackage({
+            'vehicles/pickup/myskin/materials.json': materials('pickup_main.skin.myskin', {
+                name: 'other', Stages: [{ baseColorMap: '/vehicles/pickup/myskin/missing.dds' }]
+            })
+        }));
+        const levels = issues.map(issue => issue.level);
+        assert.deepStrictEqual(levels, [...levels].sort());
+        assert.ok(levels.includes('error') && levels.includes('warning'));
+    });
+});
@@ -0,0 +1,58 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { ProjectFile, ZipWriter, PROJECT_FORMAT, PROJECT_VERSION } = loadScripts(['mod-package.js', 'project.js'],
+    ['ProjectFile', 'ZipWriter', 'PROJECT_FORMAT', 'PROJECT_VERSION']);
+
+const png = (...bytes) => new Blob([new Uint8Array([0x89, 0x50, 0x4E, 0x47, ...bytes])], { type: 'image/png' });
+
+async function zipOf(files) {
+    const zip = new ZipWriter();
+    for (const [path, content] of Object.entries(files)) await zip.add(path, content);
+    return zip.toBlob();
+}
+
+describe('ProjectFile', () => {
+    test('write and read round-trip the document and layer assets', async () => {
+        const doc = {
+            vehicle: 'pickup',
+            width: 2048,
+            height: 2048,
+            layers: [{ type: 'image', name: 'Decal', asset: ProjectFile.layerAssetPath(0) }, { type: 'text', text: 'Škoda' }]
+        };
+        const assets = new Map([[ProjectFile.layerAssetPath(0), png(1, 2, 3)]]);
+        const { doc: read, readAsset } = await ProjectFile.read(await ProjectFile.write(doc, assets));
+
+        assert.deepStrictEqual(read, { format: PROJECT_FORMAT, version: PROJECT_VERSION, ...doc });
+        const asset = await readAsset('layers/0.png');
+        assert.strictEqual(asset.type, 'image/png');
+        assert.deepStrictEqual(Array.from(new Uint8Array(await asset.arrayBuffer())), [0x89, 0x50, 0x4E, 0x47, 1, 2, 3]);
+        await assert.rejects(readAsset('layers/1.png'), /missing layers\/1\.png/);
+    });
+
+    test('rejects files that are not livery projects', async () => {
+        await assert.rejects(ProjectFile.read(new Blob(['not a zip'])), /not a livery project file/);
+        await assert.rejects(ProjectFile.read(await zipOf({ 'readme.txt': 'hi' })), /no project\.json/);
+        await assert.rejects(ProjectFile.read(await zipOf({ 'project.json': '{"format": "other", "version": 1}' })),
+            /not a livery project file/);
+        await assert.rejects(ProjectFile.read(await zipOf({ 'project.json': '{"format": ' })), /project document is damaged/);
+    });
+
+    test('migrate rejects missing, invalid and newer versions', () => {
+        assert.throws(() => ProjectFile.migrate({ format: PROJECT_FORMAT }), /no valid version/);
+        assert.throws(() => ProjectFile.migrate({ format: PROJECT_FORMAT, version: 0 }), /no valid version/);
+        assert.throws(() => ProjectFile.migrate({ format: PROJECT_FORMAT, version: '1' }), /no valid version/);
+        assert.throws(() => ProjectFile.migrate({ format: PROJECT_FORMAT, version: PROJECT_VERSION + 1 }), /newer version of the studio/);
+    });
+
+    test('a newer file is refused on read, not opened partially', async () => {
+        const blob = await zipOf({ 'project.json': JSON.stringify({ format: PROJECT_FORMAT, version: PROJECT_VERSION + 1, layers: [] }) });
+        await assert.rejects(ProjectFile.read(blob), /newer version of the studio/);
+    });
+
+    test('a current document passes through migrate unchanged', () => {
+        const doc = { format: PROJECT_FORMAT, version: PROJECT_VERSION, layers: [] };
+        assert.deepStrictEqual(ProjectFile.migrate({ ...doc }), doc);
+    });
+});
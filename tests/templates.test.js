@@ -0,0 +1,11 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { ROOT } = require('./helpers');
+
+test('templates.json matches the template folders', () => {
+    // Throws with the script's message when the index is out of date
+    const output = execFileSync(process.execPath, [path.join(ROOT, 'scripts', 'build-mod-templates.js'), '--check'], { encoding: 'utf8' });
+    assert.match(output, /up to date/);
+});
@@ -0,0 +1,64 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { ZipWriter, ZipReader, ModPackager } = loadScripts(['mod-package.js'], ['ZipWriter', 'ZipReader', 'ModPackager']);
+
+function noise(length) {
+    const bytes = new Uint8Array(length);
+    let seed = 7;
+    for (let i = 0; i < length; i++) {
+        seed = (seed * 1103515245 + 12345) >>> 0;
+        bytes[i] = seed >>> 24;
+    }
+    return bytes;
+}
+
+async function readAll(entries) {
+    const out = {};
+    for (const [path, read] of entries) out[path] = Buffer.from(await read());
+    return out;
+}
+
+describe('ZipWriter / ZipReader', () => {
+    test('CRC-32 matches the standard check value', () => {
+        assert.strictEqual(ZipWriter.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    });
+
+    test('round-trips text, binary, empty and non-ASCII entries', async () => {
+        const random = noise(5000);
+        const files = new Map([
+            ['vehicles/pickup/skin/materials.json', '{ "a": 1 }\n'.repeat(200)],
+            ['vehicles/pickup/skin/pickup_skin_skin.dds', random.buffer],
+            ['vehicles/pickup/empty.txt', ''],
+            ['vehicles/pickup/info_Škoda.json', '{"Name": "Škoda"}']
+        ]);
+        const entries = await ZipReader.open(await ModPackager.build(files));
+        const read = await readAll(entries);
+        assert.deepStrictEqual(Object.keys(read), [...files.keys()]);
+        assert.strictEqual(read['vehicles/pickup/skin/materials.json'].toString(), files.get('vehicles/pickup/skin/materials.json'));
+        assert.ok(read['vehicles/pickup/skin/pickup_skin_skin.dds'].equals(Buffer.from(random)));
+        assert.strictEqual(read['vehicles/pickup/empty.txt'].length, 0);
+        assert.strictEqual(read['vehicles/pickup/info_Škoda.json'].toString(), '{"Name": "Škoda"}');
+    });
+
+    test('deflates only entries that shrink', async () => {
+        const zip = new ZipWriter();
+        await zip.add('text.json', 'abc'.repeat(1000));
+        await zip.add('noise.bin', noise(1000));
+        assert.deepStrictEqual(zip.entries.map(entry => entry.method), [8, 0]);
+        assert.ok(zip.entries[0].data.length < 3000);
+    });
+
+    test('skips directory entries', async () => {
+        const zip = new ZipWriter();
+        await zip.add('vehicles/', '');
+        await zip.add('vehicles/a.txt', 'a');
+        const entries = await ZipReader.open(zip.toBlob());
+        assert.deepStrictEqual([...entries.keys()], ['vehicles/a.txt']);
+    });
+
+    test('rejects files that are not zips', async () => {
+        await assert.rejects(ZipReader.open(new TextEncoder().encode('not a zip, just text'.repeat(3)).buffer), /Not a zip file/);
+    });
+});